@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { ChatOpenAI } = require('@langchain/openai');
+const { HumanMessage } = require('@langchain/core/messages');
+const { timeLlmCall } = require('../services/metrics');
+
+/**
+ * LLM: Analyze test output and map failures to SOURCE files (not test files).
+ * Provides list of source files in the repo for better context.
+ * options.onUsage receives the call's token usage (see services/metrics.js timeLlmCall).
+ * options.withinBudget(), when given, is checked before the call; once it returns
+ * false no call is made and no issues are returned.
+ */
+async function analyzeOutput(output, localPath, modelName = 'gpt-4-turbo', options = {}) {
+    if (options.withinBudget && !options.withinBudget()) return [];
+    const model = new ChatOpenAI({ modelName, temperature: 0 });
+
+    // Enumerate source files to help LLM target the right ones
+    let srcFiles = '';
+    try {
+        const srcPath = path.join(localPath, 'src');
+        if (fs.existsSync(srcPath)) {
+            const files = fs.readdirSync(srcPath).map(f => `src/${f}`);
+            srcFiles = `Source files in this repo:\n${files.join('\n')}`;
+        }
+    } catch (e) { /* ignore */ }
+
+    const prompt = `
+You are a CI/CD diagnostic agent. Analyze the failing test output and identify issues in the SOURCE CODE.
+
+CRITICAL RULES:
+1. Tests fail because SOURCE CODE has bugs — fix the SOURCE FILES (e.g. src/calculator.js), NOT the test files.
+2. Only fix test files if the test itself has an obvious error (e.g. wrong assertion with no corresponding source issue).
+3. "file" MUST be a RELATIVE path from repo root (e.g. "src/calculator.js"). NEVER "/app/..." absolute paths.
+4. "type": LINTING | SYNTAX | LOGIC | TYPE_ERROR | IMPORT | INDENTATION | RUNTIME
+5. "line": the line number in the SOURCE FILE where the bug is. 0 if unknown.
+6. Include EVERY distinct error from user source code.
+7. Ignore node_modules, npm install logs, system paths.
+8. "error": the error line for this issue copied VERBATIM from the output (not paraphrased).
+
+${srcFiles}
+
+Return ONLY this JSON:
+{ "issues": [ { "description": "...", "error": "...", "file": "src/...", "type": "...", "line": 0, "status": "OPEN" } ] }
+
+Test/Build Output:
+${output.substring(0, 12000)}
+`;
+
+    try {
+        const response = await timeLlmCall('analyzer', () => model.invoke([new HumanMessage(prompt)]), { model: modelName, onUsage: options.onUsage });
+        const content = response.content.replace(/```json/g, '').replace(/```/g, '').trim();
+        return JSON.parse(content).issues || [];
+    } catch (e) {
+        console.error('[Analyzer] LLM Parse Error:', e.message);
+        return [];
+    }
+}
+
+// Failing tests listed per prompt; the rest are left for the next iteration
+const MAX_FAILURES = 40;
+
+const describeFailure = (failure, idx) => [
+    `#${idx + 1} [${failure.engine}] ${failure.suite ? `${failure.suite} › ` : ''}${failure.name}`,
+    `  test: ${failure.testFile || 'unknown'}${failure.testLine ? `:${failure.testLine}` : ''}`,
+    `  error: ${failure.message}`,
+    failure.sourceFrames.length > 0
+        ? `  source frames: ${failure.sourceFrames.map(f => `${f.file}:${f.line}`).join(', ')}`
+        : '  source frames: none',
+    `  trace:\n${failure.stack.split('\n').slice(0, 15).map(line => `    ${line}`).join('\n')}`
+].join('\n');
+
+// What an issue is known to explain, for its fingerprint (services/issueFingerprint.js)
+const toEvidence = (failures) => ({
+    tests: failures.map(f => f.id),
+    message: failures[0].message,
+    frames: [...new Set(failures.flatMap(f => f.sourceFrames.map(frame => frame.file)))]
+});
+
+// Used when the LLM is unavailable: blame the innermost source frame, else the test itself
+const issuesFromFrames = (failures) => {
+    const issues = new Map();
+    for (const failure of failures) {
+        const location = failure.sourceFrames[0] || { file: failure.testFile, line: failure.testLine };
+        if (!location.file) continue;
+        const key = `${location.file}::${location.line}`;
+        if (!issues.has(key)) {
+            issues.set(key, {
+                description: `${failure.name}: ${failure.message}`,
+                file: location.file,
+                type: 'LOGIC',
+                line: location.line || 0,
+                status: 'OPEN',
+                failures: []
+            });
+        }
+        issues.get(key).failures.push(failure);
+    }
+    return [...issues.values()].map(({ failures: explained, ...issue }) => ({ ...issue, evidence: toEvidence(explained) }));
+};
+
+/**
+ * Maps failing tests parsed from structured reports (see services/testReports.js)
+ * to the source locations that need fixing. The failures themselves are already
+ * exact, so the LLM only decides where each one originates and what kind of bug
+ * it is; without a usable answer the innermost source frame of each failure is used.
+ * Issues carry `evidence` (the failing tests they explain) for fingerprinting.
+ * @param {object[]} failures - resolved failures
+ * @param {string} [modelName]
+ * @param {{onUsage?: Function, withinBudget?: Function}} [options] - as for analyzeOutput
+ * @returns {Promise<object[]>} issues in the same shape as analyzeOutput
+ */
+async function analyzeFailures(failures, modelName = 'gpt-4-turbo', options = {}) {
+    if (options.withinBudget && !options.withinBudget()) return [];
+    const model = new ChatOpenAI({ modelName, temperature: 0 });
+    const listed = failures.slice(0, MAX_FAILURES);
+
+    const prompt = `
+You are a CI/CD diagnostic agent. The failing tests below were parsed from the test runner's own reports, so
+names, messages, files and lines are exact. Map each failure to the place in the SOURCE CODE that must change.
+
+CRITICAL RULES:
+1. Prefer the given source frames; the innermost frame is not always the bug — pick the frame whose code is wrong.
+2. Without source frames, infer the source file from the test's imports/subject; only blame the test file if the test itself is wrong.
+3. "file" MUST be a RELATIVE path from repo root as written below. NEVER absolute paths.
+4. "type": LINTING | SYNTAX | LOGIC | TYPE_ERROR | IMPORT | INDENTATION | RUNTIME
+5. "line": the line number in the SOURCE FILE where the bug is. 0 if unknown.
+6. Several failures caused by the same bug are ONE issue.
+7. "failures": the #numbers of the failing tests the issue explains.
+
+Return ONLY this JSON:
+{ "issues": [ { "description": "...", "file": "src/...", "type": "...", "line": 0, "status": "OPEN", "failures": [1] } ] }
+
+Failing tests (${listed.length} of ${failures.length}):
+${listed.map(describeFailure).join('\n\n')}
+`;
+
+    try {
+        const response = await timeLlmCall('analyzer', () => model.invoke([new HumanMessage(prompt)]), { model: modelName, onUsage: options.onUsage });
+        const content = response.content.replace(/```json/g, '').replace(/```/g, '').trim();
+        const issues = JSON.parse(content).issues || [];
+        if (issues.length > 0) {
+            return issues.map(({ failures: numbers = [], ...issue }) => {
+                const explained = [].concat(numbers).map(n => listed[Number(n) - 1]).filter(Boolean);
+                return explained.length > 0 ? { ...issue, evidence: toEvidence(explained) } : issue;
+            });
+        }
+        console.log('[Analyzer] LLM mapped no failures, falling back to stack frames');
+    } catch (e) {
+        console.error('[Analyzer] LLM mapping failed, falling back to stack frames:', e.message);
+    }
+    return issuesFromFrames(listed);
+}
+
+module.exports = { analyzeOutput, analyzeFailures };
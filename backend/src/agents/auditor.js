@@ -2,9 +2,26 @@ const simpleGit = require('simple-git');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { loadRepoConfig, CONFIG_FILE } = require('../services/repoConfig');
+const { withCredentials } = require('../services/repoUrl');
 
 const git = simpleGit();
 
+// Team and leader names come from API callers, the CLI and webhook actors ("dependabot[bot]"):
+// keep only characters valid in a git branch name, with no ".." and no leading "." or "-"
+const refPart = (name) => String(name).toUpperCase()
+    .replace(/[^A-Z0-9_.-]/g, '_')
+    .replace(/\.{2,}/g, '_')
+    .replace(/^[.-]+/, '');
+
+/**
+ * Fix branch name: TEAM_LEADER_AI_Fix_<timestamp>
+ * @param {string} teamName
+ * @param {string} leaderName
+ * @param {number} timestamp
+ */
+const fixBranchName = (teamName, leaderName, timestamp) => `${refPart(teamName)}_${refPart(leaderName)}_AI_Fix_${timestamp}`;
+
 /**
  * Agent One: The Auditor
  * Tasks:
@@ -12,36 +29,45 @@ const git = simpleGit();
  * 2. Analyze structure (language detection)
  * 3. Generate initial issues_log.json
  * 4. Generate unique branch name
+ * 5. Read the repo's optional .autoheal.yml (see services/repoConfig.js)
+ *
+ * options.baseBranch / options.baseSha: branch to clone and commit to branch off
+ * (defaults to the remote's default branch HEAD).
+ *
+ * The clone uses the token of the repo's host only (repoUrl.withCredentials).
+ *
+ * repoUrl may be a file:// URL (services/repoUrl.js): a local working copy or
+ * bare repository is cloned the same way, without a token, and stays `origin`,
+ * so the fix branch is pushed back to it. A working copy contributes its
+ * committed history only, starting from its checked-out branch.
  */
-async function runAuditor(repoUrl, teamName, leaderName) {
+async function runAuditor(repoUrl, teamName, leaderName, runId = uuidv4(), options = {}) {
+    const { baseBranch, baseSha } = options;
     console.log('[Auditor] Starting analysis...');
 
-    const repoName = repoUrl.split('/').pop().replace('.git', '');
-    const runId = uuidv4(); // Unique ID for this run
+    // Only safe characters reach the filesystem path, whatever the URL looked like
+    const repoName = repoUrl.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '').replace(/[^\w.-]/g, '_');
     const localPath = path.resolve(__dirname, '../../../temp', `${repoName}-${runId}`);
 
     // Unique Branch Name: TEAM_LEADER_AI_Fix_<timestamp>
-    const timestamp = Date.now();
-    const branchName = `${teamName.toUpperCase().replace(/ /g, '_')}_${leaderName.toUpperCase().replace(/ /g, '_')}_AI_Fix_${timestamp}`;
+    const branchName = fixBranchName(teamName, leaderName, Date.now());
 
     try {
         // 1. Clone
         console.log(`[Auditor] Cloning ${repoUrl} to ${localPath}...`);
 
-        let authUrl = repoUrl;
-        const token = process.env.GITHUB_TOKEN;
-        if (token && repoUrl.startsWith('https://')) {
-            authUrl = repoUrl.replace('https://', `https://${token}@`);
-        }
-
-        await git.clone(authUrl, localPath);
+        await git.clone(withCredentials(repoUrl), localPath, baseBranch ? ['--branch', baseBranch] : []);
 
         // 2. Setup Git User
         const repoGit = simpleGit(localPath);
         await repoGit.addConfig('user.name', 'VicRaptors AI Agent');
         await repoGit.addConfig('user.email', 'agent@vicraptors.com');
 
-        // 3. Checkout Branch
+        // 3. Checkout Branch (from the requested commit, if any)
+        if (baseSha) {
+            console.log(`[Auditor] Checking out ${baseSha}...`);
+            await repoGit.checkout(baseSha);
+        }
         console.log(`[Auditor] Creating branch ${branchName}...`);
         await repoGit.checkoutLocalBranch(branchName);
 
@@ -50,6 +76,8 @@ async function runAuditor(repoUrl, teamName, leaderName) {
             runId,
             repoUrl,
             branchName,
+            baseBranch: baseBranch || null,
+            baseSha: baseSha || null,
             status: 'IN_PROGRESS',
             startTime: new Date().toISOString(),
             issues: [] // Will be populated by Orchestrator analyzing test output
@@ -58,11 +86,20 @@ async function runAuditor(repoUrl, teamName, leaderName) {
         const logPath = path.join(localPath, 'issues_log.json');
         fs.writeFileSync(logPath, JSON.stringify(issuesLog, null, 2));
 
+        // 5. Repository config — validation errors are returned for the run log, not thrown
+        const { config, found: configFound, errors: configErrors } = loadRepoConfig(localPath);
+        if (configErrors.length > 0) {
+            console.error(`[Auditor] Invalid ${CONFIG_FILE}:`, configErrors);
+        }
+
         return {
             success: true,
             localPath,
             branchName,
             runId,
+            config,
+            configFound,
+            configErrors,
             repoGit: repoGit // Passed for commiting later
             // Note: We can't pass the git instance object easily via JSON if serialized,
             // but we can re-instantiate simpleGit(localPath) in other agents.
@@ -74,4 +111,4 @@ async function runAuditor(repoUrl, teamName, leaderName) {
     }
 }
 
-module.exports = { runAuditor };
+module.exports = { runAuditor, fixBranchName };
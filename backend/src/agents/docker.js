@@ -2,6 +2,7 @@ const Docker = require('dockerode');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { recordSandboxExecution } = require('../services/metrics');
 
 // Initialize Docker client (assumes /var/run/docker.sock is mounted)
 const docker = new Docker({ socketPath: '/var/run/docker.sock' });
@@ -12,10 +13,30 @@ const docker = new Docker({ socketPath: '/var/run/docker.sock' });
  * @param {string} localPath - Absolute path to the code on the host (where agent runs)
  * @param {string} testCmd - Command to run inside the container
  * @param {string} imageName - Docker image to use (e.g., 'node:18-alpine')
- * @returns {Promise<{success: boolean, output: string}>}
+ * @param {{signal?: AbortSignal, engine?: string, reports?: string[], collect?: string[]}} [options] - Aborting
+ *   the signal kills the container; engine labels the execution metrics (defaults to the image name); reports
+ *   are shell globs (relative to the repo root) of test report files to read back once the command has
+ *   finished; collect names repository files the command may rewrite (lockfiles), read back as they are
+ * @returns {Promise<{success: boolean, output: string, reports: {path: string, content: string}[],
+ *   files: {path: string, content: string}[]}>} files: the collected files that exist after the command
  */
-async function runTestsInSandbox(localPath, testCmd, imageName) {
+async function runTestsInSandbox(localPath, testCmd, imageName, options = {}) {
+    const { signal, engine = imageName, reports: reportGlobs = [], collect = [] } = options;
+    if (signal && signal.aborted) {
+        return { success: false, output: 'Sandbox execution cancelled.', reports: [], files: [] };
+    }
+
     let container;
+    // Killing the container ends the exec stream, which unblocks the output capture below
+    const onAbort = () => {
+        console.log('[DockerSandbox] Run cancelled, killing container...');
+        if (container) container.kill().catch(() => { /* already stopped */ });
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    const startedAt = Date.now();
+    let exitCode = 'error';
+
     try {
         console.log(`[DockerSandbox] Preparing to run in ${imageName}...`);
 
@@ -33,6 +54,7 @@ async function runTestsInSandbox(localPath, testCmd, imageName) {
         });
 
         await container.start();
+        if (signal && signal.aborted) throw new Error('cancelled');
 
         // 2. Copy Files
         // Use system 'tar' to stream files from localPath to the container
@@ -67,20 +89,38 @@ async function runTestsInSandbox(localPath, testCmd, imageName) {
 
         // Get exit code
         const inspect = await exec.inspect();
-        const success = inspect.ExitCode === 0;
+        const success = inspect.ExitCode === 0 && !(signal && signal.aborted);
+        exitCode = signal && signal.aborted ? 'cancelled' : inspect.ExitCode;
 
         console.log(`[DockerSandbox] Finished. Success: ${success}`);
 
-        return { success, output };
+        const reports = reportGlobs.length > 0 && !(signal && signal.aborted)
+            ? await readReports(container, reportGlobs)
+            : [];
+        const files = collect.length > 0 && !(signal && signal.aborted)
+            ? await readFiles(container, collect)
+            : [];
+
+        return { success, output, reports, files };
 
     } catch (error) {
+        if (signal && signal.aborted) {
+            exitCode = 'cancelled';
+            return { success: false, output: 'Sandbox execution cancelled.', reports: [], files: [] };
+        }
         console.error('[DockerSandbox] Error:', error);
-        return { success: false, output: `Sandbox execution failed: ${error.message}` };
+        return { success: false, output: `Sandbox execution failed: ${error.message}`, reports: [], files: [] };
     } finally {
+        recordSandboxExecution(engine, (Date.now() - startedAt) / 1000, exitCode);
+        if (signal) signal.removeEventListener('abort', onAbort);
         if (container) {
             try {
-                await container.stop();
-                await container.remove();
+                if (signal && signal.aborted) {
+                    await container.remove({ force: true });
+                } else {
+                    await container.stop();
+                    await container.remove();
+                }
             } catch (cleanupError) {
                 console.error('[DockerSandbox] Cleanup error:', cleanupError);
             }
@@ -88,4 +128,60 @@ async function runTestsInSandbox(localPath, testCmd, imageName) {
     }
 }
 
-module.exports = { runTestsInSandbox };
+// One line per file: its path and its content, each base64-encoded
+const FILE_LINE = /^([A-Za-z0-9+/]+=*) ([A-Za-z0-9+/]*=*)$/;
+
+/**
+ * Reads the files matching `globs` from the container in one exec. Each file is
+ * printed as one line of its base64-encoded path and content, so no file name or
+ * content can pass for another file's entry. Missing files are skipped and a
+ * failed read yields no files.
+ * @returns {Promise<{path: string, content: string}[]>} content exactly as in the container
+ */
+async function readFiles(container, globs) {
+    const script = `enc() { base64 | tr -d '\\n'; }; for f in ${globs.join(' ')}; do [ -f "$f" ] && printf %s "$f" | enc && printf ' ' && enc < "$f" && echo; done; true`;
+    try {
+        const exec = await container.exec({ Cmd: ['/bin/sh', '-c', script], AttachStdout: true, AttachStderr: false });
+        const stream = await exec.start();
+        let output = '';
+        await new Promise((resolve, reject) => {
+            docker.modem.demuxStream(stream, { write: (chunk) => { output += chunk.toString(); } }, { write: () => { } });
+            stream.on('end', resolve);
+            stream.on('error', reject);
+        });
+        const decode = (text) => Buffer.from(text, 'base64').toString('utf8');
+        return output.split('\n')
+            .map(line => line.match(FILE_LINE))
+            .filter(Boolean)
+            .map(([, encodedPath, encodedContent]) => ({ path: decode(encodedPath), content: decode(encodedContent) }));
+    } catch (e) {
+        console.error('[DockerSandbox] Failed to read files:', e.message);
+        return [];
+    }
+}
+
+// Test reports are read like any file; test results never depend on the read succeeding
+async function readReports(container, globs) {
+    const reports = (await readFiles(container, globs)).map(report => ({ ...report, content: report.content.trim() }));
+    console.log(`[DockerSandbox] Read ${reports.length} test report(s)`);
+    return reports;
+}
+
+/**
+ * Joins shell steps with && and runs them from `workDir` (relative to the repo root).
+ * Empty steps are dropped, so optional install steps can be passed as ''.
+ * @param {string} workDir
+ * @param {...string} steps
+ */
+function sandboxCommand(workDir, ...steps) {
+    const cmd = steps.filter(Boolean).join(' && ');
+    return workDir && workDir !== '.' ? `cd ${workDir} && ${cmd}` : cmd;
+}
+
+/**
+ * Quotes one argument for /bin/sh (test names and paths in targeted commands).
+ * @param {string} arg
+ */
+const shellQuote = (arg) => `'${String(arg).replace(/'/g, `'\\''`)}'`;
+
+module.exports = { runTestsInSandbox, sandboxCommand, shellQuote };
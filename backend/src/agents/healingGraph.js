@@ -0,0 +1,1145 @@
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+const { StateGraph, Annotation, START, END, NodeInterrupt } = require('@langchain/langgraph');
+const { runAuditor } = require('./auditor');
+const { runSolver } = require('./solver');
+const { analyzeOutput, analyzeFailures } = require('./analyzer');
+const { updateRun, emitRunEvent } = require('../services/runRegistry');
+const { saveArtifact, toArtifactName } = require('../services/artifacts');
+const { CONFIG_FILE } = require('../services/repoConfig');
+const { parseReports, resolveFailures } = require('../services/testReports');
+const { fingerprintIssue, withFingerprint, normalizeMessage } = require('../services/issueFingerprint');
+const regressionGuard = require('../services/regressionGuard');
+const { discoverProjects } = require('../services/workspaces');
+const { addUsage, budgetExceeded, hasBudget } = require('../services/llmUsage');
+
+/**
+ * Healing Graph
+ * The Orchestrator's pipeline as a LangGraph StateGraph:
+ *
+ *   audit → detectEngines → runTests
+ *   runTests → commit (all tests pass) | guard (a fix broke passing tests) | analyze;
+ *              failing tests are re-run first and those that pass on a retry are
+ *              set aside as flaky, never analysed or fixed
+ *   guard    → runTests (fixes reverted) | after-loop (last iteration)
+ *   analyze  → solve (issues found) | recover (none found) | after-loop (last iteration)
+ *   solve    → runTests (next iteration); each fix is verified by re-running its
+ *              failing tests as soon as it is written, and rolled back if they still fail
+ *   recover  → runTests (an engine recovery action helped) | after-loop
+ *   after-loop: sanity (fixes not yet verified) | commit (fixes or a pass) | finalize
+ *
+ * Every LLM call's tokens and estimated cost add up in llmUsage. The budget is
+ * checked before every LLM call; once the run's or its team's budget is spent
+ * (services/llmUsage.js) no further call is made: the Solver stops, the
+ * remaining engines of an analysis are not analysed, the run goes to after-loop,
+ * and it ends BUDGET_EXCEEDED unless its tests pass. Under a budget an analysis
+ * handles one engine at a time, so each call sees what the ones before it spent.
+ *   sanity → commit → push → finalize
+ *
+ * In approval mode (`requireApproval`, or git.requireApproval in .autoheal.yml)
+ * every route to commit goes to review instead, which publishes each fix's diff
+ * and sets the run AWAITING_APPROVAL:
+ *   review → decide → commit → push → finalize (straight to finalize when every fix was rejected)
+ * decide interrupts the graph (NodeInterrupt) until every fix has a decision;
+ * decisions are written into the checkpointed state and the run is resumed
+ * (see orchestrator.js decideFix). Rejected fixes are reverted before the commit.
+ *
+ * In a dry run every route to commit goes to patch instead, which archives the
+ * fixes as unified diffs and ends the run without committing or pushing:
+ *   patch → finalize
+ *
+ * detectEngines discovers every project in the repository (services/workspaces.js):
+ * a monorepo's workspace packages, modules and builds are each a unit of their
+ * own, named by their project id ("node", "node:packages/api") wherever the run
+ * reports an engine. The projects of a test run (runTests, sanity) run side by
+ * side, at most MAX_PARALLEL_ENGINES (env, default 3) sandboxes at a time per
+ * run; each one's duration is logged and its results stay in its own report.
+ *
+ * Every routing decision is a conditional edge below, and every edge leaving a
+ * node checks for cancellation first (→ cancel). Nodes receive the run state and
+ * return the fields they change; the runId (thread_id) and AbortSignal travel in
+ * `config.configurable`, since they are not part of the persisted state.
+ */
+
+const ENGINES = {
+    node: require('../engines/node'),
+    python: require('../engines/python'),
+    java: require('../engines/java'),
+    go: require('../engines/go'),
+    ruby: require('../engines/ruby')
+};
+
+// A field that each node overwrites (no merging), with a default value
+const field = (defaultValue) => Annotation({ reducer: (_, next) => next, default: () => defaultValue });
+
+/**
+ * Run state, checkpointed after every node.
+ * @typedef {typeof RunState.State} HealingRunState
+ */
+const RunState = Annotation.Root({
+    // Inputs (see startOrchestrator)
+    repoUrl: field(null),
+    teamName: field(null),
+    leaderName: field(null),
+    baseBranch: field(null),
+    baseSha: field(null),
+    maxIterations: field(null),     // explicit override; otherwise .autoheal.yml, then 6
+    pushAllowed: field(true),       // false: never push (API/CLI option)
+    dryRun: field(false),           // true: patches instead of commits, never push (API/CLI option)
+    requireApproval: field(null),   // true/false: review fixes before committing (API/CLI option); null: per .autoheal.yml
+    trigger: field(null),
+    startTime: field(null),
+    resumeCount: field(0),          // times the run was resumed after a backend restart
+
+    // audit
+    localPath: field(null),
+    branchName: field(null),
+    config: field(null),            // parsed .autoheal.yml merged over the defaults
+
+    // detectEngines
+    projects: field([]),            // discovered projects: { id, engine, dir, ... } (services/workspaces.js)
+    engines: field([]),             // ids of the projects that run
+    maxIter: field(6),
+
+    // Healing loop
+    iteration: field(0),
+    outputLog: field([]),
+    lastTestOutput: field(''),
+    lastTestReports: field([]),     // per engine: { engine, success, formats, counts, tests, failures, output, durationMs }
+    testHistory: field({}),         // "<engine>::<test id>" → status on every test run (services/regressionGuard.js)
+    flakyTests: field([]),          // tests that failed and then passed on a retry: { engine, id, name, file, message, retry, iteration }
+    lastPass: field(null),          // last Solver pass: { changes: {file: content before}, fixes: [{fingerprint, files}] }
+    regressions: field([]),         // tests the last Solver pass broke
+    testsPassed: field(false),
+    pendingIssues: field(0),        // new + re-opened issues found by the last analysis
+    allFixes: field([]),            // all fixes applied across iterations
+    recoveryAttempts: field([]),    // "<project id>::<action>" of every recovery action tried
+    recovered: field(false),        // the last recovery got a failing project past its environment error
+    llmUsage: field(null),          // tokens and estimated cost of every LLM call (services/llmUsage.js)
+    budgetExceeded: field(null),    // why the run may make no further LLM calls
+    isSuccess: field(false),
+    committed: field([]),
+    patched: field([]),             // dry run: FIXED issues with their diff artifact
+    approval: field(null),          // approval mode: { requestedAt, fixes: [{ fingerprint, diff, decision, ... }] }
+
+    // Set once the run has reached a terminal status inside the graph
+    status: field(null)
+});
+
+// --- Helpers ---
+
+const PATCH_ARTIFACT = 'fixes.patch';
+const MAX_PARALLEL_ENGINES = parseInt(process.env.MAX_PARALLEL_ENGINES, 10) || 3;
+
+const runIdOf = (config) => config.configurable.thread_id;
+const isCancelled = (config) => Boolean(config.configurable.signal && config.configurable.signal.aborted);
+
+const updateFrontend = (runId, data) => {
+    try {
+        updateRun(runId, data);
+    } catch (e) {
+        console.error('[Orchestrator] Update frontend failed:', e);
+    }
+};
+
+const issuesLogPath = (state) => path.join(state.localPath, 'issues_log.json');
+
+const readLog = (state) => {
+    try { return JSON.parse(fs.readFileSync(issuesLogPath(state), 'utf8')); }
+    catch { return { issues: [] }; }
+};
+const writeLog = (state, log) => fs.writeFileSync(issuesLogPath(state), JSON.stringify(log, null, 2));
+
+// Issue shape pushed to the frontend (and recorded in the run history)
+const toIssueSummaries = (issues) => issues.map(iss => ({
+    fingerprint: fingerprintIssue(iss),
+    file: iss.file,
+    type: iss.type,
+    line: iss.line || 0,
+    description: iss.description,
+    status: iss.status,           // OPEN, FIXED, FAILED_* (incl. FAILED_VERIFICATION), SKIPPED_PATH_DENIED, REVERTED_REGRESSION, FLAKY, REJECTED
+    commitMessage: iss.commitMessage || null,
+    regressedTests: iss.regressedTests || [],
+    verification: iss.verification || null,
+    engine: iss.engine || null      // engine whose test run reported it
+}));
+
+// Ends the run: archives the issues log as it stands, then publishes the terminal status
+const finishRun = (state, config, data) => {
+    const runId = runIdOf(config);
+    if (state.localPath && fs.existsSync(issuesLogPath(state))) {
+        saveArtifact(runId, 'issues_log.json', fs.readFileSync(issuesLogPath(state)));
+    }
+    updateFrontend(runId, data);
+    return { status: data.status };
+};
+
+// A node's LLM calls: their usage is added to the run's total and published as each call returns
+const llmCalls = (state, config) => {
+    const runId = runIdOf(config);
+    let usage = state.llmUsage;
+    return {
+        onUsage: (call) => {
+            usage = addUsage(usage, call);
+            updateFrontend(runId, { llmUsage: usage });
+        },
+        exceeded: () => budgetExceeded({ teamName: state.teamName, usage, repoBudget: state.config.budget }),
+        limited: () => hasBudget({ teamName: state.teamName, repoBudget: state.config.budget }),
+        usage: () => usage
+    };
+};
+
+const engineConfig = (state, name) => state.config.engines[name] || {};
+
+// Runs one project's tests by id; checkpoints from before project discovery list
+// bare engine names, which run at the engine's subDir.
+// options.tests narrows the run to those failures where the engine supports it;
+// options.recovery runs one of the engine's recovery actions first
+const projectOf = (state, id) => (state.projects || []).find(p => p.id === id)
+    || { id, engine: id, dir: engineConfig(state, id).subDir || '.' };
+
+const runEngine = (state, config, id, options = {}) => {
+    const project = projectOf(state, id);
+    return ENGINES[project.engine].run(state.localPath, project, {
+        ...options, signal: config.configurable.signal, config: engineConfig(state, project.engine)
+    });
+};
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * Runs the named engines concurrently, at most MAX_PARALLEL_ENGINES at a time,
+ * timing each one. Results come back in the order of `names` whatever order the
+ * engines finish in; an engine that throws yields a failed result with the error
+ * as its output.
+ * @returns {Promise<{name: string, result: {success: boolean, output: string, reports: object[]}, durationMs: number}[]>}
+ */
+const runEngines = async (state, config, names) => {
+    const runs = new Array(names.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < names.length) {
+            const index = next++;
+            const name = names[index];
+            const startedAt = Date.now();
+            let result;
+            try {
+                result = await runEngine(state, config, name);
+            } catch (e) {
+                console.error(`[Orchestrator] Engine execution failed:`, e);
+                result = { success: false, output: `Engine execution failed: ${e.message}`, reports: [] };
+            }
+            runs[index] = { name, result, durationMs: Date.now() - startedAt };
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_ENGINES, names.length) }, worker));
+    return runs;
+};
+
+/**
+ * An engine's test results from its structured reports. `output` keeps the raw
+ * output only when the engine failed without a parsed failing test (build
+ * error, broken install, no report), so that part still goes to the LLM whole.
+ */
+const toTestReport = (state, engine, result) => {
+    const { formats, results } = parseReports(result.reports || []);
+    const failures = resolveFailures(state.localPath, engine, results);
+    const count = (status) => results.filter(r => r.status === status).length;
+    return {
+        engine,
+        success: result.success,
+        formats,
+        counts: { passed: count('passed'), failed: failures.length, skipped: count('skipped') },
+        tests: Object.fromEntries(results.map(r => [r.id, r.status])),
+        failures,
+        output: !result.success && failures.length === 0 ? result.output : null
+    };
+};
+
+const testName = (failure) => (failure.suite ? `${failure.suite} › ${failure.name}` : failure.name);
+
+/**
+ * Checks a freshly written fix in the sandbox (the Solver's `verify` hook).
+ *
+ * An issue mapped from structured reports is verified by re-running just the
+ * failing tests it explains; every one of them must now pass. Engines that
+ * cannot target tests (or whose targeted run does not report them) run their
+ * whole suite instead. An issue found in raw output has no test to target: all
+ * engines (or just the issue's engine) run, and the fix counts when they pass or
+ * its error line is gone.
+ * @returns {Promise<{verified: boolean, detail: string}>}
+ */
+const verifyFix = async (state, config, issue) => {
+    const testIds = new Set((issue.evidence && issue.evidence.tests) || []);
+    const targets = state.lastTestReports.flatMap(report => report.failures.filter(failure => testIds.has(failure.id)));
+
+    if (targets.length > 0) {
+        const stillFailing = [];
+        for (const name of [...new Set(targets.map(target => target.engine))]) {
+            const tests = targets.filter(target => target.engine === name);
+            let report = toTestReport(state, name, await runEngine(state, config, name, { tests }));
+            if (!tests.some(test => test.id in report.tests)) {
+                report = toTestReport(state, name, await runEngine(state, config, name));
+            }
+            stillFailing.push(...tests.filter(test => report.tests[test.id] !== 'passed'));
+        }
+        return stillFailing.length === 0
+            ? { verified: true, detail: `${targets.map(testName).join(', ')} now pass${targets.length === 1 ? 'es' : ''}` }
+            : { verified: false, detail: `still failing: ${stillFailing.map(testName).join(', ')}` };
+    }
+
+    // The engine whose output the issue was found in, when known
+    const names = issue.engine && state.engines.includes(issue.engine) ? [issue.engine] : state.engines;
+    const runs = await runEngines(state, config, names);
+    const output = runs.map(run => run.result.output).join('\n');
+    if (runs.every(run => run.result.success)) return { verified: true, detail: `${names.join(', ')} test suite(s) pass` };
+    const error = normalizeMessage(issue.error);
+    if (!error) return { verified: false, detail: 'test suites still fail and the issue has no error line to check' };
+    return normalizeMessage(output).includes(error)
+        ? { verified: false, detail: `error still reported: ${issue.error}` }
+        : { verified: true, detail: 'error no longer reported' };
+};
+
+const FLAKY_ENTRY = '(engine)';
+
+// Output of a suite that cannot have passed by chance: it failed to compile or load
+const BUILD_ERROR = /\b(SyntaxError|IndentationError|TabError|ModuleNotFoundError|COMPILATION ERROR|Compilation failed|cannot find symbol|error TS\d+)\b|Cannot find module|\[(build|setup) failed\]/;
+
+/**
+ * Re-runs the failing tests of a test run up to `flaky.retries` (.autoheal.yml)
+ * times each. A test that passes on a retry is flaky; so is a known flaky test
+ * (found earlier in the run) that fails again, without a retry. Flaky tests are
+ * taken out of their report's failures, marked 'flaky' in its tests and counted
+ * in counts.flaky, so they never reach the Analyzer, the Solver or the
+ * regression guard; a report left without failures passes. A report that failed
+ * without parsed tests retries its whole suite, unless its output is a build
+ * error (BUILD_ERROR), and passes as flaky only when one of these retries
+ * passes — a suite that was flaky before is retried again, never passed unseen.
+ * @returns {Promise<{testReports: object[], found: object[]}>} updated reports and
+ *   the tests newly classified as flaky
+ */
+const detectFlaky = async (state, config, testReports, iteration) => {
+    const { retries = 0 } = state.config.flaky || {};
+    const known = new Set(state.flakyTests.map(test => `${test.engine}::${test.id}`));
+    const found = [];
+    const updated = [];
+
+    for (const report of testReports) {
+        if (report.success || retries === 0) {
+            updated.push(report);
+            continue;
+        }
+        const flaky = report.failures.filter(failure => known.has(`${report.engine}::${failure.id}`));
+        let remaining = report.failures.filter(failure => !flaky.includes(failure));
+        let suiteFlaky = false;
+        const suiteRetries = report.failures.length === 0 && !BUILD_ERROR.test(report.output || '') ? retries : 0;
+
+        for (let retry = 1; retry <= suiteRetries && !isCancelled(config) && !suiteFlaky; retry++) {
+            if ((await runEngine(state, config, report.engine)).success) {
+                suiteFlaky = true;
+                if (!known.has(`${report.engine}::${FLAKY_ENTRY}`)) {
+                    found.push({ engine: report.engine, id: FLAKY_ENTRY, name: `${report.engine} test suite`, file: null, message: '', retry, iteration });
+                }
+            }
+        }
+        for (let retry = 1; retry <= retries && remaining.length > 0 && !isCancelled(config); retry++) {
+            let rerun = toTestReport(state, report.engine, await runEngine(state, config, report.engine, { tests: remaining }));
+            if (!remaining.some(test => test.id in rerun.tests)) {
+                rerun = toTestReport(state, report.engine, await runEngine(state, config, report.engine));
+            }
+            const passed = remaining.filter(test => rerun.tests[test.id] === 'passed');
+            found.push(...passed.map(test => ({
+                engine: report.engine, id: test.id, name: testName(test), file: test.testFile, message: test.message, retry, iteration
+            })));
+            flaky.push(...passed);
+            remaining = remaining.filter(test => !passed.includes(test));
+        }
+
+        if (flaky.length === 0 && !suiteFlaky) {
+            updated.push(report);
+            continue;
+        }
+        const failures = report.failures.filter(failure => !flaky.includes(failure));
+        updated.push({
+            ...report,
+            success: failures.length === 0 && (report.output === null || suiteFlaky),
+            failures,
+            output: suiteFlaky ? null : report.output,
+            tests: { ...report.tests, ...Object.fromEntries(flaky.map(test => [test.id, 'flaky'])) },
+            counts: { ...report.counts, failed: failures.length, flaky: flaky.length + (suiteFlaky ? 1 : 0) }
+        });
+    }
+    return { testReports: updated, found };
+};
+
+// Log lines for a test run's per-engine results and the tests it found flaky
+const testRunLines = (testReports, found) => [
+    ...testReports.map(report => `  ${report.success ? '✓' : '✗'} ${report.engine} ${report.success ? 'passed' : 'failed'} in ${formatDuration(report.durationMs)}`
+        + (report.counts.flaky ? ` (${report.counts.flaky} flaky test(s) excluded)` : '')),
+    ...found.map(test => `  ⚠ Flaky: [${test.engine}] ${test.name} passed on retry ${test.retry}`)
+];
+
+// --- Nodes ---
+
+/** Phase 1: clone, branch and read .autoheal.yml */
+async function audit(state, config) {
+    const runId = runIdOf(config);
+    const auditorResult = await runAuditor(state.repoUrl, state.teamName, state.leaderName, runId, {
+        baseBranch: state.baseBranch, baseSha: state.baseSha
+    });
+    if (!auditorResult.success) {
+        return finishRun(state, config, { status: 'FAILED', endTime: Date.now(), logs: [`✗ Auditor failed: ${auditorResult.error}`] });
+    }
+
+    const { localPath, branchName } = auditorResult;
+    if (auditorResult.configErrors.length > 0) {
+        return {
+            localPath, branchName,
+            ...finishRun({ localPath }, config, {
+                branchName, status: 'FAILED', endTime: Date.now(),
+                logs: [`✓ Cloned repo`, `✗ Invalid ${CONFIG_FILE}:`, ...auditorResult.configErrors.map(err => `  • ${err}`)]
+            })
+        };
+    }
+
+    if (!isCancelled(config)) {
+        updateFrontend(runId, {
+            branchName,
+            logs: [`✓ Cloned repo`, `✓ Branch: ${branchName}`, ...(auditorResult.configFound ? [`✓ Loaded ${CONFIG_FILE}`] : [])]
+        });
+    }
+    return { localPath, branchName, config: auditorResult.config };
+}
+
+/** Phase 2: discover the projects that run on every iteration */
+async function detectEngines(state, config) {
+    const projects = await discoverProjects(state.localPath, ENGINES, state.config.engines);
+
+    if (projects.length === 0) {
+        return finishRun(state, config, { status: 'FAILED', endTime: Date.now(), logs: ['✗ No supported language detected'] });
+    }
+
+    const engines = projects.map(project => project.id);
+    const logs = [`✓ Detected engines: ${[...new Set(projects.map(project => project.engine))].join(', ')}`];
+    if (projects.some(project => project.dir !== '.')) {
+        logs.push(`✓ ${projects.length} project(s): ${engines.join(', ')}`);
+    }
+    console.log(`[Orchestrator] Projects: ${projects.map(project => `${project.id} (${project.dir})`).join(', ')}`);
+    updateFrontend(runIdOf(config), { logs, detectedEngines: engines.join(', ') });
+    return { projects, engines, maxIter: state.maxIterations || state.config.maxIterations || 6 };
+}
+
+/** Phase 3A: run every engine's test suite */
+async function runTests(state, config) {
+    const runId = runIdOf(config);
+    const i = state.iteration + 1;
+    const outputLog = [...state.outputLog];
+
+    console.log(`[Orchestrator] Iteration ${i}/${state.maxIter}...`);
+    outputLog.push(`━━━ Iteration ${i} / ${state.maxIter} ━━━`);
+    outputLog.push(state.engines.length > 1
+        ? `Running ${state.engines.length} test suites in parallel (up to ${MAX_PARALLEL_ENGINES} at a time)...`
+        : `Running test suite(s)...`);
+    updateFrontend(runId, { iterations: i, logs: [...outputLog] });
+    emitRunEvent(runId, 'iteration', { iteration: i, maxIterations: state.maxIter });
+
+    let combinedOutput = '';
+    const runs = await runEngines(state, config, state.engines);
+    for (const { name, result } of runs) {
+        combinedOutput += `\n--- START ${name} OUTPUT ---\n`;
+        combinedOutput += result.output;
+        combinedOutput += `\n--- END ${name} OUTPUT ---\n`;
+    }
+    const flaky = await detectFlaky(state, config,
+        runs.map(({ name, result, durationMs }) => ({ ...toTestReport(state, name, result), durationMs })), i);
+    const { testReports } = flaky;
+    const flakyTests = [...state.flakyTests, ...flaky.found];
+    const allEnginesPassed = testReports.every(report => report.success);
+    outputLog.push(...testRunLines(testReports, flaky.found));
+    saveArtifact(runId, `iteration-${i}.log`, combinedOutput);
+    if (testReports.some(report => report.formats.length > 0)) {
+        saveArtifact(runId, `test-results-${i}.json`, JSON.stringify(testReports.map(({ output, ...report }) => report), null, 2));
+    }
+    updateFrontend(runId, {
+        engineResults: testReports.map(({ engine, success, durationMs, counts }) => ({ engine, success, durationMs, counts })),
+        flakyTests
+    });
+
+    // Tests that passed before the last Solver pass and fail now
+    const regressions = state.lastPass ? regressionGuard.findRegressions(state.testHistory, testReports) : [];
+    const update = {
+        iteration: i, lastTestOutput: combinedOutput, lastTestReports: testReports, testsPassed: allEnginesPassed, outputLog, flakyTests,
+        testHistory: regressionGuard.recordTestStatuses(state.testHistory, testReports),
+        regressions,
+        lastPass: regressions.length > 0 ? state.lastPass : null
+    };
+    if (isCancelled(config)) return update;
+
+    outputLog.push(`Run result: ${allEnginesPassed ? '✓ PASS' : '✗ FAIL'}`);
+    if (allEnginesPassed) {
+        outputLog.push(`🎉 All tests PASSED on iteration ${i}!`);
+        updateFrontend(runId, { logs: [...outputLog] });
+        return { ...update, isSuccess: true };
+    }
+    return update;
+}
+
+/** Phase 3B: map the failures to issues and merge them into the issues log */
+async function analyze(state, config) {
+    const runId = runIdOf(config);
+    const i = state.iteration;
+    const outputLog = [...state.outputLog];
+
+    // Build set of already-addressed issues
+    const currentLog = readLog(state);
+    const addressedKeys = new Set(
+        currentLog.issues
+            .filter(iss => iss.status !== 'OPEN')
+            .map(fingerprintIssue)
+    );
+
+    const llm = llmCalls(state, config);
+    let overBudget = llm.exceeded();
+    if (overBudget) {
+        outputLog.push(`✗ LLM budget exceeded: ${overBudget}. Stopping the healing loop.`);
+        updateFrontend(runId, { logs: [...outputLog] });
+        return { outputLog, pendingIssues: 0, budgetExceeded: overBudget };
+    }
+
+    const scanLabel = i === 1 ? 'comprehensive scan' : 're-scan';
+    outputLog.push(`Analyzing failures (${scanLabel})...`);
+
+    // Failing tests parsed from reports only need mapping to source; raw output goes to the LLM whole
+    const parsed = state.lastTestReports.filter(report => report.failures.length > 0);
+    const unparsed = state.lastTestReports.filter(report => report.output !== null);
+    for (const report of parsed) {
+        outputLog.push(`  ${report.engine}: ${report.failures.length} failing test(s) parsed from ${report.formats.join(', ')} report(s)`);
+    }
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    // Each engine's failures are analysed on their own, so every issue knows the engine it came from.
+    // Every call checks the budget first; under a budget they run one at a time so none overshoots unseen
+    const analysis = { onUsage: llm.onUsage, withinBudget: () => !(overBudget = llm.exceeded()) };
+    const analyses = [
+        ...parsed.map(report => () => analyzeFailures(report.failures, state.config.model, analysis)
+            .then(issues => issues.map(iss => ({ ...iss, engine: report.engine })))),
+        ...unparsed.map(report => () => analyzeOutput(`\n--- START ${report.engine} OUTPUT ---\n${report.output}\n--- END ${report.engine} OUTPUT ---\n`, state.localPath, state.config.model, analysis)
+            .then(issues => issues.map(iss => ({ ...iss, engine: report.engine }))))
+    ];
+    const perEngine = [];
+    if (llm.limited()) {
+        for (const analyse of analyses) perEngine.push(await analyse());
+    } else {
+        perEngine.push(...await Promise.all(analyses.map(analyse => analyse())));
+    }
+    const analyzed = perEngine.flat();
+    if (state.lastTestReports.length === 0) {
+        // No reports at all: a run checkpointed before structured parsing existed
+        analyzed.push(...await analyzeOutput(state.lastTestOutput, state.localPath, state.config.model, analysis));
+    }
+    if (overBudget) outputLog.push(`✗ LLM budget exceeded: ${overBudget}. Remaining failures not analysed; stopping the healing loop.`);
+    // The same bug reported twice in one analysis is one issue
+    const discovered = [...new Map(analyzed.map(withFingerprint).map(iss => [iss.fingerprint, iss])).values()];
+
+    // Filter out already-addressed issues BUT check for persistence
+    const newIssues = [];
+    const reOpenedIssues = [];
+
+    for (const disc of discovered) {
+        // Check if this issue was supposedly FIXED
+        const existingFixed = currentLog.issues.find(iss =>
+            fingerprintIssue(iss) === disc.fingerprint && iss.status === 'FIXED'
+        );
+
+        if (existingFixed) {
+            // IT CAME BACK! Re-open it and flag as recurring for the Solver.
+            console.log(`[Orchestrator] Issue reappeared: ${disc.file}::${disc.type}`);
+            existingFixed.fingerprint = disc.fingerprint;
+            existingFixed.status = 'OPEN';
+            existingFixed.isRecurring = true;
+            existingFixed.description += " [NOTE: Previous fix failed. Check for dependency issues or incorrect import paths.]";
+            reOpenedIssues.push(existingFixed);
+            emitRunEvent(runId, 'issue', { action: 'reopened', issue: existingFixed });
+        } else if (!addressedKeys.has(disc.fingerprint)) {
+            // Truly new issue
+            newIssues.push(disc);
+        }
+    }
+
+    console.log(`[Orchestrator] Iter ${i}: ${discovered.length} found. New: ${newIssues.length}, Re-opened: ${reOpenedIssues.length}`);
+
+    const pendingIssues = newIssues.length + reOpenedIssues.length;
+    if (pendingIssues === 0) return { outputLog, pendingIssues, llmUsage: llm.usage(), budgetExceeded: overBudget };
+
+    if (reOpenedIssues.length > 0) {
+        outputLog.push(`⚠ ${reOpenedIssues.length} issue(s) reappeared after fix. Re-opening...`);
+    }
+
+    if (newIssues.length > 0) {
+        outputLog.push(`Found ${newIssues.length} new issue(s) to fix:`);
+        newIssues.forEach((iss, idx) => {
+            outputLog.push(`  ${idx + 1}. [${iss.type}] ${iss.file}:${iss.line || '?'} — ${iss.description}`);
+        });
+    }
+
+    // Merge into log + push to frontend immediately
+    const existingKeys = new Set(currentLog.issues.map(fingerprintIssue));
+    for (const iss of newIssues) {
+        if (!existingKeys.has(iss.fingerprint)) {
+            const discoveredIssue = { ...iss, status: 'OPEN', discoveredAt: i };
+            currentLog.issues.push(discoveredIssue);
+            emitRunEvent(runId, 'issue', { action: 'discovered', issue: discoveredIssue });
+        }
+    }
+    writeLog(state, currentLog);
+
+    // Push all issues (any status) to the frontend immediately so they appear in the table
+    updateFrontend(runId, { fixes: toIssueSummaries(currentLog.issues), logs: [...outputLog] });
+
+    if (i === state.maxIter) {
+        outputLog.push(`Max iterations (${state.maxIter}) reached.`);
+    }
+    return { outputLog, pendingIssues, llmUsage: llm.usage(), budgetExceeded: overBudget };
+}
+
+/**
+ * Writes back the files a recovery action rewrote in its sandbox. What comes back
+ * from the sandbox is the repository's to forge, so only the action's own files
+ * are written, and only over regular files inside the working copy — never
+ * through a symlink, nor above the repository root.
+ * @returns {{changed: string[], refused: string[]}} paths written, and paths refused with the reason
+ */
+const writeRecoveredFiles = (state, action, files) => {
+    const root = fs.realpathSync(state.localPath);
+    const inside = (p) => p.startsWith(root + path.sep);
+    const changed = [];
+    const refused = [];
+    for (const file of files) {
+        if (!action.files.includes(file.path)) {
+            refused.push(`${file.path} (not a file of ${action.name})`);
+            continue;
+        }
+        const target = path.resolve(root, file.path);
+        // Its directory too must be inside the repository once symlinks are resolved
+        const dir = fs.existsSync(path.dirname(target)) ? fs.realpathSync(path.dirname(target)) : null;
+        if (!inside(target) || !dir || (dir !== root && !inside(dir))) {
+            refused.push(`${file.path} (outside the repository)`);
+            continue;
+        }
+        const stat = fs.lstatSync(target, { throwIfNoEntry: false });
+        if (stat && !stat.isFile()) {
+            refused.push(`${file.path} (${stat.isSymbolicLink() ? 'a symlink' : 'not a regular file'})`);
+            continue;
+        }
+        if (stat && fs.readFileSync(target, 'utf8') === file.content) continue;
+        fs.writeFileSync(target, file.content);
+        changed.push(file.path);
+    }
+    return { changed, refused };
+};
+
+/**
+ * Phase 3C: tests failed but no code issue was found — try the failing projects'
+ * engine recovery actions (cache purges, lockfile regeneration, go mod tidy, ...).
+ * Each action runs in front of the project's test run, in the same sandbox. When
+ * the tests then pass, or at least get far enough to report failing tests, the
+ * files the action rewrote (lockfiles) are written back to the working copy and
+ * recorded as an ENVIRONMENT fix, so they are committed like any other fix; the
+ * project's remaining actions are skipped. Actions are tried once per run.
+ */
+async function recover(state, config) {
+    const runId = runIdOf(config);
+    const i = state.iteration;
+    const outputLog = [...state.outputLog];
+    const tried = new Set(state.recoveryAttempts);
+    const currentLog = readLog(state);
+    const allFixes = [...state.allFixes];
+    let recovered = false;
+
+    outputLog.push(`⚠ Tests failed but no code bugs detected. Attempting environment recovery...`);
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    for (const report of state.lastTestReports.filter(r => !r.success)) {
+        const project = projectOf(state, report.engine);
+        const engine = ENGINES[project.engine];
+        const actions = (engine.recoveryActions ? engine.recoveryActions(state.localPath, project) : [])
+            .filter(action => !tried.has(`${project.id}::${action.name}`));
+
+        for (const action of actions) {
+            if (isCancelled(config)) break;
+            tried.add(`${project.id}::${action.name}`);
+            outputLog.push(`  ↻ ${project.id}: ${action.description}...`);
+            updateFrontend(runId, { logs: [...outputLog] });
+
+            const result = await runEngine(state, config, project.id, { recovery: action });
+            const rerun = toTestReport(state, project.id, result);
+            if (!rerun.success && rerun.failures.length === 0) {
+                outputLog.push(`  ✗ ${project.id} still fails after ${action.name}`);
+                continue;
+            }
+
+            const { changed, refused } = writeRecoveredFiles(state, action, result.files || []);
+            outputLog.push(rerun.success
+                ? `  ✓ ${project.id} passes after ${action.name}`
+                : `  ✓ ${project.id} runs its tests again after ${action.name} (${rerun.failures.length} failing)`);
+            if (refused.length > 0) outputLog.push(`  ⚠ Not written back: ${refused.join(', ')}`);
+            if (changed.length > 0) {
+                const issue = withFingerprint({
+                    file: changed[0], type: 'ENVIRONMENT', line: 0,
+                    description: `${action.description} (${project.id})`,
+                    status: 'FIXED', engine: project.id, discoveredAt: i
+                });
+                currentLog.issues.push(issue);
+                allFixes.push({ ...issue, files: changed });
+                emitRunEvent(runId, 'issue', { action: 'fixed', issue });
+                outputLog.push(`  ✓ Kept ${changed.join(', ')}`);
+            }
+            recovered = true;
+            break;
+        }
+    }
+    writeLog(state, currentLog);
+
+    if (!recovered) {
+        outputLog.push(`Tests failed due to environment or system error; no recovery action helped.`);
+    }
+    updateFrontend(runId, { fixes: toIssueSummaries(currentLog.issues), logs: [...outputLog] });
+    return { outputLog, allFixes, recovered, recoveryAttempts: [...tried] };
+}
+
+/** Phase 3D: the Solver fixes every OPEN issue */
+async function solve(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+
+    outputLog.push(`Applying fixes to source files...`);
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    // Issues that only explain flaky tests are not bugs to fix
+    const flakyIds = new Set(state.flakyTests.map(test => `${test.engine}::${test.id}`));
+    const explainsOnlyFlaky = (iss) => {
+        const tests = (iss.evidence && iss.evidence.tests) || [];
+        return tests.length > 0 && tests.every(id => flakyIds.has(`${iss.engine}::${id}`));
+    };
+    const currentLog = readLog(state);
+    for (const iss of currentLog.issues.filter(iss => iss.status === 'OPEN' && explainsOnlyFlaky(iss))) {
+        iss.status = 'FLAKY';
+        outputLog.push(`  ⚠ Skipped [${iss.type}] in ${iss.file} — its failing tests are flaky`);
+        emitRunEvent(runId, 'issue', { action: 'flaky', issue: iss });
+    }
+    writeLog(state, currentLog);
+
+    const openIssues = currentLog.issues.filter(iss => iss.status === 'OPEN');
+    const snapshot = await regressionGuard.snapshotWorkingTree(state.localPath);
+    const llm = llmCalls(state, config);
+    let overBudget = null;
+    const solveResult = await runSolver(state.localPath, openIssues, issuesLogPath(state), state.lastTestOutput, {
+        model: state.config.model,
+        paths: state.config.solver,
+        verify: state.config.solver.verifyFixes === false ? null : (fix) => verifyFix(state, config, fix.issue),
+        onUsage: llm.onUsage,
+        withinBudget: () => !(overBudget = llm.exceeded())
+    });
+    const lastPass = {
+        changes: await regressionGuard.changesSince(state.localPath, snapshot),
+        fixes: solveResult.fixesApplied.map(fix => ({ fingerprint: fix.fingerprint, files: fix.files }))
+    };
+
+    solveResult.fixesApplied.forEach(fix => {
+        outputLog.push(`  ✓ Fixed [${fix.type}] in ${fix.file}${fix.verification ? ` — verified: ${fix.verification}` : ''}`);
+    });
+    solveResult.fixesRejected.forEach(fix => {
+        outputLog.push(`  ✗ Rolled back fix for [${fix.type}] in ${fix.file} — ${fix.verification}`);
+    });
+    if (overBudget) outputLog.push(`✗ LLM budget exceeded: ${overBudget}. Remaining issues left open.`);
+
+    // Re-read log (solver updated statuses) and push live to frontend
+    const updatedLog = readLog(state);
+    const attemptedKeys = new Set(openIssues.map(fingerprintIssue));
+    updatedLog.issues
+        .filter(iss => attemptedKeys.has(fingerprintIssue(iss)))
+        .forEach(iss => emitRunEvent(runId, 'issue', { action: iss.status === 'FIXED' ? 'fixed' : 'failed', issue: iss }));
+
+    updateFrontend(runId, { fixes: toIssueSummaries(updatedLog.issues), logs: [...outputLog] });
+    return {
+        outputLog, allFixes: [...state.allFixes, ...solveResult.fixesApplied], lastPass,
+        llmUsage: llm.usage(), budgetExceeded: overBudget
+    };
+}
+
+/** Phase 3E: revert the fixes of the last Solver pass that broke previously passing tests */
+async function guard(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+    const { regressions, lastPass } = state;
+
+    outputLog.push(`⚠ Regression: ${regressions.length} previously passing test(s) fail after the last fixes:`);
+    regressions.forEach(reg => outputLog.push(`  • [${reg.engine}] ${reg.name}`));
+
+    const blamed = regressionGuard.blameFixes(regressions, lastPass);
+    const revertedFixes = lastPass.fixes.filter(fix => blamed.has(fix.fingerprint));
+    const revertedFiles = regressionGuard.revertFiles(state.localPath, lastPass.changes, revertedFixes.flatMap(fix => fix.files));
+
+    const currentLog = readLog(state);
+    for (const iss of currentLog.issues) {
+        if (!blamed.has(fingerprintIssue(iss))) continue;
+        const brokenTests = blamed.get(fingerprintIssue(iss));
+        iss.status = 'REVERTED_REGRESSION';
+        iss.regressedTests = brokenTests;
+        outputLog.push(brokenTests.length > 0
+            ? `  ↺ Reverted fix for ${iss.file} — it broke ${brokenTests.join(', ')}`
+            : `  ↺ Reverted fix for ${iss.file} — it shares a file with a reverted fix`);
+        emitRunEvent(runId, 'issue', { action: 'reverted', issue: iss });
+    }
+    writeLog(state, currentLog);
+    console.log(`[Orchestrator] Reverted ${revertedFixes.length} fix(es) (${revertedFiles.join(', ')}) after ${regressions.length} regression(s)`);
+
+    updateFrontend(runId, { fixes: toIssueSummaries(currentLog.issues), logs: [...outputLog] });
+    return {
+        outputLog,
+        allFixes: state.allFixes.filter(fix => !blamed.has(fix.fingerprint)),
+        lastPass: null,
+        regressions: []
+    };
+}
+
+/** Phase 4: final sanity run, when fixes were applied but never confirmed passing */
+async function sanity(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+
+    outputLog.push(`━━━ Final Sanity Run ━━━`);
+    outputLog.push(`Running all engines one last time to verify all fixes...`);
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    let sanityCombinedOutput = '';
+    const runs = await runEngines(state, config, state.engines);
+    for (const { name, result } of runs) {
+        sanityCombinedOutput += `\n--- SANITY ${name} ---\n${result.output}\n`;
+    }
+    const flaky = await detectFlaky(state, config,
+        runs.map(({ name, result, durationMs }) => ({ ...toTestReport(state, name, result), durationMs })), state.iteration);
+    const sanityPassed = flaky.testReports.every(report => report.success);
+    const flakyTests = [...state.flakyTests, ...flaky.found];
+    outputLog.push(...testRunLines(flaky.testReports, flaky.found));
+    saveArtifact(runId, 'sanity.log', sanityCombinedOutput);
+
+    if (sanityPassed) {
+        outputLog.push(`🎉 Final Sanity Run PASSED! All fixes verified.`);
+    } else {
+        outputLog.push(`✗ Final Sanity Run failed — some issues persist.`);
+    }
+    updateFrontend(runId, { logs: [...outputLog], flakyTests });
+    return { outputLog, flakyTests, isSuccess: sanityPassed };
+}
+
+// Every file a fix wrote, as the Solver or a recovery action recorded them; fixes
+// from older checkpoints only know their issue's file
+const filesOfFix = (state, iss) => {
+    const fix = state.allFixes.find(f => f.fingerprint === fingerprintIssue(iss));
+    return fix && fix.files ? fix.files : [iss.file];
+};
+
+// Diffs beyond this are cut in the run payload; the review artifact keeps the whole diff
+const MAX_REVIEW_DIFF = 100000;
+
+// Restores files to their content at HEAD, deleting (and unstaging) files HEAD does not have
+const revertToHead = async (state, files) => {
+    const repoGit = simpleGit(state.localPath);
+    for (const file of files) {
+        const inHead = (await repoGit.raw(['ls-tree', '--name-only', 'HEAD', '--', file])).trim() !== '';
+        if (inHead) {
+            await repoGit.raw(['checkout', 'HEAD', '--', file]);
+        } else {
+            await repoGit.raw(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', file]);
+            fs.rmSync(path.join(state.localPath, file), { force: true });
+        }
+    }
+};
+
+/**
+ * Phase 5A (approval mode): archives each FIXED issue's diff as a review artifact
+ * and publishes it with the run, which waits AWAITING_APPROVAL from here on.
+ */
+async function review(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+    const repoGit = simpleGit(state.localPath);
+
+    const fixedIssues = readLog(state).issues.filter(iss => iss.status === 'FIXED');
+    const files = [...new Set(fixedIssues.flatMap(iss => filesOfFix(state, iss)))];
+    // Files the Solver created only appear in `git diff` once git knows about them
+    if (files.length > 0) await repoGit.raw(['add', '--intent-to-add', '--', ...files]);
+
+    const fixes = [];
+    for (const iss of fixedIssues) {
+        const diff = await repoGit.diff(['HEAD', '--', ...filesOfFix(state, iss)]);
+        const diffArtifact = `review-${fixes.length + 1}-${toArtifactName(iss.file)}.diff`;
+        saveArtifact(runId, diffArtifact, diff);
+        fixes.push({
+            fingerprint: fingerprintIssue(iss),
+            file: iss.file,
+            files: filesOfFix(state, iss),
+            type: iss.type,
+            description: iss.description,
+            engine: iss.engine || null,
+            diff: diff.slice(0, MAX_REVIEW_DIFF),
+            diffTruncated: diff.length > MAX_REVIEW_DIFF,
+            diffArtifact,
+            decision: null,         // approve | reject
+            comment: null,
+            decidedBy: null,
+            decidedAt: null
+        });
+    }
+
+    const approval = { requestedAt: Date.now(), fixes };
+    outputLog.push(`⏸ Awaiting approval of ${fixes.length} fix(es) — nothing is committed until each one is approved or rejected`);
+    updateFrontend(runId, { status: 'AWAITING_APPROVAL', approval, logs: [...outputLog] });
+    return { outputLog, approval };
+}
+
+/**
+ * Phase 5A (approval mode): waits for every fix's decision, then reverts the
+ * rejected fixes. Fixes sharing a file with a rejected fix are reverted with it,
+ * since the file goes back to HEAD. The tests are not re-run, so a run with
+ * rejected fixes no longer counts as passing.
+ */
+async function decide(state, config) {
+    // A cancelled review ends without touching the working copy
+    if (isCancelled(config)) return {};
+    const undecided = state.approval.fixes.filter(fix => !fix.decision);
+    if (undecided.length > 0) throw new NodeInterrupt(`Awaiting approval of ${undecided.length} fix(es)`);
+
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+    const rejected = new Set(state.approval.fixes.filter(fix => fix.decision === 'reject').map(fix => fix.fingerprint));
+    let grew = true;
+    while (grew) {
+        const revertedFiles = new Set(state.approval.fixes.filter(fix => rejected.has(fix.fingerprint)).flatMap(fix => fix.files));
+        const sharing = state.approval.fixes.filter(fix => !rejected.has(fix.fingerprint) && fix.files.some(file => revertedFiles.has(file)));
+        sharing.forEach(fix => rejected.add(fix.fingerprint));
+        grew = sharing.length > 0;
+    }
+
+    outputLog.push(`✓ Review complete: ${state.approval.fixes.length - rejected.size} approved, ${rejected.size} rejected`);
+    if (rejected.size === 0) {
+        updateFrontend(runId, { logs: [...outputLog] });
+        return { outputLog };
+    }
+
+    const currentLog = readLog(state);
+    const revertedFixes = state.approval.fixes.filter(fix => rejected.has(fix.fingerprint));
+    await revertToHead(state, [...new Set(revertedFixes.flatMap(fix => fix.files))]);
+    for (const fix of revertedFixes) {
+        const iss = currentLog.issues.find(i => fingerprintIssue(i) === fix.fingerprint);
+        if (iss) {
+            iss.status = 'REJECTED';
+            emitRunEvent(runId, 'issue', { action: 'rejected', issue: iss });
+        }
+        outputLog.push(fix.decision === 'reject'
+            ? `  ↺ Reverted rejected fix for ${fix.file}${fix.comment ? ` — ${fix.comment}` : ''}`
+            : `  ↺ Reverted fix for ${fix.file} — it shares a file with a rejected fix`);
+    }
+    writeLog(state, currentLog);
+
+    updateFrontend(runId, { fixes: toIssueSummaries(currentLog.issues), logs: [...outputLog] });
+    return {
+        outputLog,
+        allFixes: state.allFixes.filter(fix => !rejected.has(fix.fingerprint)),
+        isSuccess: false
+    };
+}
+
+/** Phase 5A: one commit per FIXED issue (using issues_log as source of truth) */
+async function commit(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+
+    if (!state.config.git.commit) {
+        outputLog.push(`Commits disabled by ${CONFIG_FILE} — fixes left uncommitted in ${state.localPath}`);
+        return { outputLog, committed: [] };
+    }
+
+    outputLog.push(`Committing ${state.allFixes.length} fix(es) to branch...`);
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    const repoGit = simpleGit(state.localPath);
+    const fixedIssues = readLog(state).issues.filter(iss => iss.status === 'FIXED');
+    const committed = [];
+    for (const fix of fixedIssues) {
+        try {
+            await repoGit.add(filesOfFix(state, fix));
+            const msg = `${state.config.git.commitPrefix} Fix ${fix.type} in ${fix.file}: ${fix.description.substring(0, 60)}`;
+            await repoGit.commit(msg);
+            const diff = await repoGit.show(['--format=', '--patch', 'HEAD']);
+            saveArtifact(runId, `fix-${committed.length + 1}-${toArtifactName(fix.file)}.diff`, diff);
+            committed.push({ ...fix, commitMessage: msg, status: 'Fixed' });
+            outputLog.push(`  ✓ Committed: ${fix.file} [${fix.type}]`);
+        } catch (e) {
+            if (!e.message.includes('nothing to commit')) {
+                outputLog.push(`  ⚠ Commit skipped for ${fix.file}: ${e.message}`);
+            }
+        }
+    }
+    return { outputLog, committed };
+}
+
+/**
+ * Phase 5A (dry run): a unified diff per FIXED issue and all of them combined
+ * in fixes.patch, archived as artifacts; the working tree stays uncommitted.
+ */
+async function patch(state, config) {
+    const runId = runIdOf(config);
+    const outputLog = [...state.outputLog];
+    const repoGit = simpleGit(state.localPath);
+
+    const filesOf = (iss) => filesOfFix(state, iss);
+    const fixedIssues = readLog(state).issues.filter(iss => iss.status === 'FIXED');
+    const files = [...new Set(fixedIssues.flatMap(filesOf))];
+    if (files.length === 0) {
+        outputLog.push(`Dry run — no fixes to export.`);
+        return { outputLog };
+    }
+
+    outputLog.push(`Dry run — exporting ${fixedIssues.length} fix(es) as patches instead of committing...`);
+    updateFrontend(runId, { logs: [...outputLog] });
+
+    // Files the Solver created only appear in `git diff` once git knows about them
+    await repoGit.raw(['add', '--intent-to-add', '--', ...files]);
+    const patched = [];
+    for (const iss of fixedIssues) {
+        const diff = await repoGit.diff(['HEAD', '--', ...filesOf(iss)]);
+        if (!diff) continue;
+        const diffArtifact = `fix-${patched.length + 1}-${toArtifactName(iss.file)}.diff`;
+        saveArtifact(runId, diffArtifact, diff);
+        patched.push({ ...iss, diffArtifact, status: 'Fixed' });
+        outputLog.push(`  ✓ Patch: ${diffArtifact} (${iss.file} [${iss.type}])`);
+    }
+
+    const combined = await repoGit.diff(['HEAD', '--', ...files]);
+    saveArtifact(runId, PATCH_ARTIFACT, combined);
+    outputLog.push(`✓ Combined patch: ${PATCH_ARTIFACT} — apply with \`git apply ${PATCH_ARTIFACT}\``);
+    updateFrontend(runId, { patchArtifact: PATCH_ARTIFACT, logs: [...outputLog] });
+    return { outputLog, patched };
+}
+
+/** Phase 5B: push the fix branch, only if there are actual committed fixes */
+async function push(state, config) {
+    const outputLog = [...state.outputLog];
+    if (state.committed.length === 0) return {};
+
+    if (!state.pushAllowed || !state.config.git.push) {
+        outputLog.push(`Push disabled for this run — fixes committed locally on "${state.branchName}" in ${state.localPath}`);
+        return { outputLog };
+    }
+
+    try {
+        outputLog.push(`Pushing branch "${state.branchName}"...`);
+        updateFrontend(runIdOf(config), { logs: [...outputLog] });
+        await simpleGit(state.localPath).push('origin', state.branchName, { '--force': null, '--set-upstream': null });
+        outputLog.push(`✓ Branch pushed successfully!`);
+    } catch (e) {
+        outputLog.push(`⚠ Push failed: ${e.message}`);
+    }
+    return { outputLog };
+}
+
+/** Phase 5C: publish the final status */
+async function finalize(state, config) {
+    const issues = toIssueSummaries(readLog(state).issues);
+    // A run that stopped for its budget says so, unless it passed anyway
+    const failedStatus = state.budgetExceeded ? 'BUDGET_EXCEEDED' : 'FAILED';
+    const budget = { llmUsage: state.llmUsage, budgetExceeded: state.budgetExceeded };
+    if (state.allFixes.length === 0 && !state.isSuccess) {
+        return finishRun(state, config, { status: failedStatus, endTime: Date.now(), ...budget, issues, logs: [...state.outputLog] });
+    }
+    // Reverted and rejected fixes stay listed, so the fixes table shows why they are not part of the branch
+    const reverted = issues.filter(iss => iss.status === 'REVERTED_REGRESSION' || iss.status === 'REJECTED');
+    return finishRun(state, config, {
+        status: state.isSuccess ? 'PASSED' : failedStatus, endTime: Date.now(), ...budget,
+        fixes: [...(state.committed.length > 0 ? state.committed : state.patched.length > 0 ? state.patched : state.allFixes), ...reverted],
+        issues, logs: [...state.outputLog]
+    });
+}
+
+/** A cancelled run never commits (further) or pushes */
+async function cancel(state, config) {
+    console.log(`[Orchestrator] Run ${runIdOf(config)} cancelled.`);
+    return finishRun(state, config, {
+        status: 'CANCELLED', endTime: Date.now(),
+        logs: [...state.outputLog, '✗ Run cancelled by user. No changes were committed or pushed.']
+    });
+}
+
+// --- Edges ---
+
+// Every routing decision honours a pending cancellation first
+const unlessCancelled = (decide) => (state, config) => (isCancelled(config) ? 'cancel' : decide(state));
+
+// Fixes wait for a reviewer when the run or its .autoheal.yml asks for it and they are to be committed
+const needsApproval = (state) => {
+    const required = state.requireApproval !== null ? state.requireApproval : state.config.git.requireApproval;
+    return Boolean(required) && state.config.git.commit && state.allFixes.length > 0;
+};
+
+// Where fixes end up: commits on the branch (after review in approval mode), or patches in a dry run
+const commitStep = (state) => {
+    if (state.dryRun) return 'patch';
+    return needsApproval(state) ? 'review' : 'commit';
+};
+
+// After the loop: verify unconfirmed fixes, then commit whatever was fixed (or just report failure)
+const afterLoop = (state) => {
+    if (state.allFixes.length > 0 && !state.isSuccess) return 'sanity';
+    if (state.allFixes.length > 0 || state.isSuccess) return commitStep(state);
+    return 'finalize';
+};
+
+// from → [router, every node it may route to]
+const routes = {
+    audit: [(state, config) => (state.status ? END : unlessCancelled(() => 'detectEngines')(state, config)), ['detectEngines', 'cancel', END]],
+    detectEngines: [(state, config) => (state.status ? END : unlessCancelled(() => 'runTests')(state, config)), ['runTests', 'cancel', END]],
+    runTests: [unlessCancelled(state => {
+        if (state.testsPassed) return commitStep(state);
+        return state.regressions.length > 0 ? 'guard' : 'analyze';
+    }), ['commit', 'patch', 'review', 'guard', 'analyze', 'cancel']],
+    guard: [unlessCancelled(state => (state.iteration >= state.maxIter ? afterLoop(state) : 'runTests')),
+        ['runTests', 'sanity', 'commit', 'patch', 'review', 'finalize', 'cancel']],
+    analyze: [unlessCancelled(state => {
+        if (state.budgetExceeded) return afterLoop(state);
+        if (state.pendingIssues === 0) return 'recover';
+        if (state.iteration >= state.maxIter) return afterLoop(state);
+        return 'solve';
+    }), ['recover', 'solve', 'sanity', 'commit', 'patch', 'review', 'finalize', 'cancel']],
+    recover: [unlessCancelled(state => (state.recovered && state.iteration < state.maxIter ? 'runTests' : afterLoop(state))),
+        ['runTests', 'sanity', 'commit', 'patch', 'review', 'finalize', 'cancel']],
+    solve: [unlessCancelled(() => 'runTests'), ['runTests', 'cancel']],
+    sanity: [unlessCancelled(commitStep), ['commit', 'patch', 'review', 'cancel']],
+    review: [unlessCancelled(() => 'decide'), ['decide', 'cancel']],
+    decide: [unlessCancelled(state => (state.allFixes.length > 0 ? 'commit' : 'finalize')), ['commit', 'finalize', 'cancel']],
+    commit: [unlessCancelled(() => 'push'), ['push', 'cancel']]
+};
+
+const NODES = { audit, detectEngines, runTests, analyze, recover, solve, guard, sanity, review, decide, commit, patch, push, finalize, cancel };
+
+/**
+ * @param {{checkpointer?: import('@langchain/langgraph').BaseCheckpointSaver}} [options]
+ * @returns compiled graph; invoke with `{ configurable: { thread_id: runId, signal } }`
+ */
+function buildHealingGraph({ checkpointer } = {}) {
+    const graph = new StateGraph(RunState);
+    for (const [name, node] of Object.entries(NODES)) graph.addNode(name, node);
+
+    graph.addEdge(START, 'audit');
+    for (const [from, [route, destinations]] of Object.entries(routes)) graph.addConditionalEdges(from, route, destinations);
+    graph.addEdge('push', 'finalize');
+    graph.addEdge('patch', 'finalize');
+    graph.addEdge('finalize', END);
+    graph.addEdge('cancel', END);
+
+    return graph.compile({ checkpointer });
+}
+
+module.exports = { buildHealingGraph, RunState, detectFlaky };
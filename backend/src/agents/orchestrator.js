@@ -1,398 +1,278 @@
-const { runAuditor } = require('./auditor');
-const { runSolver } = require('./solver');
-const engineNode = require('../engines/node');
-const enginePython = require('../engines/python');
 const fs = require('fs');
-const path = require('path');
-const simpleGit = require('simple-git');
-const { ChatOpenAI } = require('@langchain/openai');
-const { HumanMessage } = require('@langchain/core/messages');
+const { createRun, updateRun, getRun } = require('../services/runRegistry');
+const { finishedRunIds } = require('../services/runHistory');
+const { recordRunStarted } = require('../services/metrics');
+const { FileCheckpointSaver } = require('../services/checkpointer');
+const { buildHealingGraph } = require('./healingGraph');
+const { v4: uuidv4 } = require('uuid');
+
+const checkpointer = new FileCheckpointSaver();
+const healingGraph = buildHealingGraph({ checkpointer });
+
+// Each healing iteration takes up to three steps (runTests → analyze → solve)
+const recursionLimit = (maxIterations) => (maxIterations || 20) * 3 + 10;
 
 /**
  * Agent Two: The Orchestrator
  *
- * Flow:
+ * Flow (nodes and edges of the healing graph, see healingGraph.js):
  *  1. Clone repo, create fix branch, detect engine.
  *  2. Iteration 1: Run all tests. Pass → done. Fail → discover ALL issues.
  *  3. Solver fixes OPEN issues, marks each FIXED in issues_log.json.
  *  4. Re-run. Pass → commit issue-by-issue, push branch, status PASSED + endTime.
  *     Fail → re-scan, skip FIXED issues, fix remaining.
+ *     Fail without a code issue → apply the failing engines' recovery actions
+ *     (cache purge, lockfile regeneration, ...), keep the files they fix, re-run.
  *  5. At end (success OR failure after fixes), always push branch + set endTime.
+ *
+ * The graph is checkpointed after every node (services/checkpointer.js), with
+ * the runId as thread_id, so each step's state can be inspected. Once the graph
+ * returns, the run's thread leaves the checkpointer's memory; a finished run's
+ * checkpoints are archived.
+ *
+ * Progress is published to the run registry under `options.runId`, which callers
+ * can supply (so they can hand it back to clients before the run starts) or leave
+ * for the orchestrator to generate. The registry entry is created synchronously,
+ * before the first await.
+ *
+ * `options.signal` (AbortSignal) cancels the run: it is checked between phases and
+ * forwarded to the sandbox so in-flight containers are killed. A cancelled run
+ * never commits or pushes.
+ *
+ * `options.baseBranch` / `options.baseSha` make the Auditor start the fix branch
+ * from a specific commit (e.g. the failing head of a CI run) instead of the
+ * default branch; `options.trigger` records what started the run.
+ *
+ * `options.maxIterations` overrides the default of 6 healing iterations and
+ * `options.push: false` keeps the fix commits local (the branch is never pushed).
+ * `options.dryRun` runs the whole healing loop but never commits or pushes:
+ * the fixes are archived as a diff per issue plus one combined patch.
+ * `options.requireApproval` (default: git.requireApproval in .autoheal.yml)
+ * pauses the run AWAITING_APPROVAL before the commit; the orchestrator returns
+ * and the run continues once every fix is decided (decideFix, resumeOrchestrator).
+ *
+ * The repo's .autoheal.yml (read by the Auditor) can set max iterations (an
+ * explicit option still wins), the model, which engines run and how, the
+ * Solver's allowed paths and commit/push behaviour. An invalid file fails the
+ * run with its validation errors in the log.
+ *
+ * Raw engine output, fix diffs and the final issues log are archived as run
+ * artifacts (services/artifacts.js).
  */
-async function startOrchestrator(repoUrl, teamName, leaderName) {
-    console.log('[Orchestrator] Initializing...');
-
-    const resultsPath = path.resolve(__dirname, '../../../results.json');
-
-    const updateFrontend = (data, reset = false) => {
-        try {
-            const base = (!reset && fs.existsSync(resultsPath))
-                ? JSON.parse(fs.readFileSync(resultsPath))
-                : {};
-            fs.writeFileSync(resultsPath, JSON.stringify({ ...base, ...data }, null, 2));
-        } catch (e) {
-            console.error('[Orchestrator] Update frontend failed:', e);
-        }
-    };
-
-    const startTime = Date.now();
-    updateFrontend({
-        repoUrl, teamName, leaderName,
-        status: 'RUNNING', logs: ['Initializing Agent System...'],
-        fixes: [], iterations: 0, startTime, endTime: null, filesScanned: 0, branchName: 'N/A'
-    }, true);
+async function startOrchestrator(repoUrl, teamName, leaderName, options = {}) {
+    const {
+        runId = uuidv4(), signal, baseBranch, baseSha, trigger = null,
+        maxIterations, push = true, dryRun = false, requireApproval = null
+    } = options;
+    console.log(`[Orchestrator] Initializing run ${runId}...`);
+
+    const { startTime } = createRun(runId, { repoUrl, teamName, leaderName, trigger, dryRun });
+    recordRunStarted(trigger);
+
+    const finalState = await invokeGraph(
+        runId,
+        { repoUrl, teamName, leaderName, baseBranch, baseSha, maxIterations, pushAllowed: push, dryRun, requireApproval, trigger, startTime },
+        { configurable: { thread_id: runId, signal }, recursionLimit: recursionLimit(maxIterations) }
+    );
+    logOutcome(runId, finalState);
+}
 
-    // --- Phase 1: Auditor ---
-    const auditorResult = await runAuditor(repoUrl, teamName, leaderName);
-    if (!auditorResult.success) {
-        updateFrontend({ status: 'FAILED', endTime: Date.now(), logs: [`✗ Auditor failed: ${auditorResult.error}`] });
-        return;
+// Runs the graph until it finishes or pauses; a paused run (awaiting approval) keeps its thread, anything else is over
+const invokeGraph = async (runId, input, config) => {
+    let finalState = null;
+    try {
+        finalState = await healingGraph.invoke(input, config);
+        return finalState;
+    } finally {
+        if (finalState && !finalState.status) checkpointer.release(runId);
+        else checkpointer.archive(runId);
     }
+};
+
+const logOutcome = (runId, finalState) => {
+    if (finalState.status) console.log(`[Orchestrator] Done. Success: ${finalState.isSuccess}`);
+    else console.log(`[Orchestrator] Run ${runId} paused, awaiting approval of its fixes.`);
+};
+
+// --- Restart recovery ---
+
+const threadConfig = (runId) => ({ configurable: { thread_id: runId } });
+
+// Registry entry of a run rebuilt from its last checkpoint
+const restoreRun = (runId, state, status) => {
+    const { repoUrl, teamName, leaderName, trigger, dryRun, startTime } = state;
+    createRun(runId, { repoUrl, teamName, leaderName, trigger, dryRun, startTime: startTime || undefined }, status);
+    updateRun(runId, {
+        branchName: state.branchName || 'N/A',
+        iterations: state.iteration,
+        detectedEngines: state.engines.length > 0 ? state.engines.join(', ') : null,
+        flakyTests: state.flakyTests || [],
+        llmUsage: state.llmUsage || null,
+        approval: state.approval || null,
+        logs: [...state.outputLog]
+    });
+};
+
+// Waiting in the decide step for fixes that have no decision yet
+const isAwaitingApproval = (state, next) => next.includes('decide') && Boolean(state.approval)
+    && state.approval.fixes.some(fix => !fix.decision);
 
-    const { localPath, branchName } = auditorResult;
-    const repoGit = simpleGit(localPath);
-    const issuesLogPath = path.join(localPath, 'issues_log.json');
-
-    updateFrontend({ branchName, logs: [`✓ Cloned repo`, `✓ Branch: ${branchName}`] });
-
-    // --- Phase 2: Engine Detection ---
-    const engines = [
-        require('../engines/node'),
-        require('../engines/python'),
-        require('../engines/java'),
-        require('../engines/go'),
-        require('../engines/ruby')
-    ];
-
-    const activeEngines = [];
-    for (const eng of engines) {
-        if (eng.discover(localPath)) {
-            activeEngines.push(eng);
+/**
+ * Runs whose healing graph stopped between two steps because the backend went
+ * down: checkpointed, not finished, and neither live in the registry nor recorded
+ * in the run history. Runs started by the CLI belong to that process and are skipped.
+ * @returns {Promise<{runId: string, state: object, next: string[]}[]>}
+ */
+async function findInterruptedRuns() {
+    const interrupted = [];
+    const finished = finishedRunIds();
+    for (const runId of checkpointer.listThreads()) {
+        if (getRun(runId)) continue;
+        // Finished, but its thread was never archived (e.g. the backend stopped in between)
+        if (finished.has(runId)) {
+            checkpointer.archive(runId);
+            continue;
         }
+        const { values: state, next } = await healingGraph.getState(threadConfig(runId));
+        if (next.length === 0 || state.status) continue;
+        if (state.trigger && state.trigger.source === 'cli') continue;
+        interrupted.push({ runId, state, next });
     }
+    return interrupted;
+}
 
-    if (activeEngines.length === 0) {
-        updateFrontend({ status: 'FAILED', endTime: Date.now(), logs: ['✗ No supported language detected'] });
-        return;
-    }
-
-    const detectedNames = activeEngines.map(e => e.constructor.name.replace('Engine', '') || 'Unknown').join(', ');
-    updateFrontend({ logs: [`✓ Detected engines: ${detectedNames}`], detectedEngines: detectedNames });
-
-    // --- Issues log helpers ---
-    const readLog = () => {
-        try { return JSON.parse(fs.readFileSync(issuesLogPath, 'utf8')); }
-        catch { return { issues: [] }; }
-    };
-    const writeLog = (log) => fs.writeFileSync(issuesLogPath, JSON.stringify(log, null, 2));
-
-    // Helper: collect fixed files for commit
-    const commitFixes = async (fixes, outputLog) => {
-        const committed = [];
-        for (const fix of fixes) {
-            try {
-                await repoGit.add(fix.file);
-                const msg = `[AI-AGENT] Fix ${fix.type} in ${fix.file}: ${fix.description.substring(0, 60)}`;
-                await repoGit.commit(msg);
-                committed.push({ ...fix, commitMessage: msg, status: 'Fixed' });
-                outputLog.push(`  ✓ Committed: ${fix.file} [${fix.type}]`);
-            } catch (e) {
-                if (!e.message.includes('nothing to commit')) {
-                    outputLog.push(`  ⚠ Commit skipped for ${fix.file}: ${e.message}`);
-                }
-            }
-        }
-        return committed;
-    };
-
-    // --- Phase 3: Healing Loop ---
-    const outputLog = [];
-    const allFixes = [];     // All fixes applied across iterations
-    let isSuccess = false;
-    const MAX_ITER = 6;
-    let lastTestOutput = '';
-
-    for (let i = 1; i <= MAX_ITER; i++) {
-        console.log(`[Orchestrator] Iteration ${i}/${MAX_ITER}...`);
-        outputLog.push(`━━━ Iteration ${i} / ${MAX_ITER} ━━━`);
-        outputLog.push(`Running test suite(s)...`);
-        updateFrontend({ iterations: i, logs: [...outputLog] });
-
-        // A. Run tests (Polyglot)
-        let combinedOutput = '';
-        let allEnginesPassed = true;
-
-        for (const eng of activeEngines) {
-            try {
-                // Some engines might need subDir, but for now we pass localPath. 
-                // Engines needing subDir should handle discovery internally or we assume root.
-                // NOTE: discover() usually returns the subDir, so we might need to map that.
-                // For simplicity in this refactor, we assume engines handle 'localPath' correctly or we pass '.'
-                const subDir = eng.discover(localPath);
-
-                const result = await eng.run(localPath, subDir || '.');
-                combinedOutput += `\n--- START ${eng.constructor.name} OUTPUT ---\n`;
-                combinedOutput += result.output;
-                combinedOutput += `\n--- END ${eng.constructor.name} OUTPUT ---\n`;
-
-                if (!result.success) allEnginesPassed = false;
-            } catch (e) {
-                console.error(`[Orchestrator] Engine execution failed:`, e);
-                combinedOutput += `\nEngine execution failed: ${e.message}\n`;
-                allEnginesPassed = false;
-            }
-        }
-
-        lastTestOutput = combinedOutput;
-        outputLog.push(`Run result: ${allEnginesPassed ? '✓ PASS' : '✗ FAIL'}`);
-
-        // B. All tests pass → commit + push + done
-        if (allEnginesPassed) {
-            isSuccess = true;
-            outputLog.push(`🎉 All tests PASSED on iteration ${i}!`);
-            updateFrontend({ logs: [...outputLog] });
-            break;
-        }
-
-        // C. Build set of already-addressed issues
-        const currentLog = readLog();
-        const addressedKeys = new Set(
-            currentLog.issues
-                .filter(iss => iss.status !== 'OPEN')
-                .map(iss => `${iss.file}::${iss.type}::${iss.line}`)
-        );
-
-        // D. Discover issues from LLM — pass full test output + source files list
-        const scanLabel = i === 1 ? 'comprehensive scan' : 're-scan';
-        outputLog.push(`Analyzing failures (${scanLabel})...`);
-        updateFrontend({ logs: [...outputLog] });
-
-        const discovered = await analyzeOutput(combinedOutput, localPath);
-
-        // Filter out already-addressed issues BUT check for persistence
-        const newIssues = [];
-        const reOpenedIssues = [];
-
-        for (const disc of discovered) {
-            const keys = [`${disc.file}::${disc.type}::${disc.line}`, `${disc.file}::${disc.type}::0`]; // fuzzy match line 0
-
-            // Check if this issue was supposedly FIXED
-            const existingFixed = currentLog.issues.find(iss =>
-                (keys.includes(`${iss.file}::${iss.type}::${iss.line}`)) && iss.status === 'FIXED'
-            );
-
-            if (existingFixed) {
-                // IT CAME BACK! Re-open it and flag as recurring for the Solver.
-                console.log(`[Orchestrator] Issue reappeared: ${disc.file}::${disc.type}`);
-                existingFixed.status = 'OPEN';
-                existingFixed.isRecurring = true;
-                existingFixed.description += " [NOTE: Previous fix failed. Check for dependency issues or incorrect import paths.]";
-                reOpenedIssues.push(existingFixed);
-            } else if (!addressedKeys.has(`${disc.file}::${disc.type}::${disc.line}`)) {
-                // Truly new issue
-                newIssues.push(disc);
-            }
-        }
-
-        console.log(`[Orchestrator] Iter ${i}: ${discovered.length} found. New: ${newIssues.length}, Re-opened: ${reOpenedIssues.length}`);
-
-        if (newIssues.length === 0 && reOpenedIssues.length === 0) {
-            // Zero-issue failure: could be environment or dependency issue — try a clean reinstall
-            outputLog.push(`⚠ Tests failed but no code bugs detected. Attempting clean environment recovery...`);
-            updateFrontend({ logs: [...outputLog] });
-
-            // Trigger clean reinstall in sandbox for each active engine (best effort)
-            try {
-                const { runTestsInSandbox } = require('../agents/docker');
-                const isNode = fs.existsSync(path.join(localPath, 'package.json'));
-                const isPython = fs.existsSync(path.join(localPath, 'requirements.txt'));
-                if (isNode) {
-                    await runTestsInSandbox(localPath, 'rm -rf node_modules && npm install', 'node:18-alpine');
-                    outputLog.push(`✓ Node.js clean reinstall completed.`);
-                }
-                if (isPython) {
-                    await runTestsInSandbox(localPath, 'pip install --force-reinstall -r requirements.txt', 'python:3.9-alpine');
-                    outputLog.push(`✓ Python clean reinstall completed.`);
-                }
-            } catch (reinstallErr) {
-                outputLog.push(`⚠ Recovery attempt failed: ${reinstallErr.message}`);
-            }
-
-            outputLog.push(`Tests failed due to environment or system error. Agent attempted automatic recovery.`);
-            updateFrontend({ logs: [...outputLog] });
-            break;
-        }
-
-        if (reOpenedIssues.length > 0) {
-            outputLog.push(`⚠ ${reOpenedIssues.length} issue(s) reappeared after fix. Re-opening...`);
-        }
-
-        if (newIssues.length > 0) {
-            outputLog.push(`Found ${newIssues.length} new issue(s).`);
-        }
-
-        outputLog.push(`Found ${newIssues.length} issue(s) to fix:`);
-        newIssues.forEach((iss, idx) => {
-            outputLog.push(`  ${idx + 1}. [${iss.type}] ${iss.file}:${iss.line || '?'} — ${iss.description}`);
-        });
-
-        // E. Merge into log + push to frontend immediately
-        const existingKeys = new Set(currentLog.issues.map(iss => `${iss.file}::${iss.type}::${iss.line}`));
-        for (const iss of newIssues) {
-            if (!existingKeys.has(`${iss.file}::${iss.type}::${iss.line}`)) {
-                currentLog.issues.push({ ...iss, status: 'OPEN', discoveredAt: i });
-            }
-        }
-        writeLog(currentLog);
-
-        // Push all issues (any status) to the frontend immediately so they appear in the table
-        const allIssuesForFrontend = currentLog.issues.map(iss => ({
-            file: iss.file,
-            type: iss.type,
-            line: iss.line || 0,
-            description: iss.description,
-            status: iss.status,           // OPEN, FIXED, FAILED_*
-            commitMessage: iss.commitMessage || null
-        }));
-        updateFrontend({ fixes: allIssuesForFrontend, logs: [...outputLog] });
-
-        if (i === MAX_ITER) {
-            outputLog.push(`Max iterations (${MAX_ITER}) reached.`);
-            break;
-        }
-
-        // F. Fix OPEN issues
-        outputLog.push(`Applying fixes to source files...`);
-        updateFrontend({ logs: [...outputLog] });
-
-        const openIssues = currentLog.issues.filter(iss => iss.status === 'OPEN');
-        const solveResult = await runSolver(localPath, openIssues, issuesLogPath, lastTestOutput);
-
-        allFixes.push(...solveResult.fixesApplied);
-        solveResult.fixesApplied.forEach(fix => {
-            outputLog.push(`  ✓ Fixed [${fix.type}] in ${fix.file}`);
-        });
+/**
+ * Continues a run from its last checkpoint: the step that was in flight when the
+ * backend stopped runs again, or (`options.afterReview`) the decide step of a
+ * run whose fixes have all been decided, or whose review was cancelled.
+ * @param {string} runId
+ * @param {{signal?: AbortSignal, afterReview?: boolean}} [options]
+ */
+async function resumeOrchestrator(runId, options = {}) {
+    const { signal, afterReview = false } = options;
+    const { values: state, next } = await healingGraph.getState(threadConfig(runId));
+    console.log(`[Orchestrator] Resuming run ${runId} at ${next.join(', ')}...`);
 
-        // Re-read log (solver updated statuses) and push live to frontend
-        const updatedLog = readLog();
-        const updatedFixes = updatedLog.issues.map(iss => ({
-            file: iss.file,
-            type: iss.type,
-            line: iss.line || 0,
-            description: iss.description,
-            status: iss.status,
-            commitMessage: iss.commitMessage || null
-        }));
-        updateFrontend({ fixes: updatedFixes, logs: [...outputLog] });
+    if (afterReview) {
+        updateRun(runId, { status: 'RUNNING' });
+    } else {
+        const outputLog = [...state.outputLog, `⟳ Backend restarted — resuming from step "${next.join(', ')}"`];
+        restoreRun(runId, { ...state, outputLog }, 'RUNNING');
+        await healingGraph.updateState(threadConfig(runId), { outputLog, resumeCount: state.resumeCount + 1 });
     }
 
-    // --- Phase 4: Final Sanity Run (if fixes were applied but not yet confirmed passing) ---
-    if (allFixes.length > 0 && !isSuccess) {
-        outputLog.push(`━━━ Final Sanity Run ━━━`);
-        outputLog.push(`Running all engines one last time to verify all fixes...`);
-        updateFrontend({ logs: [...outputLog] });
+    const finalState = await invokeGraph(runId, null, {
+        configurable: { thread_id: runId, signal },
+        recursionLimit: recursionLimit(state.maxIterations)
+    });
+    logOutcome(runId, finalState);
+}
 
-        let sanityPassed = true;
-        let sanityCombinedOutput = '';
-        for (const eng of activeEngines) {
-            try {
-                const subDir = eng.discover(localPath);
-                const result = await eng.run(localPath, subDir || '.');
-                sanityCombinedOutput += `\n--- SANITY ${eng.constructor.name} ---\n${result.output}\n`;
-                if (!result.success) sanityPassed = false;
-            } catch (e) {
-                sanityCombinedOutput += `\nEngine error: ${e.message}\n`;
-                sanityPassed = false;
-            }
-        }
+// --- Approval ---
 
-        if (sanityPassed) {
-            isSuccess = true;
-            outputLog.push(`🎉 Final Sanity Run PASSED! All fixes verified.`);
-        } else {
-            outputLog.push(`✗ Final Sanity Run failed — some issues persist.`);
-        }
-        updateFrontend({ logs: [...outputLog] });
+class DecisionError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'DecisionError';
+        this.statusCode = statusCode;
     }
+}
 
-    // --- Phase 5: Commit + Push (always if fixes were applied) ---
-    if (allFixes.length > 0 || isSuccess) {
-        outputLog.push(`Committing ${allFixes.length} fix(es) to branch...`);
-        updateFrontend({ logs: [...outputLog] });
-
-        // Commit all fixes that were applied (using issues_log as source of truth)
-        const logForCommit = readLog();
-        const fixedIssues = logForCommit.issues.filter(iss => iss.status === 'FIXED');
-        const committed = await commitFixes(fixedIssues, outputLog);
+// runId → last decision on the run: decisions are applied one at a time, each on the checkpoint the previous one wrote
+const decisionQueues = new Map();
 
-        // Push branch to remote only if we have actual committed fixes
-        if (committed.length > 0) {
-            try {
-                outputLog.push(`Pushing branch "${branchName}"...`);
-                updateFrontend({ logs: [...outputLog] });
-                await repoGit.push('origin', branchName, { '--force': null, '--set-upstream': null });
-                outputLog.push(`✓ Branch pushed successfully!`);
-            } catch (e) {
-                outputLog.push(`⚠ Push failed: ${e.message}`);
-            }
+/**
+ * Records a reviewer's decision on one fix of a run AWAITING_APPROVAL, in the
+ * run registry and the run's checkpointed state (so decisions survive a restart).
+ * A fix may be decided again until every fix has a decision.
+ * @param {string} runId
+ * @param {string} issueId - the issue's fingerprint
+ * @param {{decision: 'approve'|'reject', comment?: string, decidedBy: string}} decision
+ * @returns {Promise<{approval: object, complete: boolean}>} complete: every fix is decided
+ *   and the run has been moved back to QUEUED, for the caller to resume it
+ * @throws {DecisionError} 404 unknown fix, 409 run not awaiting approval
+ */
+function decideFix(runId, issueId, { decision, comment = null, decidedBy }) {
+    const apply = async () => {
+        const run = getRun(runId);
+        if (!run || run.status !== 'AWAITING_APPROVAL') {
+            throw new DecisionError(`Run is not awaiting approval${run ? ` (status ${run.status})` : ''}`, 409);
+        }
+        const { values: state } = await healingGraph.getState(threadConfig(runId));
+        if (!state.approval || !state.approval.fixes.some(fix => fix.fingerprint === issueId)) {
+            throw new DecisionError(`No fix awaiting review for issue ${issueId}`, 404);
         }
 
-        const finalStatus = isSuccess ? 'PASSED' : 'FAILED';
-        const finalFixes = committed.length > 0 ? committed : allFixes;
-        updateFrontend({ status: finalStatus, endTime: Date.now(), fixes: finalFixes, logs: [...outputLog] });
-    } else {
-        updateFrontend({ status: 'FAILED', endTime: Date.now(), logs: [...outputLog] });
-    }
+        const fixes = state.approval.fixes.map(fix => (fix.fingerprint === issueId
+            ? { ...fix, decision, comment, decidedBy, decidedAt: Date.now() }
+            : fix));
+        const approval = { ...state.approval, fixes };
+        const fix = fixes.find(f => f.fingerprint === issueId);
+        const outputLog = [...state.outputLog, `  ${decision === 'approve' ? '✓ Approved' : '✗ Rejected'} fix for ${fix.file} (${decidedBy})`];
+        await healingGraph.updateState(threadConfig(runId), { approval, outputLog });
+        checkpointer.release(runId);
+
+        const complete = fixes.every(f => f.decision);
+        updateRun(runId, { approval, logs: outputLog, ...(complete ? { status: 'QUEUED' } : {}) });
+        if (complete) decisionQueues.delete(runId);
+        return { approval, complete };
+    };
 
-    console.log(`[Orchestrator] Done. Success: ${isSuccess}`);
+    const result = (decisionQueues.get(runId) || Promise.resolve()).catch(() => {}).then(apply);
+    decisionQueues.set(runId, result);
+    return result;
 }
 
 /**
- * LLM: Analyze test output and map failures to SOURCE files (not test files).
- * Provides list of source files in the repo for better context.
+ * Resolves once every decision queued on a run so far has been applied (or rejected),
+ * so the run's state is no longer being written by decideFix.
+ * @param {string} runId
+ * @returns {Promise<void>}
  */
-async function analyzeOutput(output, localPath) {
-    const model = new ChatOpenAI({ modelName: 'gpt-4-turbo', temperature: 0 });
-
-    // Enumerate source files to help LLM target the right ones
-    let srcFiles = '';
-    try {
-        const srcPath = path.join(localPath, 'src');
-        if (fs.existsSync(srcPath)) {
-            const files = fs.readdirSync(srcPath).map(f => `src/${f}`);
-            srcFiles = `Source files in this repo:\n${files.join('\n')}`;
-        }
-    } catch (e) { /* ignore */ }
-
-    const prompt = `
-You are a CI/CD diagnostic agent. Analyze the failing test output and identify issues in the SOURCE CODE.
-
-CRITICAL RULES:
-1. Tests fail because SOURCE CODE has bugs — fix the SOURCE FILES (e.g. src/calculator.js), NOT the test files.
-2. Only fix test files if the test itself has an obvious error (e.g. wrong assertion with no corresponding source issue).
-3. "file" MUST be a RELATIVE path from repo root (e.g. "src/calculator.js"). NEVER "/app/..." absolute paths.
-4. "type": LINTING | SYNTAX | LOGIC | TYPE_ERROR | IMPORT | INDENTATION | RUNTIME
-5. "line": the line number in the SOURCE FILE where the bug is. 0 if unknown.
-6. Include EVERY distinct error from user source code.
-7. Ignore node_modules, npm install logs, system paths.
-
-${srcFiles}
-
-Return ONLY this JSON:
-{ "issues": [ { "description": "...", "file": "src/...", "type": "...", "line": 0, "status": "OPEN" } ] }
+function decisionsSettled(runId) {
+    return (decisionQueues.get(runId) || Promise.resolve()).then(() => {}, () => {});
+}
 
-Test/Build Output:
-${output.substring(0, 12000)}
-`;
+/**
+ * Ends an interrupted run that will not be resumed as INTERRUPTED (recorded in
+ * the run history like any finished run) and removes its orphaned clone.
+ * @param {string} runId
+ * @param {object} state - last checkpointed state
+ * @param {string} reason - shown in the run log
+ */
+function markInterrupted(runId, state, reason) {
+    console.log(`[Orchestrator] Run ${runId} interrupted: ${reason}`);
+    restoreRun(runId, state, 'RUNNING');
+    updateRun(runId, {
+        status: 'INTERRUPTED', endTime: Date.now(),
+        logs: [...state.outputLog, `✗ Run interrupted by a backend restart and not resumed: ${reason}`]
+    });
+    if (state.localPath) fs.rmSync(state.localPath, { recursive: true, force: true });
+    checkpointer.archive(runId);
+}
 
-    try {
-        const response = await model.invoke([new HumanMessage(prompt)]);
-        const content = response.content.replace(/```json/g, '').replace(/```/g, '').trim();
-        return JSON.parse(content).issues || [];
-    } catch (e) {
-        console.error('[Orchestrator] LLM Parse Error:', e.message);
-        return [];
+/**
+ * Step-by-step state of a run's healing graph, oldest first: one entry per
+ * checkpoint with the node that produced it and the nodes scheduled next.
+ * @param {string} runId
+ * @returns {Promise<object[]>} empty if the run has no checkpoints
+ */
+async function getRunCheckpoints(runId) {
+    const history = [];
+    for await (const snapshot of healingGraph.getStateHistory({ configurable: { thread_id: runId } })) {
+        history.push({
+            checkpointId: snapshot.config.configurable.checkpoint_id,
+            step: snapshot.metadata.step,
+            node: Object.keys(snapshot.metadata.writes || {})[0] || null,
+            next: snapshot.next,
+            createdAt: snapshot.createdAt,
+            state: snapshot.values
+        });
     }
+    return history.reverse();
 }
 
-module.exports = { startOrchestrator };
+module.exports = {
+    startOrchestrator, resumeOrchestrator, findInterruptedRuns, markInterrupted, getRunCheckpoints,
+    decideFix, decisionsSettled, isAwaitingApproval, restoreRun, DecisionError
+};
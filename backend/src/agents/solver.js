@@ -2,34 +2,72 @@ const fs = require('fs');
 const path = require('path');
 const { ChatOpenAI } = require('@langchain/openai');
 const { HumanMessage } = require('@langchain/core/messages');
+const { timeLlmCall } = require('../services/metrics');
+const { isPathAllowed } = require('../services/repoConfig');
+const { fingerprintIssue } = require('../services/issueFingerprint');
 
 /**
  * Agent Three: The Solver
  * Fixes OPEN issues using full file content + test failure context.
  * Supports recurring issue detection, dependency file patching, and multi-file output.
+ *
+ * options.model picks the LLM; options.paths ({allowPaths, denyPaths} globs from
+ * .autoheal.yml) limits which files it may write — issues in other files are
+ * marked SKIPPED_PATH_DENIED without calling the LLM.
+ *
+ * Each applied fix lists the files it wrote (`files`), so the regression guard
+ * can revert exactly those.
+ *
+ * options.verify(fix), when given, is awaited after each fix is written and
+ * resolves to {verified, detail}. A fix that is not verified has its files
+ * restored and its issue marked FAILED_VERIFICATION (with `verification` set to
+ * the detail); it is returned in fixesRejected instead of fixesApplied.
+ *
+ * options.onUsage receives each LLM call's token usage. options.withinBudget(),
+ * when given, is checked before each LLM call; once it returns false the Solver
+ * stops and the remaining issues stay OPEN.
  */
-async function runSolver(localPath, openIssues, issuesLogPath, testOutput = '') {
+async function runSolver(localPath, openIssues, issuesLogPath, testOutput = '', options = {}) {
+    const { model: modelName = 'gpt-4-turbo', paths = { allowPaths: [], denyPaths: [] }, verify, onUsage, withinBudget } = options;
     console.log('[Solver] Starting repairs...');
-    const model = new ChatOpenAI({ modelName: 'gpt-4-turbo', temperature: 0 });
+    const model = new ChatOpenAI({ modelName, temperature: 0 });
     const fixesApplied = [];
+    const fixesRejected = [];
 
-    if (!openIssues || openIssues.length === 0) return { fixesApplied };
+    if (!openIssues || openIssues.length === 0) return { fixesApplied, fixesRejected };
 
-    const updateIssueStatus = (file, type, line, newStatus) => {
+    // Issues are matched by fingerprint (services/issueFingerprint.js), never by file/type/line
+    const updateIssueStatus = (target, newStatus, fields = {}) => {
         try {
             const log = JSON.parse(fs.readFileSync(issuesLogPath, 'utf8'));
-            const issue = log.issues.find(i => i.file === file && i.type === type && i.line === line);
+            const fingerprint = fingerprintIssue(target);
+            const issue = log.issues.find(i => fingerprintIssue(i) === fingerprint);
             if (issue) {
+                Object.assign(issue, fields);
                 issue.status = newStatus;
                 issue.fixedAt = new Date().toISOString();
                 fs.writeFileSync(issuesLogPath, JSON.stringify(log, null, 2));
-                console.log(`[Solver] Marked ${file}::${type}::${line} as ${newStatus} in issues_log.json`);
+                console.log(`[Solver] Marked ${target.file} (${fingerprint}) as ${newStatus} in issues_log.json`);
             }
         } catch (e) {
             console.error('[Solver] Failed to update issues_log.json:', e.message);
         }
     };
 
+    // Content of each file before this fix wrote it (null: it did not exist), for rollback
+    const writeTracked = (previous, file, content) => {
+        const target = path.join(localPath, file);
+        if (!(file in previous)) previous[file] = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+        fs.writeFileSync(target, content);
+    };
+    const restore = (previous) => {
+        for (const [file, content] of Object.entries(previous)) {
+            const target = path.join(localPath, file);
+            if (content === null) fs.rmSync(target, { force: true });
+            else fs.writeFileSync(target, content);
+        }
+    };
+
     // Relevant test output snippet for context
     const testSnippet = testOutput ? testOutput.substring(0, 3000) : '';
 
@@ -38,13 +76,25 @@ async function runSolver(localPath, openIssues, issuesLogPath, testOutput = '')
             console.log(`[Solver] Fixing ${issue.type} in ${issue.file}...`);
             const filePath = path.join(localPath, issue.file);
 
+            if (!isPathAllowed(issue.file, paths)) {
+                console.log(`[Solver] ${issue.file} is outside the allowed paths, skipping`);
+                updateIssueStatus(issue, 'SKIPPED_PATH_DENIED');
+                continue;
+            }
+
             if (!fs.existsSync(filePath)) {
                 console.error(`[Solver] File not found: ${filePath}`);
-                updateIssueStatus(issue.file, issue.type, issue.line, 'FAILED_FILE_NOT_FOUND');
+                updateIssueStatus(issue, 'FAILED_FILE_NOT_FOUND');
                 continue;
             }
 
+            if (withinBudget && !withinBudget()) {
+                console.log('[Solver] LLM budget spent, leaving the remaining issues open');
+                break;
+            }
+
             const fileContent = fs.readFileSync(filePath, 'utf8');
+            const previous = {};
 
             // Read dependency files for context if applicable
             let depContext = '';
@@ -89,7 +139,7 @@ Instructions:
 6. No explanation, no markdown fences unless responding with JSON, just the raw corrected code.
 `;
 
-            const response = await model.invoke([new HumanMessage(prompt)]);
+            const response = await timeLlmCall('solver', () => model.invoke([new HumanMessage(prompt)]), { model: modelName, onUsage });
             let fixedContent = response.content;
 
             // Check if LLM responded with a multi-file JSON (for recurring dep issues)
@@ -101,15 +151,20 @@ Instructions:
             } catch (_) { /* not JSON, treat as plain code */ }
 
             if (parsedMulti) {
+                const denied = [parsedMulti.fixedFile, parsedMulti.depFile].filter(f => f && !isPathAllowed(f, paths));
+                if (denied.length > 0) {
+                    console.log(`[Solver] Fix for ${issue.file} touches disallowed path(s): ${denied.join(', ')}`);
+                    updateIssueStatus(issue, 'SKIPPED_PATH_DENIED');
+                    continue;
+                }
+
                 // Write fixed source file
-                const targetPath = path.join(localPath, parsedMulti.fixedFile);
-                fs.writeFileSync(targetPath, parsedMulti.fixedContent);
+                writeTracked(previous, parsedMulti.fixedFile, parsedMulti.fixedContent);
                 console.log(`[Solver] Wrote fixed ${parsedMulti.fixedFile}`);
 
                 // Write dependency file if provided
                 if (parsedMulti.depFile && parsedMulti.depContent) {
-                    const depFilePath = path.join(localPath, parsedMulti.depFile);
-                    fs.writeFileSync(depFilePath, parsedMulti.depContent);
+                    writeTracked(previous, parsedMulti.depFile, parsedMulti.depContent);
                     console.log(`[Solver] Updated dep file: ${parsedMulti.depFile}`);
                 }
             } else {
@@ -120,27 +175,46 @@ Instructions:
                         .replace(/```$/gm, '')
                         .trim();
                 }
-                fs.writeFileSync(filePath, fixedContent);
+                writeTracked(previous, issue.file, fixedContent);
             }
 
-            // Mark fixed in issues_log immediately
-            updateIssueStatus(issue.file, issue.type, issue.line, 'FIXED');
-
-            fixesApplied.push({
+            const fix = {
+                fingerprint: fingerprintIssue(issue),
                 file: issue.file,
+                files: Object.keys(previous),
                 type: issue.type,
                 description: issue.description,
                 line: issue.line,
                 status: 'APPLIED'
-            });
+            };
+
+            if (verify) {
+                // Only verified fixes may reach a commit, so a verification that errors rejects the fix
+                const { verified, detail } = await verify({ ...fix, issue })
+                    .catch(e => ({ verified: false, detail: `Verification error: ${e.message}` }));
+                if (!verified) {
+                    restore(previous);
+                    console.log(`[Solver] Fix for ${issue.file} did not verify, rolled back: ${detail}`);
+                    updateIssueStatus(issue, 'FAILED_VERIFICATION', { verification: detail });
+                    fixesRejected.push({ ...fix, status: 'FAILED_VERIFICATION', verification: detail });
+                    continue;
+                }
+                updateIssueStatus(issue, 'FIXED', { verification: detail });
+                fixesApplied.push({ ...fix, verification: detail });
+                continue;
+            }
+
+            // Mark fixed in issues_log immediately
+            updateIssueStatus(issue, 'FIXED');
+            fixesApplied.push(fix);
 
         } catch (error) {
             console.error(`[Solver] Failed to fix ${issue.file}:`, error.message);
-            updateIssueStatus(issue.file, issue.type, issue.line, 'FAILED_GENERATION');
+            updateIssueStatus(issue, 'FAILED_GENERATION');
         }
     }
 
-    return { fixesApplied };
+    return { fixesApplied, fixesRejected };
 }
 
 module.exports = { runSolver };
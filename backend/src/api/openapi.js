@@ -0,0 +1,72 @@
+const { routes, components } = require('./schemas');
+
+/**
+ * Builds the OpenAPI 3.0 document served at GET /api/openapi.json from the
+ * route schemas. Shared component objects are emitted as $refs.
+ */
+const refs = new Map(Object.entries(components).map(([key, schema]) => [schema, `#/components/schemas/${key}`]));
+
+// Replaces every (nested) component object with a $ref, except at the component root itself
+const withRefs = (schema, isRoot = false) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (!isRoot && refs.has(schema)) return { $ref: refs.get(schema) };
+    if (Array.isArray(schema)) return schema.map(item => withRefs(item));
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value)]));
+};
+
+// OpenAPI 3.0 has no `type: [x, 'null']`; it uses `nullable`
+const toOpenApi30 = (schema) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(toOpenApi30);
+    const out = Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, toOpenApi30(value)]));
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(t => t !== 'null');
+        out.type = types[0];
+        if (schema.type.includes('null')) out.nullable = true;
+    }
+    return out;
+};
+
+const toParameters = (schema, location) => Object.entries((schema && schema.properties) || {}).map(([name, prop]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: toOpenApi30(prop)
+}));
+
+function buildOpenApiDocument() {
+    const paths = {};
+    for (const [key, route] of Object.entries(routes)) {
+        const [method, routePath] = key.split(' ');
+        const operation = {
+            summary: route.summary,
+            parameters: [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')],
+            responses: Object.fromEntries(Object.entries(route.responses).map(([code, schema]) => [code, {
+                description: code < 400 ? 'Success' : 'Error',
+                content: { [route.contentType && code < 400 ? route.contentType : 'application/json']: { schema: toOpenApi30(withRefs(schema)) } }
+            }]))
+        };
+        if (route.body) {
+            operation.requestBody = { required: true, content: { 'application/json': { schema: toOpenApi30(withRefs(route.body)) } } };
+        }
+        if (route.public) operation.security = [];
+
+        paths[routePath] = { ...paths[routePath], [method.toLowerCase()]: operation };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title: 'AutoHeal Agent API', version: require('../../package.json').version },
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: Object.fromEntries(Object.entries(components).map(([name, schema]) => [name, toOpenApi30(withRefs(schema, true))]))
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,428 @@
+/**
+ * API Schemas
+ * JSON Schemas for every route's input and output. They drive request/response
+ * validation (middleware/validate.js) and the served OpenAPI document
+ * (api/openapi.js), so the two cannot drift apart.
+ */
+
+const RUN_STATUSES = ['QUEUED', 'RUNNING', 'AWAITING_APPROVAL', 'PASSED', 'FAILED', 'CANCELLED', 'INTERRUPTED', 'BUDGET_EXCEEDED'];
+
+// Team and leader names end up in a git branch name
+const name = { type: 'string', minLength: 1, maxLength: 100, pattern: '^[A-Za-z0-9 _.-]+$' };
+const runId = { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' };
+const timestamp = { type: ['integer', 'null'], description: 'Epoch milliseconds' };
+
+const usageCounts = {
+    calls: { type: 'integer' },
+    promptTokens: { type: 'integer' },
+    completionTokens: { type: 'integer' },
+    costUsd: { type: 'number', description: 'Estimated from the model\'s price per million tokens' }
+};
+const LlmUsage = {
+    type: ['object', 'null'],
+    description: 'Tokens and estimated cost of the run\'s LLM calls',
+    properties: {
+        ...usageCounts,
+        byAgent: { type: 'object', additionalProperties: { type: 'object', properties: usageCounts } }
+    }
+};
+
+const ErrorResponse = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: { type: 'string' },
+        details: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const Issue = {
+    type: 'object',
+    required: ['file', 'type', 'status'],
+    properties: {
+        fingerprint: { type: ['string', 'null'], description: 'Stable identity of the issue across iterations' },
+        file: { type: 'string' },
+        type: { type: 'string' },
+        line: { type: 'integer' },
+        description: { type: 'string' },
+        status: { type: 'string' },
+        commitMessage: { type: ['string', 'null'] },
+        regressedTests: { type: 'array', items: { type: 'string' }, description: 'Tests a REVERTED_REGRESSION fix broke' },
+        diffArtifact: { type: 'string', description: 'Dry runs: artifact name of this fix\'s diff' },
+        engine: { type: ['string', 'null'], description: 'Engine whose test run reported the issue' },
+        verification: { type: ['string', 'null'], description: 'Outcome of re-running the affected tests after the fix (why a FAILED_VERIFICATION fix was rolled back)' }
+    }
+};
+
+const Approval = {
+    type: ['object', 'null'],
+    description: 'Approval mode: the fixes under review, each with its diff and decision',
+    properties: {
+        requestedAt: timestamp,
+        fixes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['fingerprint', 'file', 'diff'],
+                properties: {
+                    fingerprint: { type: 'string', description: 'The issueId of POST /api/runs/{id}/fixes/{issueId}/decision' },
+                    file: { type: 'string' },
+                    files: { type: 'array', items: { type: 'string' }, description: 'Every file the fix wrote' },
+                    type: { type: 'string' },
+                    description: { type: 'string' },
+                    engine: { type: ['string', 'null'] },
+                    diff: { type: 'string', description: 'Unified diff against the fix branch\'s base' },
+                    diffTruncated: { type: 'boolean', description: 'The full diff is in the diffArtifact' },
+                    diffArtifact: { type: 'string' },
+                    decision: { type: ['string', 'null'], enum: ['approve', 'reject', null] },
+                    comment: { type: ['string', 'null'] },
+                    decidedBy: { type: ['string', 'null'], description: 'Id of the API key that decided' },
+                    decidedAt: timestamp
+                }
+            }
+        }
+    }
+};
+
+const Trigger = {
+    type: ['object', 'null'],
+    properties: {
+        source: { type: 'string' },
+        branch: { type: ['string', 'null'] },
+        sha: { type: 'string' },
+        delivery: { type: ['string', 'null'] }
+    }
+};
+
+const Run = {
+    type: 'object',
+    required: ['runId', 'repoUrl', 'teamName', 'leaderName', 'status', 'logs', 'startTime'],
+    properties: {
+        runId: { type: 'string' },
+        repoUrl: { type: 'string' },
+        teamName: { type: 'string' },
+        leaderName: { type: 'string' },
+        trigger: Trigger,
+        dryRun: { type: 'boolean' },
+        patchArtifact: { type: ['string', 'null'], description: 'Dry runs: artifact name of the combined patch' },
+        status: { type: 'string', enum: RUN_STATUSES },
+        logs: { type: 'array', items: { type: 'string' } },
+        fixes: { type: 'array', items: Issue },
+        issues: { type: 'array', items: Issue },
+        iterations: { type: 'integer' },
+        startTime: timestamp,
+        endTime: timestamp,
+        filesScanned: { type: 'integer' },
+        branchName: { type: 'string' },
+        detectedEngines: { type: ['string', 'null'] },
+        engineResults: {
+            type: 'array',
+            description: 'Per-engine results of the latest test run',
+            items: {
+                type: 'object',
+                required: ['engine', 'success'],
+                properties: {
+                    engine: { type: 'string' },
+                    success: { type: 'boolean' },
+                    durationMs: { type: 'integer' },
+                    counts: {
+                        type: 'object',
+                        properties: {
+                            passed: { type: 'integer' }, failed: { type: 'integer' }, skipped: { type: 'integer' },
+                            flaky: { type: 'integer', description: 'Failures that passed on a retry, not counted as failed' }
+                        }
+                    }
+                }
+            }
+        },
+        flakyTests: {
+            type: 'array',
+            description: 'Tests that failed and then passed on a retry; excluded from the issues and never fixed',
+            items: {
+                type: 'object',
+                required: ['engine', 'id', 'name'],
+                properties: {
+                    engine: { type: 'string' },
+                    id: { type: 'string', description: 'Test id from the structured report, or "(engine)" for a whole suite that failed without one' },
+                    name: { type: 'string' },
+                    file: { type: ['string', 'null'] },
+                    message: { type: ['string', 'null'], description: 'Failure message of the failing attempt' },
+                    retry: { type: 'integer', description: 'Retry the test passed on' },
+                    iteration: { type: 'integer' }
+                }
+            }
+        },
+        llmUsage: LlmUsage,
+        budgetExceeded: { type: ['string', 'null'], description: 'BUDGET_EXCEEDED runs: the budget that was spent' },
+        approval: Approval
+    }
+};
+
+const RunSummary = {
+    type: 'object',
+    required: ['runId', 'repoUrl', 'teamName', 'status', 'startTime'],
+    properties: {
+        runId: { type: 'string' },
+        repoUrl: { type: 'string' },
+        teamName: { type: 'string' },
+        leaderName: { type: 'string' },
+        status: { type: 'string', enum: RUN_STATUSES },
+        branchName: { type: 'string' },
+        iterations: { type: 'integer' },
+        fixesCount: { type: 'integer' },
+        issuesTotal: { type: 'integer' },
+        issuesFixed: { type: 'integer' },
+        llmUsage: LlmUsage,
+        durationMs: { type: ['integer', 'null'] },
+        startTime: timestamp,
+        endTime: timestamp
+    }
+};
+
+const ApiKey = {
+    type: 'object',
+    required: ['id', 'teamName', 'prefix', 'createdAt'],
+    properties: {
+        id: { type: 'string' },
+        teamName: { type: 'string' },
+        label: { type: 'string' },
+        prefix: { type: 'string' },
+        createdAt: { type: 'string' },
+        revokedAt: { type: ['string', 'null'] }
+    }
+};
+
+const Artifact = {
+    type: 'object',
+    required: ['name', 'size'],
+    properties: {
+        name: { type: 'string', description: 'iteration-<n>.log, test-results-<n>.json, sanity.log, fix-<n>-<file>.diff, fixes.patch, issues_log.json, summary.json or run.log' },
+        size: { type: 'integer', description: 'Bytes' }
+    }
+};
+
+const Checkpoint = {
+    type: 'object',
+    required: ['checkpointId', 'step', 'next', 'state'],
+    properties: {
+        checkpointId: { type: 'string' },
+        step: { type: 'integer', description: '-1 for the input checkpoint' },
+        node: { type: ['string', 'null'], description: 'Graph node whose output this checkpoint records' },
+        next: { type: 'array', items: { type: 'string' }, description: 'Nodes scheduled to run next (empty once the graph ended)' },
+        createdAt: { type: 'string' },
+        state: { type: 'object', description: 'Full healing graph state after the step' }
+    }
+};
+
+const idParams = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: runId }
+};
+
+const components = { Error: ErrorResponse, Issue, Run, RunSummary, ApiKey, Artifact, Checkpoint };
+
+/**
+ * Route definitions: method + OpenAPI-style path → request schemas (body,
+ * query, params) and response schemas per status code. Routes with a
+ * non-JSON `contentType` skip response validation.
+ */
+const routes = {
+    'GET /health': {
+        summary: 'Liveness probe',
+        public: true,
+        responses: {
+            200: { type: 'object', required: ['status'], properties: { status: { type: 'string' }, timestamp: { type: 'string' } } }
+        }
+    },
+    'GET /metrics': {
+        summary: 'Prometheus metrics (runs, issues, sandbox executions, LLM calls)',
+        public: true,
+        contentType: 'text/plain',
+        responses: { 200: { type: 'string', description: 'Prometheus text exposition format' } }
+    },
+    'POST /api/run-agent': {
+        summary: 'Queue a healing run',
+        body: {
+            type: 'object',
+            required: ['repoUrl', 'leaderName'],
+            additionalProperties: false,
+            properties: {
+                repoUrl: { type: 'string', minLength: 1, maxLength: 2048, description: 'https:// or git@ URL on an allowed git host, or the absolute path / file:// URL of a repository under LOCAL_REPO_ROOTS' },
+                teamName: { ...name, description: 'Ignored for team keys — the team comes from the API key' },
+                leaderName: name,
+                dryRun: { type: 'boolean', description: 'Export the fixes as patches (run artifacts) instead of committing and pushing them' },
+                requireApproval: { type: 'boolean', description: 'Pause AWAITING_APPROVAL before committing until every fix is approved or rejected (default: git.requireApproval in .autoheal.yml)' }
+            }
+        },
+        responses: {
+            200: {
+                type: 'object',
+                required: ['status', 'runId'],
+                properties: {
+                    status: { type: 'string', enum: ['QUEUED', 'STARTED'] },
+                    runId: { type: 'string' },
+                    teamName: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            },
+            400: ErrorResponse
+        }
+    },
+    'GET /api/runs': {
+        summary: 'List live and historical runs',
+        query: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                repo: { type: 'string', maxLength: 2048 },
+                status: { type: 'string', enum: [...RUN_STATUSES, ...RUN_STATUSES.map(s => s.toLowerCase())] },
+                team: { type: 'string', maxLength: 100 },
+                from: { type: 'string', maxLength: 40, description: 'ISO date or epoch ms' },
+                to: { type: 'string', maxLength: 40, description: 'ISO date or epoch ms' }
+            }
+        },
+        responses: {
+            200: { type: 'object', required: ['runs'], properties: { runs: { type: 'array', items: RunSummary } } },
+            400: ErrorResponse
+        }
+    },
+    'GET /api/runs/{id}': {
+        summary: 'Get the full state of a run',
+        params: idParams,
+        responses: { 200: Run, 404: ErrorResponse }
+    },
+    'GET /api/runs/{id}/events': {
+        summary: 'Server-Sent Events stream of run updates',
+        params: idParams,
+        contentType: 'text/event-stream',
+        responses: { 200: { type: 'string', description: 'text/event-stream' }, 404: ErrorResponse }
+    },
+    'GET /api/runs/{id}/checkpoints': {
+        summary: 'State of the healing graph after each step of a run',
+        params: idParams,
+        responses: {
+            200: {
+                type: 'object',
+                required: ['runId', 'checkpoints'],
+                properties: { runId: { type: 'string' }, checkpoints: { type: 'array', items: Checkpoint } }
+            },
+            404: ErrorResponse
+        }
+    },
+    'GET /api/runs/{id}/artifacts': {
+        summary: 'List the archived artifacts of a run',
+        params: idParams,
+        responses: {
+            200: {
+                type: 'object',
+                required: ['runId', 'artifacts'],
+                properties: { runId: { type: 'string' }, artifacts: { type: 'array', items: Artifact } }
+            },
+            404: ErrorResponse
+        }
+    },
+    'GET /api/runs/{id}/artifacts.zip': {
+        summary: 'Download all artifacts of a run as a zip',
+        params: idParams,
+        contentType: 'application/zip',
+        responses: { 200: { type: 'string', format: 'binary' }, 404: ErrorResponse }
+    },
+    'GET /api/runs/{id}/artifacts/{name}': {
+        summary: 'Download a single artifact of a run',
+        params: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: { id: runId, name: { type: 'string', pattern: '^[A-Za-z0-9_-][A-Za-z0-9_.-]*$', maxLength: 255 } }
+        },
+        contentType: 'application/octet-stream',
+        responses: { 200: { type: 'string', format: 'binary' }, 404: ErrorResponse }
+    },
+    'POST /api/runs/{id}/cancel': {
+        summary: 'Cancel a queued, running or awaiting-approval run',
+        params: idParams,
+        responses: {
+            202: {
+                type: 'object',
+                required: ['runId', 'status'],
+                properties: { runId: { type: 'string' }, status: { type: 'string' }, message: { type: 'string' } }
+            },
+            404: ErrorResponse,
+            409: ErrorResponse
+        }
+    },
+    'POST /api/runs/{id}/fixes/{issueId}/decision': {
+        summary: 'Approve or reject a fix of a run awaiting approval',
+        params: {
+            type: 'object',
+            required: ['id', 'issueId'],
+            properties: { id: runId, issueId: { type: 'string', pattern: '^[0-9a-f]{16}$', description: 'The issue\'s fingerprint' } }
+        },
+        body: {
+            type: 'object',
+            required: ['decision'],
+            additionalProperties: false,
+            properties: {
+                decision: { type: 'string', enum: ['approve', 'reject'] },
+                comment: { type: 'string', maxLength: 500 }
+            }
+        },
+        responses: {
+            200: {
+                type: 'object',
+                required: ['runId', 'issueId', 'decision', 'status', 'pending'],
+                properties: {
+                    runId: { type: 'string' },
+                    issueId: { type: 'string' },
+                    decision: { type: 'string' },
+                    status: { type: 'string', enum: RUN_STATUSES, description: 'QUEUED once the last fix is decided and the run continues' },
+                    pending: { type: 'integer', description: 'Fixes still without a decision' }
+                }
+            },
+            404: ErrorResponse,
+            409: ErrorResponse
+        }
+    },
+    'GET /api/results': {
+        summary: 'Most recently started run (legacy)',
+        responses: {
+            200: Run,
+            404: { type: 'object', properties: { status: { type: 'string' }, message: { type: 'string' } } }
+        }
+    },
+    'GET /api/keys': {
+        summary: 'List API keys (admin)',
+        responses: { 200: { type: 'object', required: ['keys'], properties: { keys: { type: 'array', items: ApiKey } } } }
+    },
+    'POST /api/keys': {
+        summary: 'Create a team API key (admin)',
+        body: {
+            type: 'object',
+            required: ['teamName'],
+            additionalProperties: false,
+            properties: { teamName: name, label: { type: 'string', maxLength: 100 } }
+        },
+        responses: {
+            201: { ...ApiKey, required: [...ApiKey.required, 'key'], properties: { ...ApiKey.properties, key: { type: 'string' } } },
+            400: ErrorResponse
+        }
+    },
+    'DELETE /api/keys/{id}': {
+        summary: 'Revoke an API key (admin)',
+        params: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1, maxLength: 64 } } },
+        responses: { 200: ApiKey, 404: ErrorResponse }
+    },
+    'POST /api/webhooks/github': {
+        summary: 'GitHub workflow_run / check_suite receiver (HMAC-signed)',
+        public: true,
+        body: { type: 'object' },
+        responses: {
+            200: { type: 'object' },
+            202: { type: 'object', properties: { status: { type: 'string' }, runId: { type: 'string' }, message: { type: 'string' } } },
+            401: ErrorResponse,
+            503: ErrorResponse
+        }
+    }
+};
+
+module.exports = { routes, components, RUN_STATUSES };
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { startOrchestrator } = require('./agents/orchestrator');
+const { getRun, updateRun, subscribe, isTerminal } = require('./services/runRegistry');
+const { normalizeRepoUrl } = require('./services/repoUrl');
+const { getArtifactPath } = require('./services/artifacts');
+
+/**
+ * autoheal CLI
+ * Runs the healing pipeline in-process, streams the run log to stdout and
+ * writes a JSON report. Exit code: 0 when the run PASSED, 1 otherwise, 2 on
+ * usage errors — so it can gate an existing CI job.
+ *
+ *   autoheal run <repoUrl|localPath> --team X --leader Y [--max-iter N] [--no-push] [--dry-run] [--report file.json]
+ */
+const USAGE = `Usage: autoheal run <repoUrl|localPath> --team <name> --leader <name> [options]
+
+Options:
+  --team <name>       Team name (used in the fix branch name)
+  --leader <name>     Team leader name (used in the fix branch name)
+  --max-iter <n>      Maximum healing iterations (default: .autoheal.yml, else 6)
+  --no-push           Commit fixes locally but never push the branch
+  --dry-run           Never commit or push; write the fixes as patches to the run's artifacts
+  --report <file>     Where to write the final JSON report (default autoheal-report.json)
+  -h, --help          Show this help`;
+
+const fail = (message) => {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(2);
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                team: { type: 'string' },
+                leader: { type: 'string' },
+                'max-iter': { type: 'string' },
+                'no-push': { type: 'boolean', default: false },
+                'dry-run': { type: 'boolean', default: false },
+                report: { type: 'string', default: 'autoheal-report.json' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        return fail(e.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const [command, target] = positionals;
+    if (command !== 'run') return fail(command ? `Unknown command: ${command}` : 'Missing command');
+    if (!target) return fail('Missing repository URL or local path');
+    if (!values.team || !values.leader) return fail('--team and --leader are required');
+
+    // Left undefined when not given, so the repo's .autoheal.yml can set it
+    const maxIterations = values['max-iter'] !== undefined ? parseInt(values['max-iter'], 10) : undefined;
+    if (maxIterations !== undefined && (!Number.isInteger(maxIterations) || maxIterations < 1)) {
+        return fail('--max-iter must be a positive integer');
+    }
+
+    // Local paths (working copies or bare repos) become file:// URLs; the CLI may use any of them
+    let repoUrl;
+    try {
+        repoUrl = normalizeRepoUrl(fs.existsSync(target) ? path.resolve(target) : target, { allowAnyLocalPath: true });
+    } catch (e) {
+        return fail(e.message);
+    }
+
+    // Print the run log as the orchestrator produces it, and keep the final state for the report
+    // (the registry hands a finished run over to the run history right after its last event)
+    const runId = uuidv4();
+    let finalRun = null;
+    subscribe(runId, ({ type, data }) => {
+        if (type === 'log') console.log(data.line);
+        else if (type === 'logs') data.logs.forEach(line => console.log(line));
+        else if (type === 'status') console.log(`[autoheal] Status: ${data.status}`);
+        if (type === 'status' && isTerminal(data)) finalRun = { ...getRun(runId) };
+    });
+
+    // Ctrl+C cancels the run cleanly (kills the sandbox, never pushes)
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        console.log('[autoheal] Cancelling...');
+        controller.abort();
+    });
+
+    console.log(`[autoheal] Run ${runId}: ${repoUrl} (team ${values.team}, leader ${values.leader})`);
+    try {
+        await startOrchestrator(repoUrl, values.team, values.leader, {
+            runId,
+            signal: controller.signal,
+            maxIterations,
+            push: !values['no-push'],
+            dryRun: values['dry-run'],
+            requireApproval: false,         // nobody could approve from here; git.requireApproval only applies to server runs
+            trigger: { source: 'cli' }     // the server never resumes runs owned by a CLI process
+        });
+    } catch (err) {
+        // Same handling as the server's run queue: an orchestrator crash ends the run as FAILED
+        console.error('[autoheal] Orchestrator error:', err.message);
+        updateRun(runId, { status: 'FAILED', endTime: Date.now() });
+    }
+
+    const run = finalRun || getRun(runId);
+    const reportPath = path.resolve(values.report);
+    fs.writeFileSync(reportPath, JSON.stringify(run, null, 2));
+    console.log(`[autoheal] Report written to ${reportPath}`);
+    if (run.patchArtifact) console.log(`[autoheal] Patch written to ${getArtifactPath(runId, run.patchArtifact)}`);
+    if (run.llmUsage) {
+        const { calls, promptTokens, completionTokens, costUsd } = run.llmUsage;
+        console.log(`[autoheal] LLM usage: ${calls} call(s), ${promptTokens} prompt + ${completionTokens} completion tokens, ~$${costUsd.toFixed(4)}`);
+    }
+
+    process.exitCode = run.status === 'PASSED' ? 0 : 1;
+}
+
+main().catch(err => {
+    console.error('[autoheal] Fatal error:', err);
+    process.exit(1);
+});
@@ -1,28 +1,83 @@
-const { runTestsInSandbox } = require('../agents/docker');
+const { runTestsInSandbox, sandboxCommand, shellQuote } = require('../agents/docker');
+const { REPORT_DIR } = require('../services/testReports');
+const { dirsWith } = require('../services/workspaces');
 const path = require('path');
 const fs = require('fs');
 
 /**
  * Go Engine
  * Support: Go Modules (go.mod)
+ * projects: Every module. A module listed in a go.work `use` directive is
+ *           tested through that workspace; one a go.work above it does not list
+ *           runs with GOWORK=off, since go refuses modules outside the workspace
+ * recoveryActions: Clean the module cache and run go mod tidy
+ *
+ * options.config (engines.go in .autoheal.yml) may override the image and the
+ * install and test commands.
+ * options.tests (failures from a previous report) narrows -run to their
+ * top-level test functions.
+ * options.recovery (one of recoveryActions) runs before the tests.
  */
+// Module directories a go.work file uses, relative to the repo root
+const workspaceModules = (localPath, workDir) => {
+    let content;
+    try { content = fs.readFileSync(path.join(localPath, workDir, 'go.work'), 'utf8'); } catch { return []; }
+    const dirs = [];
+    for (const m of content.replace(/\/\/.*$/gm, '').matchAll(/^\s*use\s*(?:\(([^)]*)\)|(\S+))/gm)) {
+        dirs.push(...(m[1] !== undefined ? m[1].split('\n') : [m[2]]).map(line => line.trim()).filter(Boolean));
+    }
+    return dirs.map(dir => path.posix.join(workDir, dir.replace(/^"|"$/g, '')));
+};
+
+// The go.work in `dir` or the nearest directory above it, as go looks it up
+const enclosingWorkspace = (workspaces, dir) => {
+    for (let current = dir; ; current = path.posix.dirname(current)) {
+        if (workspaces.includes(current)) return current;
+        if (current === '.') return null;
+    }
+};
+
 const engineGo = {
-    discover: (localPath) => {
-        if (fs.existsSync(path.join(localPath, 'go.mod'))) return '.';
-        return null;
+    projects: (localPath, files) => {
+        const workspaces = dirsWith(files, 'go.work');
+        const used = new Map(workspaces.flatMap(workDir => workspaceModules(localPath, workDir).map(dir => [dir, workDir])));
+        return dirsWith(files, 'go.mod').map(dir => {
+            if (used.has(dir)) return { dir, workspace: used.get(dir) };
+            return enclosingWorkspace(workspaces, dir) ? { dir, goworkOff: true } : { dir };
+        });
     },
 
-    run: async (localPath, subDir = '.') => {
-        console.log(`[GoEngine] Running Go tests...`);
+    recoveryActions: (localPath, project) => [
+        {
+            name: 'mod-tidy',
+            description: 'Clean the module cache and run go mod tidy',
+            command: `${project.goworkOff ? 'export GOWORK=off && ' : ''}go clean -modcache && go mod tidy`,
+            files: ['go.mod', 'go.sum'].map(file => path.posix.join(project.dir, file))
+        }
+    ],
+
+    run: async (localPath, project, options = {}) => {
+        const { config = {}, tests = [], recovery } = options;
+        console.log(`[GoEngine] Running Go tests in ${project.dir}${tests.length > 0 ? ` (${tests.length} targeted test(s))` : ''}...`);
 
         // Standard Go container
-        const imageName = 'golang:1.21-alpine';
+        const imageName = config.image || 'golang:1.21-alpine';
 
         // Install build tools if needed + run tests recursively
-        // -v for verbose output so the LLM has more to work with
-        const testCmd = `go test -v ./...`;
+        // -json for a machine-readable report; it is echoed as the output, keeping go test's exit code
+        const report = `${REPORT_DIR}/go-test.json`;
+        // Subtests ("TestCalc/negative") are selected through their top-level function
+        const functions = [...new Set(tests.filter(t => t.name.startsWith('Test')).map(t => t.name.split('/')[0]))];
+        const run = functions.length > 0 ? ` -run ${shellQuote(`^(${functions.join('|')})$`)}` : '';
+        const goTest = `${project.goworkOff ? 'GOWORK=off ' : ''}go test -json${run} ./...`;
+        const test = config.test
+            || `mkdir -p ${REPORT_DIR} && ${goTest} > ${report}; status=$?; cat ${report}; exit $status`;
+        const workDir = project.dir;
+        const testCmd = sandboxCommand(workDir, recovery && recovery.command, config.install, test);
 
-        return await runTestsInSandbox(localPath, testCmd, imageName);
+        return await runTestsInSandbox(localPath, testCmd, imageName, {
+            ...options, engine: 'go', reports: [path.posix.join(workDir, REPORT_DIR, '*')], collect: recovery ? recovery.files : []
+        });
     }
 };
 
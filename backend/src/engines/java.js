@@ -1,33 +1,137 @@
-const { runTestsInSandbox } = require('../agents/docker');
+const { runTestsInSandbox, sandboxCommand, shellQuote } = require('../agents/docker');
+const { REPORT_DIR } = require('../services/testReports');
+const { dirsWith } = require('../services/workspaces');
 const path = require('path');
 const fs = require('fs');
 
 /**
  * Java Engine
  * Support: Maven (pom.xml) and Gradle (build.gradle)
+ * Both write JUnit XML reports, collected from the project and its direct submodules.
+ * projects: Each leaf module of a Maven multi-module build, run from its reactor
+ *           (the top-level aggregator) with the modules it depends on installed
+ *           first; standalone poms; each Gradle build (settings.gradle, or a
+ *           build.gradle outside of one), whose subprojects run together
+ * recoveryActions: Force Maven to re-check remote repositories (mvn -U), or
+ *           Gradle to refresh its dependencies
+ *
+ * options.config (engines.java in .autoheal.yml) may override the image and the
+ * install and test commands.
+ * options.tests (failures from a previous report) narrows the run to those
+ * test methods (-Dtest for Maven, --tests for Gradle).
+ * options.recovery (one of recoveryActions) runs before the install step.
  */
+// JUnit 5 reports methods as "add()"; test filters want the bare name
+const methodName = (test) => test.name.replace(/\(.*\)$/, '');
+
+// Directories of the <module> entries of a pom, relative to the repo root
+const mavenModules = (localPath, dir) => {
+    let pom;
+    try { pom = fs.readFileSync(path.join(localPath, dir, 'pom.xml'), 'utf8'); } catch { return []; }
+    const modules = [];
+    for (const section of pom.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<modules>([\s\S]*?)<\/modules>/g)) {
+        for (const m of section[1].matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)) {
+            modules.push(path.posix.join(dir, m[1].replace(/\/pom\.xml$/, '')));
+        }
+    }
+    return modules;
+};
+
+const mavenProjects = (localPath, files) => {
+    const poms = new Set(dirsWith(files, 'pom.xml'));
+    const children = new Map([...poms].map(dir => [dir, mavenModules(localPath, dir).filter(module => poms.has(module))]));
+    const nested = new Set([...children.values()].flat());
+
+    const projects = [];
+    const addLeaves = (dir, reactor, seen) => {
+        if (seen.has(dir)) return;
+        seen.add(dir);
+        if (children.get(dir).length === 0) projects.push({ dir, type: 'maven', reactor });
+        for (const child of children.get(dir)) addLeaves(child, reactor, seen);
+    };
+    for (const dir of [...poms].filter(pom => !nested.has(pom))) {
+        if (children.get(dir).length === 0) projects.push({ dir, type: 'maven' });
+        else addLeaves(dir, dir, new Set());
+    }
+    return projects;
+};
+
+const gradleProjects = (files) => {
+    const builds = [...dirsWith(files, 'settings.gradle'), ...dirsWith(files, 'settings.gradle.kts')];
+    const insideBuild = (dir) => builds.some(root => root === '.' || dir === root || dir.startsWith(`${root}/`));
+    const standalone = [...dirsWith(files, 'build.gradle'), ...dirsWith(files, 'build.gradle.kts')].filter(dir => !insideBuild(dir));
+    return [...new Set([...builds, ...standalone])].map(dir => ({ dir, type: 'gradle' }));
+};
+
+// Projects from before discovery carried no type
+const projectType = (localPath, project) => project.type
+    || (fs.existsSync(path.join(localPath, project.dir, 'pom.xml')) ? 'maven' : 'gradle');
+
+// -pl selection of a reactor module, from the reactor's directory
+const moduleSelection = (project) => (project.reactor ? ` -pl ${shellQuote(path.posix.relative(project.reactor, project.dir))}` : '');
+
 const engineJava = {
-    discover: (localPath) => {
-        if (fs.existsSync(path.join(localPath, 'pom.xml'))) return 'maven';
-        if (fs.existsSync(path.join(localPath, 'build.gradle'))) return 'gradle';
-        return null;
+    projects: (localPath, files) => {
+        const maven = mavenProjects(localPath, files);
+        const mavenDirs = new Set(dirsWith(files, 'pom.xml'));
+        // A build with both a pom and Gradle files runs as Maven, as it always has
+        return [...maven, ...gradleProjects(files).filter(project => !mavenDirs.has(project.dir))];
     },
 
-    run: async (localPath, type) => {
-        console.log(`[JavaEngine] Running ${type} project...`);
+    recoveryActions: (localPath, project) => (projectType(localPath, project) === 'maven'
+        ? [{
+            name: 'force-update',
+            description: 'Force an update of releases and snapshots (mvn -U)',
+            command: `mvn -B -q -U install -DskipTests${moduleSelection(project)}${project.reactor ? ' -am' : ''}`,
+            files: []
+        }]
+        : [{
+            name: 'refresh-dependencies',
+            description: 'Refresh Gradle dependencies',
+            command: 'chmod +x gradlew && ./gradlew dependencies --refresh-dependencies --no-daemon',
+            files: []
+        }]),
+
+    run: async (localPath, project, options = {}) => {
+        const { config = {}, tests = [], recovery } = options;
+        const { dir, reactor } = project;
+        const type = projectType(localPath, project);
+        const targeted = tests.filter(test => /^[\w.$]+$/.test(test.suite));
+        console.log(`[JavaEngine] Running ${type} project in ${dir}${targeted.length > 0 ? ` (${targeted.length} targeted test(s))` : ''}...`);
 
         // Use a JDK 11 image as a safe default for legacy/modern checks
-        const imageName = 'maven:3.8-openjdk-11';
+        const imageName = config.image || 'maven:3.8-openjdk-11';
 
         // Command selection
         let testCmd = '';
         if (type === 'maven') {
             testCmd = 'mvn test -B'; // -B = batch mode (no colors/progress bars)
+            testCmd += moduleSelection(project);
+            if (targeted.length > 0) {
+                const byClass = new Map();
+                for (const test of targeted) {
+                    const cls = test.suite.split('.').pop();
+                    byClass.set(cls, [...(byClass.get(cls) || []), methodName(test)]);
+                }
+                const selection = [...byClass].map(([cls, methods]) => `${cls}#${methods.join('+')}`).join(',');
+                // Submodules without a matching test must not fail the build
+                testCmd += ` -Dtest=${shellQuote(selection)} -Dsurefire.failIfNoSpecifiedTests=false -DfailIfNoTests=false`;
+            }
         } else {
             testCmd = 'chmod +x gradlew && ./gradlew test --no-daemon';
+            for (const test of targeted) testCmd += ` --tests ${shellQuote(`${test.suite}.${methodName(test)}`)}`;
         }
+        // A reactor module builds the modules it depends on first, so its tests see their current code
+        const install = config.install
+            || (reactor ? `mvn -B -q install -DskipTests${moduleSelection(project)} -am` : undefined);
+        testCmd = sandboxCommand(reactor || dir, recovery && recovery.command, install, config.test || testCmd);
 
-        return await runTestsInSandbox(localPath, testCmd, imageName);
+        const reportDirs = type === 'maven' ? 'target/surefire-reports' : 'build/test-results/test';
+        const reports = [`${REPORT_DIR}/*`, `${reportDirs}/*.xml`, `*/${reportDirs}/*.xml`]
+            .map(glob => path.posix.join(dir, glob));
+        return await runTestsInSandbox(localPath, testCmd, imageName, {
+            ...options, engine: 'java', reports, collect: recovery ? recovery.files : []
+        });
     }
 };
 
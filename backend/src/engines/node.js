@@ -1,46 +1,177 @@
-const { runTestsInSandbox } = require('../agents/docker');
+const { runTestsInSandbox, sandboxCommand, shellQuote } = require('../agents/docker');
+const { REPORT_DIR } = require('../services/testReports');
+const { matchesWorkspace, dirsWith } = require('../services/workspaces');
 const path = require('path');
 const fs = require('fs');
+const YAML = require('yaml');
 
 /**
  * Node.js Engine
- * discover: Checks for package.json
- * run: Installs dependencies and runs tests
+ * projects: Every package.json with a script run checks (test, else lint, else
+ *           build), and the repo root. Members of an npm/yarn (package.json
+ *           "workspaces") or pnpm (pnpm-workspace.yaml) workspace with a test
+ *           script are projects of their own, installed from the workspace root;
+ *           a root whose members are projects is not one
+ * run: Installs dependencies and runs tests (or lint, or build, when there is
+ *      no test script); Jest and Mocha test scripts also write a JSON report,
+ *      parsed instead of the console output
+ * recoveryActions: Purge the package manager's cache, or regenerate the lockfile
+ *
+ * options.config (engines.node in .autoheal.yml) may override the image and the
+ * install and test commands.
+ * options.tests (failures from a previous report) narrows a Jest or Mocha run
+ * to those tests; other runners and custom test commands run everything.
+ * options.recovery (one of recoveryActions) runs before the install step.
  */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Full names as the runners match them: Jest joins describe blocks and title with spaces, as does Mocha
+const fullName = (test) => [...(test.suite ? test.suite.split(' › ') : []), test.name].join(' ').trim();
+
+// Extra `npm test` arguments that make the runner behind the test script write a JSON report,
+// and select `tests` when given
+const runnerArgs = (testScript, workDir, tests = []) => {
+    const report = `${REPORT_DIR}/node.json`;
+    const named = tests.filter(test => !test.name.startsWith('('));
+    const pattern = shellQuote(`^(${named.map(test => escapeRegExp(fullName(test))).join('|')})$`);
+    if (/\bjest\b/.test(testScript)) {
+        const files = [...new Set(tests.map(test => test.testFile).filter(Boolean))]
+            .map(file => shellQuote(escapeRegExp(path.posix.relative(workDir, file))));
+        const selection = tests.length > 0
+            ? ` ${files.join(' ')}${named.length > 0 ? ` -t ${pattern}` : ''}`
+            : '';
+        return ` -- --json --outputFile=${report} --testLocationInResults${selection}`;
+    }
+    if (/\bmocha\b/.test(testScript)) {
+        return ` -- --reporter json --reporter-option output=${report}${named.length > 0 ? ` --grep ${pattern}` : ''}`;
+    }
+    return '';
+};
+
+const readJson = (file) => {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+};
+
+const hasTestScript = (pkg) => Boolean(pkg.scripts && pkg.scripts.test && !/no test specified/.test(pkg.scripts.test));
+
+// A package run() has something to check in: a test script, or lint / build instead
+const hasCheckScript = (pkg) => hasTestScript(pkg) || Boolean(pkg.scripts && (pkg.scripts.lint || pkg.scripts.build));
+
+// Member globs of a workspace rooted at `dir`, or null when it is not one
+const workspacePatterns = (localPath, dir, pkg) => {
+    const pnpm = path.join(localPath, dir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpm)) {
+        try { return (YAML.parse(fs.readFileSync(pnpm, 'utf8')) || {}).packages || []; } catch { return []; }
+    }
+    const workspaces = pkg && pkg.workspaces;
+    if (Array.isArray(workspaces)) return workspaces;
+    if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+    return null;
+};
+
+const packageManager = (localPath, dir) => {
+    const has = (file) => fs.existsSync(path.join(localPath, dir, file));
+    if (has('pnpm-workspace.yaml') || has('pnpm-lock.yaml')) return 'pnpm';
+    if (has('yarn.lock')) return 'yarn';
+    return 'npm';
+};
+
+// Install and test commands of a workspace member, both run from the workspace root
+const workspaceCommands = (workspace, dir, args) => {
+    const member = path.posix.relative(workspace.root, dir);
+    // pnpm and yarn hand the script's arguments on as they are; npm needs them after "--"
+    const scriptArgs = args.replace(/^ --/, '');
+    switch (workspace.manager) {
+        case 'pnpm':
+            return { install: 'corepack enable && pnpm install', test: `pnpm --filter ${shellQuote(workspace.name)} run test${scriptArgs}` };
+        case 'yarn':
+            return { install: 'corepack enable && yarn install', test: `yarn workspace ${shellQuote(workspace.name)} run test${scriptArgs}` };
+        default:
+            return { install: 'npm install --no-audit --no-fund --prefer-offline', test: `npm run test --workspace=${shellQuote(member)}${args}` };
+    }
+};
+
+const LOCKFILES = { npm: 'package-lock.json', pnpm: 'pnpm-lock.yaml', yarn: 'yarn.lock' };
+
 const engineNode = {
-    discover: (localPath) => {
-        // Support root or frontend/ subdir
-        if (fs.existsSync(path.join(localPath, 'package.json'))) return '.';
-        if (fs.existsSync(path.join(localPath, 'frontend', 'package.json'))) return 'frontend';
-        return null;
+    projects: (localPath, files) => {
+        const packages = dirsWith(files, 'package.json')
+            .map(dir => ({ dir, pkg: readJson(path.join(localPath, dir, 'package.json')) }))
+            .filter(({ pkg }) => pkg);
+
+        const members = new Map();
+        const roots = new Set();
+        for (const { dir, pkg } of packages) {
+            const patterns = workspacePatterns(localPath, dir, pkg);
+            if (!patterns) continue;
+            const manager = packageManager(localPath, dir);
+            for (const candidate of packages) {
+                if (candidate.dir === dir || members.has(candidate.dir) || !hasTestScript(candidate.pkg)) continue;
+                const rel = dir === '.' ? candidate.dir : path.posix.relative(dir, candidate.dir);
+                if (rel.startsWith('..') || !matchesWorkspace(rel, patterns)) continue;
+                members.set(candidate.dir, { root: dir, manager, name: candidate.pkg.name || rel });
+                roots.add(dir);
+            }
+        }
+
+        return packages
+            .filter(({ dir, pkg }) => members.has(dir)
+                || (!roots.has(dir) && (dir === '.' || hasCheckScript(pkg))))
+            .map(({ dir }) => (members.has(dir) ? { dir, workspace: members.get(dir) } : { dir }));
     },
 
-    run: async (localPath, subDir) => {
-        console.log(`[NodeEngine] Running in ${subDir} ...`);
-        const imageName = 'node:18-alpine';
+    // Run from where dependencies are installed: the workspace root for members
+    recoveryActions: (localPath, project) => {
+        const manager = project.workspace ? project.workspace.manager : 'npm';
+        const lockfile = path.posix.join(project.workspace ? project.workspace.root : project.dir, LOCKFILES[manager]);
+        const purge = {
+            npm: 'npm cache clean --force',
+            pnpm: 'corepack enable && pnpm store prune',
+            yarn: 'corepack enable && yarn cache clean'
+        }[manager];
+        return [
+            { name: 'purge-cache', description: `Purge the ${manager} cache and node_modules`, command: `${purge} && rm -rf node_modules`, files: [lockfile] },
+            { name: 'regenerate-lockfile', description: `Regenerate ${LOCKFILES[manager]}`, command: `rm -rf node_modules ${LOCKFILES[manager]}`, files: [lockfile] }
+        ];
+    },
 
-        let commands = ['npm install --no-audit --no-fund --prefer-offline']; // Optimized install
-        const pkgPath = subDir === '.' ? path.join(localPath, 'package.json') : path.join(localPath, subDir, 'package.json');
+    run: async (localPath, project, options = {}) => {
+        const { config = {}, tests, recovery } = options;
+        const { dir: workDir, workspace } = project;
+        console.log(`[NodeEngine] Running in ${workDir}${tests ? ` (${tests.length} targeted test(s))` : ''} ...`);
+        const imageName = config.image || 'node:18-alpine';
 
-        try {
-            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-            if (pkg.scripts) {
-                if (pkg.scripts.test) commands.push('npm test');
-                else if (pkg.scripts.lint) commands.push('npm run lint');
-                else if (pkg.scripts.build) commands.push('npm run build');
+        let install = config.install || 'npm install --no-audit --no-fund --prefer-offline'; // Optimized install
+        let test = config.test;
+        let cwd = workDir;
+        if (workspace) {
+            const pkg = readJson(path.join(localPath, workDir, 'package.json')) || {};
+            const commands = workspaceCommands(workspace, workDir, runnerArgs((pkg.scripts && pkg.scripts.test) || '', workDir, tests));
+            install = config.install || commands.install;
+            test = test || commands.test;
+            cwd = workspace.root;
+        } else if (!test) {
+            const pkgPath = path.join(localPath, workDir, 'package.json');
+            try {
+                const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+                if (pkg.scripts) {
+                    if (pkg.scripts.test) test = `npm test${runnerArgs(pkg.scripts.test, workDir, tests)}`;
+                    else if (pkg.scripts.lint) test = 'npm run lint';
+                    else if (pkg.scripts.build) test = 'npm run build';
+                }
+            } catch (e) {
+                console.error("[NodeEngine] Error reading package.json", e);
+                return { success: false, output: `Error reading package.json: ${e.message}` };
             }
-        } catch (e) {
-            console.error("[NodeEngine] Error reading package.json", e);
-            return { success: false, output: `Error reading package.json: ${e.message}` };
         }
 
-        let testCmd = commands.join(' && ');
-        if (subDir !== '.') {
-            testCmd = `cd ${subDir} && ${testCmd}`;
-        }
+        // Workspace members install and run from the workspace root; reports still land in the member
+        const testCmd = sandboxCommand(cwd, recovery && recovery.command, install, test);
 
         // Run in docker
-        return await runTestsInSandbox(localPath, testCmd, imageName);
+        return await runTestsInSandbox(localPath, testCmd, imageName, {
+            ...options, engine: 'node', reports: [path.posix.join(workDir, REPORT_DIR, '*')], collect: recovery ? recovery.files : []
+        });
     }
 };
 
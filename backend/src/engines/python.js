@@ -1,34 +1,62 @@
-const { runTestsInSandbox } = require('../agents/docker');
+const { runTestsInSandbox, sandboxCommand, shellQuote } = require('../agents/docker');
+const { REPORT_DIR } = require('../services/testReports');
+const { dirsWith } = require('../services/workspaces');
 const path = require('path');
-const fs = require('fs');
 
 /**
  * Python Engine
- * discover: Checks for requirements.txt
- * run: Installs dependencies and runs flake8 + pytest
+ * projects: Every directory with a requirements.txt
+ * run: Installs dependencies and runs flake8 + pytest (with a JUnit XML report)
+ * recoveryActions: Upgrade pip's build tooling and install without its cache
+ *
+ * options.config (engines.python in .autoheal.yml) may override the image, the
+ * install and test commands (e.g. a different flake8 select list).
+ * options.tests (failures from a previous report) runs just those pytest node
+ * ids, without flake8.
+ * options.recovery (one of recoveryActions) runs before the install step.
  */
+// pytest node id of a JUnit result: classname is the module, or the module plus the test class
+const nodeId = (workDir, test) => {
+    const module = path.posix.basename(test.testFile, '.py');
+    const owner = test.suite.split('.').pop();
+    const file = path.posix.relative(workDir, test.testFile);
+    return owner && owner !== module ? `${file}::${owner}::${test.name}` : `${file}::${test.name}`;
+};
 const enginePython = {
-    discover: (localPath) => {
-        if (fs.existsSync(path.join(localPath, 'requirements.txt'))) return '.';
-        // Could add support for backend/ subdir if needed, but sticking to root for now based on requirements
-        return null;
-    },
+    projects: (localPath, files) => dirsWith(files, 'requirements.txt').map(dir => ({ dir })),
+
+    recoveryActions: () => [
+        {
+            name: 'purge-cache',
+            description: 'Upgrade pip, setuptools and wheel and reinstall without the pip cache',
+            command: 'pip install --no-cache-dir --upgrade pip setuptools wheel && (pip cache purge || true)',
+            files: []
+        }
+    ],
 
-    run: async (localPath, subDir = '.') => {
-        console.log(`[PythonEngine] Running in ${subDir} ...`);
-        const imageName = 'python:3.9-alpine';
+    run: async (localPath, project, options = {}) => {
+        const { config = {}, tests = [], recovery } = options;
+        const workDir = project.dir;
+        const targeted = tests.length > 0 && tests.every(test => test.testFile) ? tests : null;
+        console.log(`[PythonEngine] Running in ${workDir}${targeted ? ` (${targeted.length} targeted test(s))` : ''} ...`);
+        const imageName = config.image || 'python:3.9-alpine';
 
         // Standard Python CI command
         // 1. Install deps
         // 2. Run flake8 (Linting) - Stop on errors? No, we want to report them.
         // 3. Run pytest (Logic/Unit Tests)
-        const testCmd = `pip install -r requirements.txt flake8 pytest && 
-                         export PYTHONPATH=$PYTHONPATH:. && 
+        const install = config.install || 'pip install -r requirements.txt flake8 pytest';
+        const test = config.test || (targeted
+            ? `export PYTHONPATH=$PYTHONPATH:. && pytest --junitxml=${REPORT_DIR}/pytest.xml ${targeted.map(t => shellQuote(nodeId(workDir, t))).join(' ')}`
+            : `export PYTHONPATH=$PYTHONPATH:. && 
                          flake8 . --count --select=E9,F63,F7,F82,F401 --show-source --statistics && 
-                         pytest`;
+                         pytest --junitxml=${REPORT_DIR}/pytest.xml`);
+        const testCmd = sandboxCommand(workDir, recovery && recovery.command, install, test);
 
         // Run in docker
-        return await runTestsInSandbox(localPath, testCmd, imageName);
+        return await runTestsInSandbox(localPath, testCmd, imageName, {
+            ...options, engine: 'python', reports: [path.posix.join(workDir, REPORT_DIR, '*')], collect: recovery ? recovery.files : []
+        });
     }
 };
 
@@ -1,31 +1,57 @@
-const { runTestsInSandbox } = require('../agents/docker');
+const { runTestsInSandbox, sandboxCommand, shellQuote } = require('../agents/docker');
+const { REPORT_DIR } = require('../services/testReports');
+const { dirsWith } = require('../services/workspaces');
 const path = require('path');
 const fs = require('fs');
 
 /**
  * Ruby Engine
- * Support: Bundler (Gemfile)
+ * Support: Bundler (Gemfile); projects with a spec/ directory run RSpec with a JSON report
+ * projects: Every directory with a Gemfile
+ * recoveryActions: Re-download every gem, or regenerate Gemfile.lock
+ *
+ * options.config (engines.ruby in .autoheal.yml) may override the image, the
+ * install and test commands.
+ * options.tests (failures from a previous RSpec report) runs just those
+ * examples, by file and line.
+ * options.recovery (one of recoveryActions) runs before the install step.
  */
 const engineRuby = {
-    discover: (localPath) => {
-        if (fs.existsSync(path.join(localPath, 'Gemfile'))) return '.';
-        return null;
+    projects: (localPath, files) => dirsWith(files, 'Gemfile').map(dir => ({ dir })),
+
+    recoveryActions: (localPath, project) => {
+        const lockfile = path.posix.join(project.dir, 'Gemfile.lock');
+        return [
+            { name: 'redownload', description: 'Re-download and reinstall every gem', command: 'apk add --no-cache build-base && bundle install --redownload', files: [lockfile] },
+            { name: 'regenerate-lockfile', description: 'Regenerate Gemfile.lock', command: 'rm -f Gemfile.lock', files: [lockfile] }
+        ];
     },
 
-    run: async (localPath, subDir = '.') => {
-        console.log(`[RubyEngine] Running Ruby tests...`);
+    run: async (localPath, project, options = {}) => {
+        const { config = {}, tests = [], recovery } = options;
+        const targeted = tests.length > 0 && tests.every(test => test.testFile && test.testLine) ? tests : null;
+        console.log(`[RubyEngine] Running Ruby tests in ${project.dir}${targeted ? ` (${targeted.length} targeted test(s))` : ''}...`);
 
-        const imageName = 'ruby:3.2-alpine';
+        const imageName = config.image || 'ruby:3.2-alpine';
 
         // 1. Install bundler dependencies
         // 2. Run tests (try standard rake test, then rspec if rake fails or just blind run)
         // Ideally we check for Rakefile, but `bundle exec rake test` is the standard convention.
         // We add `apk add build-base` because Ruby gems often need native extensions compile.
-        const testCmd = `apk add --no-cache build-base && \
-                         bundle install && \
-                         bundle exec rake test`;
+        const install = config.install || `apk add --no-cache build-base && \
+                         bundle install`;
+        const workDir = project.dir;
+        const examples = targeted
+            ? ` ${targeted.map(t => shellQuote(`${path.posix.relative(workDir, t.testFile)}:${t.testLine}`)).join(' ')}`
+            : '';
+        const test = config.test || (fs.existsSync(path.join(localPath, workDir, 'spec'))
+            ? `bundle exec rspec --format progress --format json --out ${REPORT_DIR}/rspec.json${examples}`
+            : `bundle exec rake test`);
+        const testCmd = sandboxCommand(workDir, recovery && recovery.command, install, test);
 
-        return await runTestsInSandbox(localPath, testCmd, imageName);
+        return await runTestsInSandbox(localPath, testCmd, imageName, {
+            ...options, engine: 'ruby', reports: [path.posix.join(workDir, REPORT_DIR, '*')], collect: recovery ? recovery.files : []
+        });
     }
 };
 
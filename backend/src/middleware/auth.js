@@ -0,0 +1,46 @@
+const { findActiveKey, isAdminKey } = require('../services/apiKeys');
+const { audit } = require('../services/auditLog');
+
+/**
+ * Authentication middleware.
+ * Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>` — never a query
+ * parameter, which would leak the key into access logs and browser history
+ * (the dashboard reads the SSE stream with fetch so it can send the header).
+ *
+ * Sets `req.auth` to `{ isAdmin, teamName, keyId }`. Team keys pin `teamName`;
+ * the admin key (ADMIN_API_KEY) is not tied to a team.
+ */
+const extractKey = (req) => {
+    const header = req.get('authorization');
+    if (header && header.toLowerCase().startsWith('bearer ')) return header.substring(7).trim();
+    if (req.get('x-api-key')) return req.get('x-api-key').trim();
+    return null;
+};
+
+const reject = (req, res, status, reason) => {
+    audit('REQUEST_REJECTED', { reason, method: req.method, path: req.originalUrl.split('?')[0], ip: req.ip });
+    res.status(status).json({ error: reason });
+};
+
+function authenticate(req, res, next) {
+    const key = extractKey(req);
+    if (!key) return reject(req, res, 401, 'Missing API key');
+
+    if (isAdminKey(key)) {
+        req.auth = { isAdmin: true, teamName: null, keyId: 'admin' };
+        return next();
+    }
+
+    const record = findActiveKey(key);
+    if (!record) return reject(req, res, 401, 'Invalid or revoked API key');
+
+    req.auth = { isAdmin: false, teamName: record.teamName, keyId: record.id };
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.auth || !req.auth.isAdmin) return reject(req, res, 403, 'Admin API key required');
+    next();
+}
+
+module.exports = { authenticate, requireAdmin };
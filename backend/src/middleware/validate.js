@@ -0,0 +1,51 @@
+const Ajv = require('ajv');
+const { routes } = require('../api/schemas');
+
+/**
+ * Schema validation middleware.
+ * `validate('POST /api/run-agent')` checks params, query and body against the
+ * route's schemas in api/schemas.js and answers 400 with the list of problems.
+ * Responses are checked too: a mismatch is logged (never sent to the client),
+ * so the OpenAPI document stays honest about what the API returns.
+ */
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const formatErrors = (errors, part) => errors.map(err => {
+    const where = `${part}${err.instancePath.replace(/\//g, '.')}`;
+    if (err.keyword === 'additionalProperties') return `${where} has unknown field "${err.params.additionalProperty}"`;
+    return `${where} ${err.message}`;
+});
+
+function validate(routeKey) {
+    const route = routes[routeKey];
+    if (!route) throw new Error(`No schema defined for route "${routeKey}"`);
+
+    const requestValidators = ['params', 'query', 'body']
+        .filter(part => route[part])
+        .map(part => [part, ajv.compile(route[part])]);
+    const responseValidators = Object.fromEntries(
+        Object.entries(route.responses || {})
+            .filter(() => !route.contentType)
+            .map(([code, schema]) => [code, ajv.compile(schema)])
+    );
+
+    return (req, res, next) => {
+        for (const [part, check] of requestValidators) {
+            if (!check(req[part])) {
+                return res.status(400).json({ error: `Invalid request ${part}`, details: formatErrors(check.errors, part) });
+            }
+        }
+
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+            const check = responseValidators[res.statusCode];
+            if (check && !check(payload)) {
+                console.error(`[Validate] ${routeKey} ${res.statusCode} response does not match schema:`, formatErrors(check.errors, 'response'));
+            }
+            return json(payload);
+        };
+        next();
+    };
+}
+
+module.exports = { validate };
@@ -0,0 +1,84 @@
+/**
+ * go test -json Report
+ * A stream of JSON events, one per line ({Action, Package, Test, Output, ...}).
+ * detect: First non-empty line is a test2json event
+ * parse: One result per test, with its output as the stack; a package that
+ *   fails without any failing test (build or setup failure) becomes a
+ *   "(package)" result
+ */
+const parseEvents = (content) => content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('{'))
+    .map(line => {
+        try { return JSON.parse(line); } catch { return null; }
+    })
+    .filter(event => event && event.Action);
+
+// Output lines that only echo the test's own lifecycle
+const isNoise = (line) => /^\s*(=== (RUN|PAUSE|CONT|NAME)|--- (PASS|FAIL|SKIP):|PASS$|FAIL$|ok\s)/.test(line);
+
+const reportGoTest = {
+    format: 'go test -json',
+
+    detect: (content) => {
+        const first = content.split('\n').find(line => line.trim());
+        if (!first) return false;
+        try {
+            const event = JSON.parse(first);
+            return Boolean(event.Action && 'Package' in event);
+        } catch {
+            return false;
+        }
+    },
+
+    parse: (content) => {
+        const tests = new Map();     // "<package>::<test>" → { package, name, status, output[] }
+        const packages = new Map();  // package → { status, output[] }
+
+        for (const event of parseEvents(content)) {
+            const key = event.Test ? `${event.Package}::${event.Test}` : event.Package;
+            const entries = event.Test ? tests : packages;
+            if (!entries.has(key)) entries.set(key, { package: event.Package, name: event.Test, status: null, output: [] });
+            const entry = entries.get(key);
+            if (event.Action === 'output') entry.output.push(event.Output.replace(/\n$/, ''));
+            if (['pass', 'fail', 'skip'].includes(event.Action)) entry.status = event.Action;
+        }
+
+        const results = [...tests.values()].map(test => {
+            const output = test.output.filter(line => !isNoise(line));
+            // t.Errorf lines look like "    calc_test.go:12: expected 3, got 4"
+            const location = output.map(line => line.match(/^\s*([\w.-]+\.go):(\d+):/)).find(Boolean);
+            // No final action: the test binary died mid-test (panic, timeout)
+            const status = { pass: 'passed', skip: 'skipped' }[test.status] || 'failed';
+            return {
+                id: `${test.package}::${test.name}`,
+                suite: test.package,
+                name: test.name,
+                file: location ? `${test.package}/${location[1]}` : null,
+                line: location ? parseInt(location[2], 10) : 0,
+                status,
+                message: status === 'failed' ? (output.map(line => line.trim()).find(Boolean) || 'Test failed') : '',
+                stack: status === 'failed' ? output.join('\n').trim() : ''
+            };
+        });
+
+        for (const pkg of packages.values()) {
+            const hasFailingTest = results.some(r => r.suite === pkg.package && r.status === 'failed');
+            if (pkg.status !== 'fail' || hasFailingTest) continue;
+            const output = pkg.output.filter(line => !isNoise(line));
+            results.push({
+                id: `${pkg.package}::(package)`,
+                suite: pkg.package,
+                name: '(package)',
+                file: null,
+                line: 0,
+                status: 'failed',
+                message: output.map(line => line.trim()).find(Boolean) || `Package ${pkg.package} failed`,
+                stack: output.join('\n').trim()
+            });
+        }
+        return results;
+    }
+};
+
+module.exports = reportGoTest;
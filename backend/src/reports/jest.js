@@ -0,0 +1,60 @@
+/**
+ * Jest JSON Report
+ * Written by `jest --json --outputFile=<file>` (plus --testLocationInResults for lines).
+ * detect: JSON object with testResults[].assertionResults
+ * parse: One result per assertion; a test file that fails to run at all
+ *   (syntax error, missing import) becomes a "(suite)" result
+ */
+// Jest colours its failure messages
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+const reportJest = {
+    format: 'Jest JSON',
+
+    detect: (content) => {
+        try {
+            const doc = JSON.parse(content);
+            return Array.isArray(doc.testResults) && 'numTotalTests' in doc;
+        } catch {
+            return false;
+        }
+    },
+
+    parse: (content) => {
+        const results = [];
+        for (const file of JSON.parse(content).testResults) {
+            const assertions = file.assertionResults || [];
+            for (const assertion of assertions) {
+                const stack = stripAnsi((assertion.failureMessages || []).join('\n')).trim();
+                const suite = (assertion.ancestorTitles || []).join(' › ');
+                const failed = assertion.status === 'failed';
+                results.push({
+                    id: `${file.name}::${assertion.fullName || assertion.title}`,
+                    suite,
+                    name: assertion.title,
+                    file: file.name,
+                    line: (assertion.location && assertion.location.line) || 0,
+                    status: failed ? 'failed' : assertion.status === 'passed' ? 'passed' : 'skipped',
+                    message: failed ? (stack.split('\n')[0] || 'Test failed') : '',
+                    stack: failed ? stack : ''
+                });
+            }
+            if (assertions.length === 0 && file.status === 'failed') {
+                const stack = stripAnsi(file.message || '').trim();
+                results.push({
+                    id: `${file.name}::(suite)`,
+                    suite: '',
+                    name: '(suite)',
+                    file: file.name,
+                    line: 0,
+                    status: 'failed',
+                    message: stack.split('\n').find(line => line.trim()) || 'Test suite failed to run',
+                    stack
+                });
+            }
+        }
+        return results;
+    }
+};
+
+module.exports = reportJest;
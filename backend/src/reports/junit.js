@@ -0,0 +1,58 @@
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * JUnit XML Report
+ * Written by Maven Surefire, Gradle, pytest --junitxml and most other runners.
+ * detect: Any XML document with a <testsuite> or <testsuites> root
+ * parse: One result per <testcase>; <failure> and <error> both count as failed
+ */
+const xml = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: 'text',
+    parseAttributeValue: false,
+    isArray: (name) => ['testsuite', 'testcase', 'failure', 'error', 'skipped'].includes(name)
+});
+
+// <failure>text</failure> parses to a string, <failure message="..."> to an object
+const asNode = (node) => (typeof node === 'string' ? { text: node } : node || {});
+
+// <testsuites> may nest suites (e.g. pytest with several files), so walk them all
+const collectTestCases = (suites, into = []) => {
+    for (const suite of suites || []) {
+        for (const testCase of suite.testcase || []) into.push({ suiteName: suite.name, testCase });
+        collectTestCases(suite.testsuite, into);
+    }
+    return into;
+};
+
+const toResult = ({ suiteName, testCase }) => {
+    const problem = asNode((testCase.failure || testCase.error || [])[0]);
+    const failed = Boolean(testCase.failure || testCase.error);
+    const suite = testCase.classname || suiteName || '';
+    const stack = failed ? (problem.text || '').trim() : '';
+    return {
+        id: `${suite}::${testCase.name}`,
+        suite,
+        name: testCase.name,
+        file: testCase.file || null,
+        line: parseInt(testCase.line, 10) || 0,
+        status: failed ? 'failed' : testCase.skipped ? 'skipped' : 'passed',
+        message: failed ? (problem.message || stack.split('\n')[0] || problem.type || 'Test failed') : '',
+        stack
+    };
+};
+
+const reportJunit = {
+    format: 'JUnit XML',
+
+    detect: (content) => /<testsuites?[\s>]/.test(content.slice(0, 2000)),
+
+    parse: (content) => {
+        const doc = xml.parse(content);
+        const roots = doc.testsuites ? [].concat(doc.testsuites) : [{ testsuite: doc.testsuite }];
+        return roots.flatMap(root => collectTestCases(root.testsuite)).map(toResult);
+    }
+};
+
+module.exports = reportJunit;
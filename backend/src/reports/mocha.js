@@ -0,0 +1,47 @@
+/**
+ * Mocha JSON Report
+ * Written by `mocha --reporter json --reporter-option output=<file>`.
+ * detect: JSON object with stats, passes, failures and pending
+ * parse: One result per test; failing hooks ("before all" ...) are reported as
+ *   failures too, since they stop the tests they guard from running
+ */
+const toResult = (test, status) => {
+    const err = test.err || {};
+    const suite = test.fullTitle && test.fullTitle.endsWith(test.title)
+        ? test.fullTitle.slice(0, -test.title.length).trim()
+        : '';
+    return {
+        id: `${test.file || ''}::${test.fullTitle || test.title}`,
+        suite,
+        name: test.title,
+        file: test.file || null,
+        line: 0,
+        status,
+        message: status === 'failed' ? (err.message || 'Test failed') : '',
+        stack: status === 'failed' ? (err.stack || err.message || '').trim() : ''
+    };
+};
+
+const reportMocha = {
+    format: 'Mocha JSON',
+
+    detect: (content) => {
+        try {
+            const doc = JSON.parse(content);
+            return Boolean(doc.stats) && Array.isArray(doc.failures) && Array.isArray(doc.passes);
+        } catch {
+            return false;
+        }
+    },
+
+    parse: (content) => {
+        const doc = JSON.parse(content);
+        return [
+            ...doc.passes.map(test => toResult(test, 'passed')),
+            ...doc.failures.map(test => toResult(test, 'failed')),
+            ...(doc.pending || []).map(test => toResult(test, 'skipped'))
+        ];
+    }
+};
+
+module.exports = reportMocha;
@@ -0,0 +1,57 @@
+/**
+ * RSpec JSON Report
+ * Written by `rspec --format json --out <file>`.
+ * detect: JSON object with examples[] and a summary
+ * parse: One result per example; errors outside of examples (a spec file that
+ *   fails to load) become a "(load error)" result
+ */
+const reportRspec = {
+    format: 'RSpec JSON',
+
+    detect: (content) => {
+        try {
+            const doc = JSON.parse(content);
+            return Array.isArray(doc.examples) && Boolean(doc.summary);
+        } catch {
+            return false;
+        }
+    },
+
+    parse: (content) => {
+        const doc = JSON.parse(content);
+        const results = doc.examples.map(example => {
+            const failed = example.status === 'failed';
+            const exception = example.exception || {};
+            const name = example.full_description || example.description;
+            return {
+                id: `${example.file_path}::${name}`,
+                suite: example.full_description && example.description
+                    ? example.full_description.slice(0, -example.description.length).trim()
+                    : '',
+                name,
+                file: example.file_path || null,
+                line: example.line_number || 0,
+                status: failed ? 'failed' : example.status === 'passed' ? 'passed' : 'skipped',
+                message: failed ? `${exception.class ? `${exception.class}: ` : ''}${exception.message || 'Example failed'}`.trim() : '',
+                stack: failed ? [exception.message, ...(exception.backtrace || [])].filter(Boolean).join('\n') : ''
+            };
+        });
+
+        if (doc.summary.errors_outside_of_examples_count > 0) {
+            const stack = (doc.messages || []).join('\n').trim();
+            results.push({
+                id: '(load error)',
+                suite: '',
+                name: '(load error)',
+                file: null,
+                line: 0,
+                status: 'failed',
+                message: stack.split('\n').find(line => line.trim()) || 'Errors occurred outside of examples',
+                stack
+            });
+        }
+        return results;
+    }
+};
+
+module.exports = reportRspec;
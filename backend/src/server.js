@@ -1,7 +1,19 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { startOrchestrator } = require('./agents/orchestrator');
+const { getRun, findActiveRun, listRuns, getLatestRun, subscribe, isTerminal } = require('./services/runRegistry');
+const { enqueueRun, cancelRun, isCancelling, decideRunFix, recoverInterruptedRuns } = require('./services/runQueue');
+const { getRunCheckpoints, DecisionError } = require('./agents/orchestrator');
+const { getRecord, toTime } = require('./services/runHistory');
+const { createKey, listKeys, revokeKey } = require('./services/apiKeys');
+const { audit } = require('./services/auditLog');
+const { authenticate, requireAdmin } = require('./middleware/auth');
+const { verifySignature, parseFailureEvent } = require('./services/githubWebhook');
+const { normalizeRepoUrl, RepoUrlError } = require('./services/repoUrl');
+const { validate } = require('./middleware/validate');
+const { buildOpenApiDocument } = require('./api/openapi');
+const metrics = require('./services/metrics');
+const { listArtifacts, getArtifactPath, writeArchive } = require('./services/artifacts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,62 +21,331 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || '*', // Allow frontend URL or all for dev
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
     credentials: true,
     sameSite: 'lax',
     httpOnly: true,
     secure: true,
 }));
-app.use(express.json());
+app.use(express.json({
+    // Keep the exact bytes for webhook signature verification
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Routes
-app.get('/health', (req, res) => {
+app.get('/health', validate('GET /health'), (req, res) => {
     res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.post('/api/run-agent', async (req, res) => {
+// Prometheus scrape endpoint; public like /health, so keep it off the internet or behind the proxy
+app.get('/metrics', validate('GET /metrics'), async (req, res) => {
+    res.set('Content-Type', metrics.register.contentType);
+    res.status(200).send(await metrics.register.metrics());
+});
+
+// GitHub webhook (content type application/json): authenticated by its HMAC
+// signature instead of an API key, so it is registered before the auth middleware.
+// Failed workflow_run / check_suite events queue a run against the failing head commit.
+app.post('/api/webhooks/github', validate('POST /api/webhooks/github'), (req, res) => {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(503).json({ error: 'Webhook receiver not configured (GITHUB_WEBHOOK_SECRET)' });
+    }
+
+    const delivery = req.get('x-github-delivery');
+    if (!verifySignature(secret, req.rawBody, req.get('x-hub-signature-256'))) {
+        audit('WEBHOOK_REJECTED', { reason: 'Invalid signature', delivery, ip: req.ip });
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const eventName = req.get('x-github-event');
+    if (eventName === 'ping') {
+        return res.status(200).json({ message: 'pong' });
+    }
+
+    const failure = parseFailureEvent(eventName, req.body);
+    if (!failure) {
+        return res.status(202).json({ status: 'IGNORED', message: `No failed CI run in ${eventName} event` });
+    }
+    try {
+        failure.repoUrl = normalizeRepoUrl(failure.repoUrl);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    // workflow_run and check_suite both fire for the same failing commit — heal it once
+    const duplicate = findActiveRun(run => run.repoUrl === failure.repoUrl && run.trigger && run.trigger.sha === failure.sha);
+    if (duplicate) {
+        return res.status(200).json({ status: 'DUPLICATE', runId: duplicate.runId });
+    }
+
+    const runId = enqueueRun({
+        repoUrl: failure.repoUrl,
+        teamName: process.env.GITHUB_WEBHOOK_TEAM || 'AUTOHEAL',
+        leaderName: failure.actor,
+        baseBranch: failure.branch,
+        baseSha: failure.sha,
+        trigger: { source: failure.source, branch: failure.branch, sha: failure.sha, delivery }
+    });
+    console.log(`Webhook ${eventName} queued run ${runId} for ${failure.repoUrl}@${failure.sha}`);
+
+    res.status(202).json({ status: getRun(runId).status, runId });
+});
+
+// Public API description, generated from the same schemas that validate the routes
+const openApiDocument = buildOpenApiDocument();
+app.get('/api/openapi.json', (req, res) => {
+    res.status(200).json(openApiDocument);
+});
+
+// Everything else under /api requires an API key (see middleware/auth.js)
+app.use('/api', authenticate);
+
+app.post('/api/run-agent', validate('POST /api/run-agent'), async (req, res) => {
     try {
-        const { repoUrl, teamName, leaderName } = req.body;
+        const { leaderName } = req.body;
+        // Team keys decide the team; only the admin key may act on behalf of any team
+        const teamName = req.auth.isAdmin ? req.body.teamName : req.auth.teamName;
 
-        if (!repoUrl || !teamName || !leaderName) {
-            return res.status(400).json({ error: 'Missing required fields: repoUrl, teamName, leaderName' });
+        if (!teamName) {
+            return res.status(400).json({ error: 'Missing required field: teamName' });
         }
 
-        console.log(`Starting MAS Orchestrator for repo: ${repoUrl}, Team: ${teamName}`);
+        const repoUrl = normalizeRepoUrl(req.body.repoUrl);
 
-        // Fire and forget (Orchestrator updates results.json independently)
-        // We return initial success so frontend can start polling
-        startOrchestrator(repoUrl, teamName, leaderName).catch(err => {
-            console.error("Orchestrator async error:", err);
+        // Fire and forget: the queue starts the Orchestrator once a slot is free and it
+        // updates the run registry independently. We return the runId so the frontend
+        // can start polling GET /api/runs/:id
+        const runId = enqueueRun({
+            repoUrl, teamName, leaderName,
+            dryRun: req.body.dryRun === true,
+            // Left out: the repository's .autoheal.yml decides
+            requireApproval: typeof req.body.requireApproval === 'boolean' ? req.body.requireApproval : null
         });
+        console.log(`Queued MAS Orchestrator for repo: ${repoUrl}, Team: ${teamName}, Run: ${runId}`);
 
-        res.status(200).json({ status: 'STARTED', message: 'Agent execution started' });
+        const { status } = getRun(runId);
+        res.status(200).json({ status: status === 'QUEUED' ? 'QUEUED' : 'STARTED', runId, teamName, message: 'Agent execution started' });
 
     } catch (error) {
+        if (error instanceof RepoUrlError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Agent execution start failed:', error);
         res.status(500).json({ error: 'Internal Server Error', details: error.message });
     }
 });
 
-app.get('/api/results', (req, res) => {
-    const fs = require('fs');
-    const path = require('path');
-    const resultsPath = path.resolve(__dirname, '../../results.json');
+// Live runs are in the registry; finished runs from before a restart only in the history.
+// Team keys only see their own team's runs.
+const findRun = (req, runId) => {
+    const run = getRun(runId) || getRecord(runId);
+    if (run && !req.auth.isAdmin && run.teamName !== req.auth.teamName) return null;
+    return run;
+};
 
-    if (fs.existsSync(resultsPath)) {
-        try {
-            const data = fs.readFileSync(resultsPath, 'utf8');
-            res.status(200).json(JSON.parse(data));
-        } catch (e) {
-            res.status(500).json({ error: 'Failed to read results' });
+// Query: ?repo=&status=&team=&from=&to= (from/to as ISO date or epoch ms)
+app.get('/api/runs', validate('GET /api/runs'), (req, res) => {
+    const { repo, status, from, to } = req.query;
+    const team = req.auth.isAdmin ? req.query.team : req.auth.teamName;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(toTime(value))) {
+            return res.status(400).json({ error: `Invalid "${name}" date: ${value}` });
         }
+    }
+    res.status(200).json({ runs: listRuns({ repo, status, team, from, to }) });
+});
+
+app.get('/api/runs/:id', validate('GET /api/runs/{id}'), (req, res) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    res.status(200).json(run);
+});
+
+// Server-Sent Events: a snapshot on connect, then incremental run events until the run ends
+app.get('/api/runs/:id/events', validate('GET /api/runs/{id}/events'), (req, res) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', run);
+    if (isTerminal(run)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = subscribe(run.runId, ({ type, data }) => {
+        send(type, data);
+        if (type === 'status' && isTerminal(data)) res.end();
+    });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Checkpointed healing graph state, step by step
+app.get('/api/runs/:id/checkpoints', validate('GET /api/runs/{id}/checkpoints'), async (req, res, next) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    try {
+        res.status(200).json({ runId: run.runId, checkpoints: await getRunCheckpoints(run.runId) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Artifacts archived by the orchestrator (raw test output, fix diffs, issues log, summary)
+app.get('/api/runs/:id/artifacts', validate('GET /api/runs/{id}/artifacts'), (req, res) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    res.status(200).json({ runId: run.runId, artifacts: listArtifacts(run.runId) });
+});
+
+app.get('/api/runs/:id/artifacts.zip', validate('GET /api/runs/{id}/artifacts.zip'), async (req, res, next) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    if (listArtifacts(run.runId).length === 0) {
+        return res.status(404).json({ error: `No artifacts archived for run ${run.runId}` });
+    }
+    res.attachment(`autoheal-${run.runId}.zip`);
+    try {
+        await writeArchive(run.runId, res);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.get('/api/runs/:id/artifacts/:name', validate('GET /api/runs/{id}/artifacts/{name}'), (req, res) => {
+    const run = findRun(req, req.params.id);
+    const file = run && getArtifactPath(run.runId, req.params.name);
+    if (!file) {
+        return res.status(404).json({ error: `Artifact not found: ${req.params.name}` });
+    }
+    res.download(file, req.params.name);
+});
+
+app.post('/api/runs/:id/cancel', validate('POST /api/runs/{id}/cancel'), (req, res) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    if (!cancelRun(run.runId)) {
+        return res.status(409).json({
+            error: isCancelling(run.runId) ? 'Run is already being cancelled' : `Run already finished with status ${run.status}`
+        });
+    }
+    // A queued run is cancelled at once, and a finished run is served from the history
+    const { status } = getRun(run.runId) || getRecord(run.runId);
+    res.status(202).json({ runId: run.runId, status, message: 'Cancellation requested' });
+});
+
+// Approval mode: approve or reject one fix (issueId = its fingerprint) of a run AWAITING_APPROVAL
+app.post('/api/runs/:id/fixes/:issueId/decision', validate('POST /api/runs/{id}/fixes/{issueId}/decision'), async (req, res, next) => {
+    const run = findRun(req, req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    const { decision, comment } = req.body;
+    try {
+        const approval = await decideRunFix(run.runId, req.params.issueId, { decision, comment: comment || null, decidedBy: req.auth.keyId });
+        audit('FIX_DECISION', { runId: run.runId, issueId: req.params.issueId, decision, keyId: req.auth.keyId, ip: req.ip });
+        res.status(200).json({
+            runId: run.runId,
+            issueId: req.params.issueId,
+            decision,
+            status: (getRun(run.runId) || getRecord(run.runId)).status,
+            pending: approval.fixes.filter(fix => !fix.decision).length
+        });
+    } catch (err) {
+        if (err instanceof DecisionError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        next(err);
+    }
+});
+
+// Legacy endpoint: returns the most recently started run (of the caller's team)
+app.get('/api/results', validate('GET /api/results'), (req, res) => {
+    const run = getLatestRun(req.auth.isAdmin ? null : req.auth.teamName);
+    if (run) {
+        res.status(200).json(run);
     } else {
         res.status(404).json({ status: 'PENDING', message: 'No results yet' });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`CORS allowed for: ${process.env.FRONTEND_URL}`);
+// --- API key management (admin only) ---
+app.get('/api/keys', requireAdmin, validate('GET /api/keys'), (req, res) => {
+    res.status(200).json({ keys: listKeys() });
+});
+
+app.post('/api/keys', requireAdmin, validate('POST /api/keys'), (req, res) => {
+    const { teamName, label } = req.body;
+    const { key, record } = createKey(teamName, label);
+    audit('KEY_CREATED', { keyId: record.id, teamName, ip: req.ip });
+    // The plaintext key is only ever returned here
+    res.status(201).json({ key, ...record });
+});
+
+app.delete('/api/keys/:id', requireAdmin, validate('DELETE /api/keys/{id}'), (req, res) => {
+    const record = revokeKey(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    }
+    audit('KEY_REVOKED', { keyId: record.id, teamName: record.teamName, ip: req.ip });
+    res.status(200).json(record);
 });
+
+// JSON errors for unknown routes and unparseable bodies instead of Express' HTML pages
+app.use((req, res) => {
+    res.status(404).json({ error: `Route not found: ${req.method} ${req.path}` });
+});
+
+// Express recognises error handlers by their four arguments
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+});
+
+// Started directly (npm start); tests require the app without listening
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`CORS allowed for: ${process.env.FRONTEND_URL}`);
+
+        // Runs cut short by the previous shutdown are resumed from their last checkpoint (or marked INTERRUPTED)
+        recoverInterruptedRuns()
+            .then(({ resumed, interrupted, awaiting }) => {
+                if (resumed.length + interrupted.length + awaiting.length > 0) {
+                    console.log(`[Server] Recovered runs after restart: ${resumed.length} resumed, ${interrupted.length} interrupted, ${awaiting.length} awaiting approval`);
+                }
+            })
+            .catch(err => console.error('[Server] Failed to recover interrupted runs:', err));
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * API Keys
+ * Per-team keys for the backend API. Only a SHA-256 hash of each key is stored
+ * (in backend/data/api_keys.json, or API_KEYS_PATH); the plaintext is returned
+ * once, at creation.
+ */
+const keysPath = process.env.API_KEYS_PATH || path.resolve(__dirname, '../../data/api_keys.json');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const readKeys = () => {
+    try { return JSON.parse(fs.readFileSync(keysPath, 'utf8')); }
+    catch { return []; }
+};
+
+const writeKeys = (keys) => {
+    fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+    fs.writeFileSync(keysPath, JSON.stringify(keys, null, 2));
+};
+
+// Public view of a key record — never includes the hash
+const describe = ({ id, teamName, label, prefix, createdAt, revokedAt }) => ({
+    id, teamName, label, prefix, createdAt, revokedAt
+});
+
+/**
+ * Issues a new key for a team.
+ * @returns {{key: string, record: object}} key is the plaintext, shown only once
+ */
+function createKey(teamName, label = '') {
+    const key = `ahk_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        teamName,
+        label,
+        prefix: key.substring(0, 8),
+        hash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    writeKeys([...readKeys(), record]);
+    return { key, record: describe(record) };
+}
+
+const listKeys = () => readKeys().map(describe);
+
+/**
+ * Revokes a key by id. Returns the updated record, or null if unknown.
+ */
+function revokeKey(id) {
+    const keys = readKeys();
+    const record = keys.find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        writeKeys(keys);
+    }
+    return describe(record);
+}
+
+/**
+ * Resolves a presented key to its active record, or null.
+ */
+function findActiveKey(key) {
+    const hash = hashKey(key);
+    const record = readKeys().find(k => k.hash === hash && !k.revokedAt);
+    return record ? describe(record) : null;
+}
+
+/**
+ * Constant-time comparison of a presented key against ADMIN_API_KEY.
+ */
+function isAdminKey(key) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(adminKey), 'hex'));
+}
+
+module.exports = { createKey, listKeys, revokeKey, findActiveKey, isAdminKey };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { onAnyRunEvent, getRun, isTerminal } = require('./runRegistry');
+
+/**
+ * Run Artifacts
+ * Per-run archive of everything needed to audit a run after the fact, stored
+ * flat in <ARTIFACTS_DIR>/<runId>/:
+ *
+ *   iteration-<n>.log       raw engine output of each healing iteration
+ *   test-results-<n>.json   per-engine results parsed from structured test reports
+ *   sanity.log              raw engine output of the final sanity run
+ *   fix-<n>-<file>.diff     git diff of each committed fix (of each fix, in a dry run)
+ *   fixes.patch             dry runs: every fix as one patch for `git apply`
+ *   issues_log.json         the run's final issues log
+ *   summary.json / run.log  final run state and its log, written when the run ends
+ *
+ * ARTIFACTS_DIR (env) overrides the default location backend/data/artifacts.
+ */
+const artifactsRoot = process.env.ARTIFACTS_DIR || path.resolve(__dirname, '../../data/artifacts');
+
+// Artifact names are generated here, but also arrive from URLs — never let one leave its run directory
+const ARTIFACT_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+const runDir = (runId) => path.join(artifactsRoot, runId);
+
+/**
+ * Turns a repository file path into a flat artifact name fragment (src/app.js → src_app.js).
+ * @param {string} file
+ */
+const toArtifactName = (file) => file.replace(/[^A-Za-z0-9_.-]+/g, '_').replace(/^\.+/, '');
+
+/**
+ * Writes (or overwrites) one artifact of a run. Failures are logged, never thrown:
+ * archiving must not break a healing run.
+ * @param {string} runId
+ * @param {string} name - flat file name, see ARTIFACT_NAME
+ * @param {string|Buffer} content
+ */
+function saveArtifact(runId, name, content) {
+    try {
+        if (!ARTIFACT_NAME.test(name)) throw new Error(`Invalid artifact name "${name}"`);
+        fs.mkdirSync(runDir(runId), { recursive: true });
+        fs.writeFileSync(path.join(runDir(runId), name), content);
+    } catch (e) {
+        console.error(`[Artifacts] Failed to save ${name} for run ${runId}:`, e.message);
+    }
+}
+
+/**
+ * @param {string} runId
+ * @returns {{name: string, size: number}[]} Artifacts of the run, sorted by name (empty if none)
+ */
+function listArtifacts(runId) {
+    if (!fs.existsSync(runDir(runId))) return [];
+    return fs.readdirSync(runDir(runId))
+        .filter(name => ARTIFACT_NAME.test(name))
+        .sort()
+        .map(name => ({ name, size: fs.statSync(path.join(runDir(runId), name)).size }));
+}
+
+/**
+ * @param {string} runId
+ * @param {string} name
+ * @returns {string|null} Absolute path of the artifact, or null if it does not exist
+ */
+function getArtifactPath(runId, name) {
+    if (!ARTIFACT_NAME.test(name)) return null;
+    const file = path.join(runDir(runId), name);
+    return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Streams a zip of all artifacts of a run, under a `<runId>/` folder.
+ * @param {string} runId
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>} resolves once the archive is finalised
+ */
+function writeArchive(runId, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(output);
+    for (const { name } of listArtifacts(runId)) {
+        archive.file(path.join(runDir(runId), name), { name: `${runId}/${name}` });
+    }
+    return archive.finalize();
+}
+
+// The summary and the full log are written once the run reaches its final status
+onAnyRunEvent((runId, { type, data }) => {
+    if (type !== 'status' || !isTerminal(data)) return;
+    const run = getRun(runId);
+    if (!run) return;
+    const { logs, ...summary } = run;
+    saveArtifact(runId, 'summary.json', JSON.stringify(summary, null, 2));
+    saveArtifact(runId, 'run.log', `${logs.join('\n')}\n`);
+});
+
+module.exports = { saveArtifact, listArtifacts, getArtifactPath, writeArchive, toArtifactName };
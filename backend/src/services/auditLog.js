@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Audit Log
+ * Append-only JSONL record of security-relevant events (rejected requests,
+ * key management). AUDIT_LOG_PATH (env) overrides backend/data/audit.log.
+ */
+const auditPath = process.env.AUDIT_LOG_PATH || path.resolve(__dirname, '../../data/audit.log');
+
+function audit(event, details = {}) {
+    const entry = { timestamp: new Date().toISOString(), event, ...details };
+    console.warn(`[Audit] ${event}`, JSON.stringify(details));
+    try {
+        fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+        fs.appendFileSync(auditPath, JSON.stringify(entry) + '\n');
+    } catch (e) {
+        console.error('[Audit] Failed to write audit log:', e.message);
+    }
+}
+
+module.exports = { audit };
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { MemorySaver } = require('@langchain/langgraph');
+
+/**
+ * Checkpointer
+ * LangGraph checkpoint saver that keeps every checkpoint of the healing graph
+ * on disk, one append-only JSONL file per run (thread_id = runId), so each
+ * step's state can be inspected after the fact and survives a backend restart.
+ *
+ *   - Every put / putWrites appends just the new checkpoint or writes to the
+ *     run's file; nothing already written is rewritten.
+ *   - Memory holds only the threads of runs executing in this process, pruned to
+ *     their latest checkpoint (and its parent, whose writes LangGraph still reads).
+ *     Anything else — a run's history, a resumed run's last step — is read from
+ *     its file on demand and not kept.
+ *   - When a run is over, release() drops its thread from memory (a run paused
+ *     for approval keeps its file), and archive() also moves the file to
+ *     finished/, so only unfinished runs are listed by listThreads(). The newest
+ *     CHECKPOINT_KEEP_FINISHED (env, default 50) finished runs stay inspectable;
+ *     older files are deleted.
+ *
+ * CHECKPOINT_DIR (env) overrides the default location backend/data/checkpoints.
+ */
+const checkpointDir = process.env.CHECKPOINT_DIR || path.resolve(__dirname, '../../data/checkpoints');
+const KEEP_FINISHED = Number.isInteger(parseInt(process.env.CHECKPOINT_KEEP_FINISHED, 10))
+    ? parseInt(process.env.CHECKPOINT_KEEP_FINISHED, 10)
+    : 50;
+
+// MemorySaver keeps serialised values as bytes; they are JSON text, so store them as strings
+const toText = (value) => (value instanceof Uint8Array ? Buffer.from(value).toString('utf8') : value);
+
+// MemorySaver keys pending writes by JSON.stringify([threadId, namespace, checkpointId])
+const writesKey = (threadId, ns, checkpointId) => JSON.stringify([threadId, ns, checkpointId]);
+const parseWritesKey = (key) => JSON.parse(key);
+
+class FileCheckpointSaver extends MemorySaver {
+    constructor(dir = checkpointDir) {
+        super();
+        this.dir = dir;
+        this.finishedDir = path.join(dir, 'finished');
+    }
+
+    threadFile(threadId) {
+        return path.join(this.dir, `${threadId}.jsonl`);
+    }
+
+    finishedFile(threadId) {
+        return path.join(this.finishedDir, `${threadId}.jsonl`);
+    }
+
+    append(threadId, entry) {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.threadFile(threadId), `${JSON.stringify(entry)}\n`);
+        } catch (e) {
+            console.error(`[Checkpointer] Failed to persist run ${threadId}:`, e.message);
+        }
+    }
+
+    /**
+     * Every checkpoint and write of a thread, from its file (active or finished),
+     * in MemorySaver's storage layout.
+     * @returns {{storage: object, writes: object}|null} null if the thread has no file
+     */
+    readThread(threadId) {
+        let text;
+        try {
+            text = fs.readFileSync(this.threadFile(threadId), 'utf8');
+        } catch (e) {
+            try { text = fs.readFileSync(this.finishedFile(threadId), 'utf8'); } catch { return null; }
+        }
+
+        const storage = {};
+        const writes = {};
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            let entry;
+            // A line cut short by a crash mid-append is the last one; everything before it is intact
+            try { entry = JSON.parse(line); } catch { continue; }
+            if (entry.kind === 'checkpoint') {
+                storage[entry.ns] = storage[entry.ns] || {};
+                storage[entry.ns][entry.id] = [entry.checkpoint, entry.metadata, entry.parentId ?? undefined];
+            } else if (entry.kind === 'write') {
+                const key = writesKey(threadId, entry.ns, entry.checkpointId);
+                writes[key] = { ...writes[key], [entry.index]: [entry.taskId, entry.channel, entry.value] };
+            }
+        }
+        return { storage: { [threadId]: storage }, writes };
+    }
+
+    // A throwaway saver over the thread's file, so reads follow MemorySaver's semantics without keeping the thread
+    fromDisk(threadId) {
+        const thread = this.readThread(threadId);
+        const saver = new MemorySaver(this.serde);
+        if (thread) {
+            saver.storage = thread.storage;
+            saver.writes = thread.writes;
+        }
+        return saver;
+    }
+
+    isLive(threadId) {
+        return Boolean(this.storage[threadId]);
+    }
+
+    async getTuple(config) {
+        const threadId = config.configurable?.thread_id;
+        if (this.isLive(threadId)) {
+            const tuple = await super.getTuple(config);
+            if (tuple) return tuple;
+        }
+        return this.fromDisk(threadId).getTuple(config);
+    }
+
+    async *list(config, options) {
+        yield* this.fromDisk(config.configurable?.thread_id).list(config, options);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        const next = await super.put(config, checkpoint, metadata);
+        const ns = next.configurable.checkpoint_ns;
+        const [serialized, serializedMetadata, parentId] = this.storage[threadId][ns][checkpoint.id];
+        this.append(threadId, {
+            kind: 'checkpoint', ns, id: checkpoint.id, parentId: parentId ?? null,
+            checkpoint: toText(serialized), metadata: toText(serializedMetadata)
+        });
+        this.prune(threadId, ns, checkpoint.id, parentId);
+        return next;
+    }
+
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        const ns = config.configurable?.checkpoint_ns;
+        const key = writesKey(threadId, ns, config.configurable?.checkpoint_id);
+        const before = { ...this.writes[key] };
+        await super.putWrites(config, writes, taskId);
+        for (const [index, [writeTaskId, channel, value]] of Object.entries(this.writes[key] || {})) {
+            if (before[index] === this.writes[key][index]) continue;
+            this.append(threadId, {
+                kind: 'write', ns: ns ?? '', checkpointId: config.configurable.checkpoint_id,
+                index, taskId: writeTaskId, channel, value: toText(value)
+            });
+        }
+    }
+
+    // Keeps only the latest checkpoint of a live thread's namespace (and its parent) in memory
+    prune(threadId, ns, latestId, parentId) {
+        const keep = new Set([latestId, parentId].filter(Boolean));
+        const checkpoints = this.storage[threadId][ns];
+        for (const id of Object.keys(checkpoints)) {
+            if (!keep.has(id)) delete checkpoints[id];
+        }
+        for (const key of Object.keys(this.writes)) {
+            const [keyThread, keyNs, checkpointId] = parseWritesKey(key);
+            if (keyThread === threadId && (keyNs ?? '') === ns && !keep.has(checkpointId)) delete this.writes[key];
+        }
+    }
+
+    /** Drops a thread from memory; its file stays (e.g. a run paused for approval). */
+    release(threadId) {
+        delete this.storage[threadId];
+        for (const key of Object.keys(this.writes)) {
+            if (parseWritesKey(key)[0] === threadId) delete this.writes[key];
+        }
+    }
+
+    /**
+     * Ends a finished run's thread: drops it from memory and moves its file to
+     * finished/, deleting the oldest finished files beyond CHECKPOINT_KEEP_FINISHED.
+     */
+    archive(threadId) {
+        this.release(threadId);
+        try {
+            if (!fs.existsSync(this.threadFile(threadId))) return;
+            fs.mkdirSync(this.finishedDir, { recursive: true });
+            fs.renameSync(this.threadFile(threadId), this.finishedFile(threadId));
+
+            const finished = fs.readdirSync(this.finishedDir)
+                .filter(f => f.endsWith('.jsonl'))
+                .map(f => ({ file: path.join(this.finishedDir, f), mtime: fs.statSync(path.join(this.finishedDir, f)).mtimeMs }))
+                .sort((a, b) => b.mtime - a.mtime);
+            for (const { file } of finished.slice(KEEP_FINISHED)) fs.rmSync(file, { force: true });
+        } catch (e) {
+            console.error(`[Checkpointer] Failed to archive run ${threadId}:`, e.message);
+        }
+    }
+
+    /** @returns {string[]} runIds with an unfinished thread on disk */
+    listThreads() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir).filter(f => f.endsWith('.jsonl')).map(f => f.slice(0, -'.jsonl'.length));
+    }
+}
+
+module.exports = { FileCheckpointSaver };
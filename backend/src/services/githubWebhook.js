@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+/**
+ * GitHub Webhook helpers
+ * Pure functions so recorded payloads can be replayed against them without GitHub.
+ */
+
+/**
+ * Verifies the `X-Hub-Signature-256` header (HMAC-SHA256 of the raw body).
+ * @param {string} secret - GITHUB_WEBHOOK_SECRET
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - e.g. "sha256=ab12..."
+ * @returns {boolean}
+ */
+function verifySignature(secret, rawBody, signatureHeader) {
+    if (!secret || !rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signatureHeader);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Extracts the failing commit from a `workflow_run` or `check_suite` event.
+ * Returns null for any event that should not trigger a healing run
+ * (other events, non-completed actions, non-failure conclusions, and failures
+ * on the agent's own *_AI_Fix_* branches, which would otherwise loop).
+ *
+ * @returns {{repoUrl: string, branch: string, sha: string, actor: string, source: string} | null}
+ */
+function parseFailureEvent(eventName, payload) {
+    if (!payload || payload.action !== 'completed' || !payload.repository) return null;
+
+    let subject;
+    if (eventName === 'workflow_run') subject = payload.workflow_run;
+    else if (eventName === 'check_suite') subject = payload.check_suite;
+    else return null;
+
+    if (!subject || subject.conclusion !== 'failure' || !subject.head_sha) return null;
+    if (subject.head_branch && subject.head_branch.includes('_AI_Fix_')) return null;
+
+    const actor = (payload.workflow_run && payload.workflow_run.actor && payload.workflow_run.actor.login)
+        || (payload.sender && payload.sender.login)
+        || 'github';
+
+    return {
+        repoUrl: payload.repository.clone_url,
+        branch: subject.head_branch,
+        sha: subject.head_sha,
+        actor,
+        source: eventName
+    };
+}
+
+module.exports = { verifySignature, parseFailureEvent };
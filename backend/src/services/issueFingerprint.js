@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * Issue Fingerprints
+ * A stable identity for an issue across healing iterations. The LLM may report
+ * the same bug with a shifted line number, another `type` label or reworded
+ * description, so none of those take part. A fingerprint is built from:
+ *
+ *   - the file to fix
+ *   - the failing tests the issue explains (ids from structured test reports)
+ *   - the normalised error message: the report's message, or the error line the
+ *     analyzer copied from raw output. The description is the LLM's own wording
+ *     and differs every time, so an issue without either leaves the message out
+ *   - the repository files in the failure's stack frames (without line numbers)
+ *
+ * An issue with none of that evidence would be identified by its file alone, so
+ * every bug in that file would look like one. Those fall back to the `type`
+ * label and a bucket of LINE_BUCKET lines around the reported line: coarse, but
+ * it keeps distinct bugs in one file apart.
+ *
+ * Issues are stamped with `fingerprint` when they enter the issues log; logs
+ * written before fingerprints existed are fingerprinted on the fly.
+ */
+
+/**
+ * Reduces an error message to what stays the same when the same bug is seen
+ * again: no colours, paths' line/column suffixes, numbers, addresses or durations.
+ * @param {string} message
+ * @returns {string}
+ */
+function normalizeMessage(message) {
+    return (message || '')
+        .replace(/\u001b\[[0-9;]*m/g, '')
+        .replace(/\/app\//g, '')                            // sandbox mount point
+        .replace(/(\.[A-Za-z]{1,6})(:\d+)+/g, '$1')         // file.js:12:5 → file.js
+        .replace(/, line \d+/g, '')                         // Python tracebacks
+        .replace(/0x[0-9a-f]+/gi, '<addr>')
+        .replace(/\b\d+(\.\d+)?(ms|s)\b/g, '<time>')
+        .replace(/-?\b\d+(\.\d+)?\b/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase()
+        .slice(0, 300);
+}
+
+const LINE_BUCKET = 10;
+
+const normalizePath = (file) => (file || '').replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/app\//, '');
+
+/**
+ * @param {{file: string, type?: string, line?: number, description?: string, error?: string,
+ *   evidence?: {tests?: string[], message?: string, frames?: string[]}}} issue
+ * @returns {string} The issue's fingerprint (its stored one, if stamped already)
+ */
+function fingerprintIssue(issue) {
+    if (issue.fingerprint) return issue.fingerprint;
+    const evidence = issue.evidence || {};
+    const tests = [...new Set(evidence.tests || [])].sort();
+    const message = normalizeMessage(evidence.message || issue.error);
+    const frames = [...new Set((evidence.frames || []).map(normalizePath))].sort();
+    const parts = [normalizePath(issue.file), tests, message, frames];
+    if (tests.length === 0 && !message && frames.length === 0) {
+        const line = Number(issue.line);
+        parts.push(String(issue.type || '').toUpperCase(), line > 0 ? Math.floor(line / LINE_BUCKET) : null);
+    }
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {object} issue
+ * @returns {object} The issue with its `fingerprint` set
+ */
+const withFingerprint = (issue) => ({ ...issue, fingerprint: fingerprintIssue(issue) });
+
+module.exports = { fingerprintIssue, withFingerprint, normalizeMessage };
@@ -0,0 +1,156 @@
+const { listActiveRuns } = require('./runRegistry');
+const { teamMonthlySpend } = require('./runHistory');
+
+/**
+ * LLM Usage
+ * Token counts and estimated cost of a run's LLM calls, and the budgets that
+ * stop a run once they are spent.
+ *
+ * A usage total is { calls, promptTokens, completionTokens, costUsd, byAgent },
+ * byAgent holding the same counts per agent (analyzer, solver). Cost is
+ * estimated from the model's price per million tokens (MODEL_PRICES, or the
+ * LLM_PRICES env as JSON: { "<model>": { "prompt": 10, "completion": 30 } });
+ * models without a price are charged as gpt-4-turbo.
+ *
+ * Budgets, in USD, none by default:
+ *   - per run: RUN_BUDGET_USD (env); `budget.maxCostUsd` in .autoheal.yml can only lower it
+ *   - per team and calendar month (UTC): TEAM_BUDGET_USD (env), overridden per
+ *     team by TEAM_BUDGETS (env, JSON: { "<team>": 50 }). A team's spend is its
+ *     finished runs of the month (a running total kept by the run history) plus
+ *     its active runs.
+ */
+const MODEL_PRICES = {
+    'gpt-4-turbo': { prompt: 10, completion: 30 },
+    'gpt-4': { prompt: 30, completion: 60 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 }
+};
+const DEFAULT_MODEL = 'gpt-4-turbo';
+
+const parseJsonEnv = (name) => {
+    try { return process.env[name] ? JSON.parse(process.env[name]) : {}; }
+    catch (e) {
+        console.error(`[LlmUsage] Ignoring invalid ${name}:`, e.message);
+        return {};
+    }
+};
+const parseBudget = (value) => (Number(value) > 0 ? Number(value) : null);
+
+const prices = { ...MODEL_PRICES, ...parseJsonEnv('LLM_PRICES') };
+const RUN_BUDGET_USD = parseBudget(process.env.RUN_BUDGET_USD);
+const TEAM_BUDGET_USD = parseBudget(process.env.TEAM_BUDGET_USD);
+const TEAM_BUDGETS = parseJsonEnv('TEAM_BUDGETS');
+
+// Dated model names ("gpt-4o-2024-08-06") are priced as their family
+const priceOf = (model) => {
+    const family = Object.keys(prices)
+        .filter(name => model === name || (model || '').startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return prices[family || DEFAULT_MODEL];
+};
+
+const emptyCounts = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+const emptyUsage = () => ({ ...emptyCounts(), byAgent: {} });
+
+/**
+ * Token counts of a LangChain chat response (usage_metadata, or the OpenAI
+ * tokenUsage of older versions); zero when the provider reports none.
+ * @returns {{promptTokens: number, completionTokens: number}}
+ */
+function usageOf(response) {
+    const meta = (response && response.usage_metadata) || {};
+    const legacy = (response && response.response_metadata && response.response_metadata.tokenUsage) || {};
+    return {
+        promptTokens: meta.input_tokens || legacy.promptTokens || 0,
+        completionTokens: meta.output_tokens || legacy.completionTokens || 0
+    };
+}
+
+/**
+ * @param {string} model
+ * @param {{promptTokens: number, completionTokens: number}} tokens
+ * @returns {number} estimated cost in USD
+ */
+function costOf(model, { promptTokens, completionTokens }) {
+    const price = priceOf(model);
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+const round = (usd) => Math.round(usd * 1e6) / 1e6;
+
+/**
+ * Adds one LLM call to a usage total.
+ * @param {object} total - usage total (not modified)
+ * @param {{agent: string, model: string, promptTokens: number, completionTokens: number}} call
+ * @returns {object} new usage total
+ */
+function addUsage(total, { agent, model, promptTokens, completionTokens }) {
+    const costUsd = costOf(model, { promptTokens, completionTokens });
+    const add = (counts) => ({
+        calls: counts.calls + 1,
+        promptTokens: counts.promptTokens + promptTokens,
+        completionTokens: counts.completionTokens + completionTokens,
+        costUsd: round(counts.costUsd + costUsd)
+    });
+    const base = total || emptyUsage();
+    return { ...add(base), byAgent: { ...base.byAgent, [agent]: add(base.byAgent[agent] || emptyCounts()) } };
+}
+
+const monthStart = (now = new Date()) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+
+/**
+ * Estimated spend of a team this calendar month.
+ * @param {string} teamName
+ * @returns {number} USD
+ */
+function teamSpend(teamName) {
+    const active = listActiveRuns({ team: teamName, from: String(monthStart()) })
+        .reduce((sum, run) => sum + ((run.llmUsage && run.llmUsage.costUsd) || 0), 0);
+    return teamMonthlySpend(teamName) + active;
+}
+
+const teamBudget = (teamName) => {
+    const override = Object.entries(TEAM_BUDGETS).find(([team]) => team.toLowerCase() === (teamName || '').toLowerCase());
+    return override ? parseBudget(override[1]) : TEAM_BUDGET_USD;
+};
+
+/**
+ * The run's budget: RUN_BUDGET_USD, lowered by the repository's budget.maxCostUsd.
+ * @param {{maxCostUsd?: number}} [repoBudget]
+ * @returns {number|null} USD, null for no limit
+ */
+function runBudget(repoBudget = {}) {
+    const limits = [RUN_BUDGET_USD, parseBudget(repoBudget.maxCostUsd)].filter(limit => limit !== null);
+    return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Whether any budget limits the run's LLM calls.
+ * @param {{teamName: string, repoBudget?: object}} run
+ * @returns {boolean}
+ */
+function hasBudget({ teamName, repoBudget }) {
+    return runBudget(repoBudget) !== null || teamBudget(teamName) !== null;
+}
+
+/**
+ * Why the run may not make further LLM calls, or null while it is within budget.
+ * @param {{teamName: string, usage: object, repoBudget?: object}} run
+ * @returns {string|null}
+ */
+function budgetExceeded({ teamName, usage, repoBudget }) {
+    const spent = (usage && usage.costUsd) || 0;
+    const perRun = runBudget(repoBudget);
+    if (perRun !== null && spent >= perRun) {
+        return `run budget of $${perRun} spent ($${spent.toFixed(4)})`;
+    }
+    const perTeam = teamBudget(teamName);
+    if (perTeam !== null) {
+        const teamSpent = teamSpend(teamName);
+        if (teamSpent >= perTeam) return `team ${teamName}'s monthly budget of $${perTeam} spent ($${teamSpent.toFixed(4)})`;
+    }
+    return null;
+}
+
+module.exports = { usageOf, costOf, addUsage, emptyUsage, budgetExceeded, hasBudget, runBudget, teamSpend };
@@ -0,0 +1,143 @@
+const client = require('prom-client');
+const { onAnyRunEvent, getRun, isTerminal } = require('./runRegistry');
+const { usageOf, costOf } = require('./llmUsage');
+
+/**
+ * Metrics
+ * Prometheus counters and histograms for runs, issues, sandbox executions and
+ * LLM calls, exposed at GET /metrics. Finished runs and issues are derived from the
+ * run registry's event stream; run starts, sandbox and LLM metrics are recorded at
+ * the call sites. A run is started once: resuming it after a restart or after its
+ * review recreates or re-statuses its registry entry, but is no new start.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'autoheal_' });
+
+const runsStarted = new client.Counter({
+    name: 'autoheal_runs_started_total',
+    help: 'Healing runs that started executing',
+    labelNames: ['trigger'],
+    registers: [register]
+});
+
+const runsFinished = new client.Counter({
+    name: 'autoheal_runs_finished_total',
+    help: 'Healing runs that finished, by final status',
+    labelNames: ['status'],
+    registers: [register]
+});
+
+const runIterations = new client.Histogram({
+    name: 'autoheal_run_iterations',
+    help: 'Healing iterations used per finished run',
+    buckets: [0, 1, 2, 3, 4, 5, 6, 8, 10],
+    registers: [register]
+});
+
+const issues = new client.Counter({
+    name: 'autoheal_issues_total',
+    help: 'Issue lifecycle events (discovered, fixed, reopened, failed) by issue type',
+    labelNames: ['action', 'type'],
+    registers: [register]
+});
+
+const sandboxDuration = new client.Histogram({
+    name: 'autoheal_sandbox_duration_seconds',
+    help: 'Wall-clock duration of sandbox executions',
+    labelNames: ['engine'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600],
+    registers: [register]
+});
+
+const sandboxExecutions = new client.Counter({
+    name: 'autoheal_sandbox_executions_total',
+    help: 'Sandbox executions by engine and exit code ("error" if the sandbox itself failed)',
+    labelNames: ['engine', 'exit_code'],
+    registers: [register]
+});
+
+const llmDuration = new client.Histogram({
+    name: 'autoheal_llm_call_duration_seconds',
+    help: 'Latency of LLM calls by agent',
+    labelNames: ['agent'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 40, 80],
+    registers: [register]
+});
+
+const llmFailures = new client.Counter({
+    name: 'autoheal_llm_call_failures_total',
+    help: 'LLM calls that threw, by agent',
+    labelNames: ['agent'],
+    registers: [register]
+});
+
+const llmTokens = new client.Counter({
+    name: 'autoheal_llm_tokens_total',
+    help: 'Tokens used by LLM calls, by agent and kind (prompt, completion)',
+    labelNames: ['agent', 'kind'],
+    registers: [register]
+});
+
+const llmCost = new client.Counter({
+    name: 'autoheal_llm_cost_usd_total',
+    help: 'Estimated cost of LLM calls in USD, by agent',
+    labelNames: ['agent'],
+    registers: [register]
+});
+
+onAnyRunEvent((runId, { type, data }) => {
+    if (type === 'status' && isTerminal(data)) {
+        runsFinished.inc({ status: data.status });
+        const run = getRun(runId);
+        if (run) runIterations.observe(run.iterations || 0);
+    } else if (type === 'issue') {
+        issues.inc({ action: data.action, type: data.issue.type || 'UNKNOWN' });
+    }
+});
+
+/**
+ * Records a run that starts executing for the first time (not a resumed one).
+ * @param {{source: string}|null} trigger - null for API runs
+ */
+function recordRunStarted(trigger) {
+    runsStarted.inc({ trigger: trigger ? trigger.source : 'api' });
+}
+
+/**
+ * Records one sandbox execution.
+ * @param {string} engine
+ * @param {number} seconds
+ * @param {number|string} exitCode - container exit code, or 'error' / 'cancelled'
+ */
+function recordSandboxExecution(engine, seconds, exitCode) {
+    sandboxDuration.observe({ engine }, seconds);
+    sandboxExecutions.inc({ engine, exit_code: String(exitCode) });
+}
+
+/**
+ * Times an LLM call and counts it as failed if it throws (the error is rethrown).
+ * The tokens and estimated cost of a successful call are counted and passed to
+ * `usage.onUsage` as { agent, model, promptTokens, completionTokens }.
+ * @param {'analyzer'|'solver'} agent
+ * @param {() => Promise<any>} call
+ * @param {{model?: string, onUsage?: Function}} [usage]
+ */
+async function timeLlmCall(agent, call, { model, onUsage } = {}) {
+    const end = llmDuration.startTimer({ agent });
+    try {
+        const response = await call();
+        const tokens = usageOf(response);
+        llmTokens.inc({ agent, kind: 'prompt' }, tokens.promptTokens);
+        llmTokens.inc({ agent, kind: 'completion' }, tokens.completionTokens);
+        llmCost.inc({ agent }, costOf(model, tokens));
+        if (onUsage) onUsage({ agent, model, ...tokens });
+        return response;
+    } catch (e) {
+        llmFailures.inc({ agent });
+        throw e;
+    } finally {
+        end();
+    }
+}
+
+module.exports = { register, recordRunStarted, recordSandboxExecution, timeLlmCall };
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+
+/**
+ * Regression Guard
+ * Catches Solver fixes that make the targeted test pass but break others.
+ *
+ *   1. Every test run records each test's status per iteration (testHistory),
+ *      keyed "<engine>::<test id>"; engines also get an "<engine>::(engine)" entry
+ *      for their overall result, which covers engines without structured reports.
+ *   2. Before a Solver pass the working tree is snapshotted; afterwards the pass
+ *      is described as the files it changed (with their previous content) and the
+ *      fixes that changed them.
+ *   3. A test that passed before the pass and fails after it is a regression. The
+ *      fixes whose files appear in its failure (test file or stack frames) are
+ *      blamed; when none do, every fix of the pass is.
+ *   4. The blamed fixes' files are restored to their previous content, so the
+ *      fixes are undone without touching the index or earlier iterations' fixes.
+ */
+const ENGINE_ENTRY = '(engine)';
+
+// The orchestrator's own bookkeeping is never part of a fix
+const IGNORED_FILES = new Set(['issues_log.json']);
+
+const readFileOrNull = (localPath, file) => {
+    try { return fs.readFileSync(path.join(localPath, file), 'utf8'); } catch { return null; }
+};
+
+// Tracked files that differ from HEAD plus untracked files, relative to the repo root
+const dirtyFiles = async (localPath) => {
+    const status = await simpleGit(localPath).status();
+    return [...new Set([...status.files.map(f => f.path), ...status.not_added])].filter(f => !IGNORED_FILES.has(f));
+};
+
+const headContent = async (localPath, file) => {
+    try { return await simpleGit(localPath).show([`HEAD:${file}`]); } catch { return null; }
+};
+
+/**
+ * Content of every file that already differs from HEAD, taken before a Solver pass.
+ * @param {string} localPath
+ * @returns {Promise<Object<string, string|null>>}
+ */
+async function snapshotWorkingTree(localPath) {
+    const snapshot = {};
+    for (const file of await dirtyFiles(localPath)) snapshot[file] = readFileOrNull(localPath, file);
+    return snapshot;
+}
+
+/**
+ * Files changed since `snapshot`, each with its content before the change
+ * (null: the file did not exist).
+ * @param {string} localPath
+ * @param {Object<string, string|null>} snapshot - from snapshotWorkingTree
+ * @returns {Promise<Object<string, string|null>>}
+ */
+async function changesSince(localPath, snapshot) {
+    const changes = {};
+    const candidates = new Set([...Object.keys(snapshot), ...await dirtyFiles(localPath)]);
+    for (const file of candidates) {
+        const before = file in snapshot ? snapshot[file] : await headContent(localPath, file);
+        if (readFileOrNull(localPath, file) !== before) changes[file] = before;
+    }
+    return changes;
+}
+
+/**
+ * Appends this run's per-test statuses to the history.
+ * @param {Object<string, string[]>} history - "<engine>::<test id>" → status per run
+ * @param {object[]} testReports - per-engine reports of the run (see healingGraph's toTestReport)
+ * @returns {Object<string, string[]>} new history
+ */
+function recordTestStatuses(history, testReports) {
+    const next = { ...history };
+    const record = (key, status) => { next[key] = [...(history[key] || []), status]; };
+    for (const report of testReports) {
+        record(`${report.engine}::${ENGINE_ENTRY}`, report.success ? 'passed' : 'failed');
+        for (const [id, status] of Object.entries(report.tests || {})) record(`${report.engine}::${id}`, status);
+    }
+    return next;
+}
+
+/**
+ * Tests that passed on the previous run and fail on this one. An engine-level
+ * entry only counts when none of that engine's own tests regressed.
+ * @param {Object<string, string[]>} history - before this run was recorded
+ * @param {object[]} testReports - this run's reports
+ * @returns {{engine: string, id: string, name: string, files: string[]}[]}
+ */
+function findRegressions(history, testReports) {
+    const passedBefore = (key) => (history[key] || []).slice(-1)[0] === 'passed';
+    const regressions = [];
+    for (const report of testReports) {
+        const tests = report.failures
+            .filter(failure => passedBefore(`${report.engine}::${failure.id}`))
+            .map(failure => ({
+                engine: report.engine,
+                id: failure.id,
+                name: failure.suite ? `${failure.suite} › ${failure.name}` : failure.name,
+                files: [failure.testFile, ...failure.sourceFrames.map(frame => frame.file)].filter(Boolean)
+            }));
+        if (tests.length === 0 && !report.success && passedBefore(`${report.engine}::${ENGINE_ENTRY}`)) {
+            tests.push({ engine: report.engine, id: ENGINE_ENTRY, name: `${report.engine} engine`, files: [] });
+        }
+        regressions.push(...tests);
+    }
+    return regressions;
+}
+
+/**
+ * Fixes of the last Solver pass to revert for the given regressions. Fixes that
+ * share a changed file with a blamed fix go too, since reverting the file undoes them.
+ * @param {{engine: string, id: string, name: string, files: string[]}[]} regressions
+ * @param {{changes: Object<string, string|null>, fixes: {fingerprint: string, files: string[]}[]}} pass
+ * @returns {Map<string, string[]>} fingerprint → names of the tests it broke
+ */
+function blameFixes(regressions, pass) {
+    const blamed = new Map();
+    for (const regression of regressions) {
+        const touching = pass.fixes.filter(fix => fix.files.some(file => regression.files.includes(file)));
+        for (const fix of touching.length > 0 ? touching : pass.fixes) {
+            blamed.set(fix.fingerprint, [...(blamed.get(fix.fingerprint) || []), regression.name]);
+        }
+    }
+
+    let grew = true;
+    while (grew) {
+        grew = false;
+        const revertedFiles = new Set(pass.fixes.filter(fix => blamed.has(fix.fingerprint)).flatMap(fix => fix.files));
+        for (const fix of pass.fixes) {
+            if (!blamed.has(fix.fingerprint) && fix.files.some(file => revertedFiles.has(file))) {
+                blamed.set(fix.fingerprint, []);
+                grew = true;
+            }
+        }
+    }
+    return blamed;
+}
+
+/**
+ * Restores files to their content before the pass (deleting files it created).
+ * @param {string} localPath
+ * @param {Object<string, string|null>} changes - from changesSince
+ * @param {string[]} files
+ * @returns {string[]} the files actually restored
+ */
+function revertFiles(localPath, changes, files) {
+    const reverted = [];
+    for (const file of new Set(files)) {
+        if (!(file in changes)) continue;
+        const target = path.join(localPath, file);
+        if (changes[file] === null) fs.rmSync(target, { force: true });
+        else fs.writeFileSync(target, changes[file]);
+        reverted.push(file);
+    }
+    return reverted;
+}
+
+module.exports = { snapshotWorkingTree, changesSince, recordTestStatuses, findRegressions, blameFixes, revertFiles };
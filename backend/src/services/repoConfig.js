@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+
+/**
+ * Repository Config
+ * Optional `.autoheal.yml` at the root of the healed repository. Everything is
+ * optional; whatever is left out keeps the built-in behaviour.
+ *
+ *   maxIterations: 4
+ *   model: gpt-4o
+ *   engines:
+ *     node:   { subDir: web, image: node:20-alpine, install: npm ci, test: npm run test:ci }
+ *     python: { enabled: false }
+ *   solver:
+ *     allowPaths: ['src/**']
+ *     denyPaths: ['src/generated/**', '**\/*.lock']
+ *     verifyFixes: true
+ *   flaky:
+ *     retries: 2
+ *   budget:
+ *     maxCostUsd: 5
+ *   git:
+ *     commit: true
+ *     push: false
+ *     requireApproval: true
+ *     commitPrefix: '[AI-AGENT]'
+ */
+const CONFIG_FILE = '.autoheal.yml';
+const ENGINE_NAMES = ['node', 'python', 'java', 'go', 'ruby'];
+
+// Relative to the repo root and never above it
+const relativePath = {
+    type: 'string', minLength: 1, pattern: '^(?!/)(?!.*(^|/)\\.\\.(/|$))[A-Za-z0-9_./-]+$',
+    description: 'must be a relative path inside the repository'
+};
+const command = { type: 'string', minLength: 1 };
+
+const engineSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        enabled: { type: 'boolean' },
+        subDir: relativePath,
+        image: { type: 'string', minLength: 1, pattern: '^[A-Za-z0-9_./:@-]+$', description: 'must be a Docker image reference' },
+        install: command,
+        test: command
+    }
+};
+
+const globList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const configSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        maxIterations: { type: 'integer', minimum: 1, maximum: 20 },
+        model: { type: 'string', minLength: 1 },
+        engines: {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.fromEntries(ENGINE_NAMES.map(name => [name, engineSchema]))
+        },
+        solver: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                allowPaths: globList,
+                denyPaths: globList,
+                verifyFixes: { type: 'boolean', description: 'false skips re-running the affected tests after each fix' }
+            }
+        },
+        flaky: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                retries: { type: 'integer', minimum: 0, maximum: 5, description: 'times a failing test is re-run before it counts as a failure (0 disables flaky detection)' }
+            }
+        },
+        budget: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                maxCostUsd: { type: 'number', exclusiveMinimum: 0, description: 'estimated LLM cost after which a run stops healing (can only lower RUN_BUDGET_USD)' }
+            }
+        },
+        git: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                commit: { type: 'boolean', description: 'false leaves fixes uncommitted in the working tree (implies no push)' },
+                push: { type: 'boolean' },
+                requireApproval: { type: 'boolean', description: 'true pauses the run for a per-fix review before anything is committed' },
+                commitPrefix: { type: 'string', maxLength: 50 }
+            }
+        }
+    }
+};
+
+const DEFAULTS = {
+    model: 'gpt-4-turbo',
+    engines: {},
+    solver: { allowPaths: [], denyPaths: [], verifyFixes: true },
+    flaky: { retries: 2 },
+    budget: {},
+    git: { commit: true, push: true, requireApproval: false, commitPrefix: '[AI-AGENT]' }
+};
+
+// verbose: pattern errors are reported with the schema's description instead of the regex
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const checkConfig = ajv.compile(configSchema);
+
+const formatErrors = (errors) => errors.map(err => {
+    const where = err.instancePath ? err.instancePath.slice(1).replace(/\//g, '.') : '(root)';
+    if (err.keyword === 'additionalProperties') return `${where} has unknown key "${err.params.additionalProperty}"`;
+    if (err.keyword === 'pattern' && err.parentSchema.description) return `${where} ${err.parentSchema.description}`;
+    return `${where} ${err.message}`;
+});
+
+/**
+ * Reads and validates the repository's `.autoheal.yml`.
+ * @param {string} localPath - root of the cloned repository
+ * @returns {{config: object, found: boolean, errors: string[]}} config merged over the
+ *   defaults (the defaults alone when the file is missing or invalid)
+ */
+function loadRepoConfig(localPath) {
+    const file = path.join(localPath, CONFIG_FILE);
+    if (!fs.existsSync(file)) return { config: DEFAULTS, found: false, errors: [] };
+
+    let parsed;
+    try {
+        parsed = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return { config: DEFAULTS, found: true, errors: [`invalid YAML: ${e.message.split('\n')[0].replace(/:$/, '')}`] };
+    }
+    // An empty file is a valid (empty) config
+    if (parsed === null || parsed === undefined) parsed = {};
+    if (!checkConfig(parsed)) {
+        return { config: DEFAULTS, found: true, errors: formatErrors(checkConfig.errors) };
+    }
+
+    return {
+        found: true,
+        errors: [],
+        config: {
+            ...DEFAULTS,
+            ...parsed,
+            engines: parsed.engines || {},
+            solver: { ...DEFAULTS.solver, ...parsed.solver },
+            flaky: { ...DEFAULTS.flaky, ...parsed.flaky },
+            budget: { ...DEFAULTS.budget, ...parsed.budget },
+            git: { ...DEFAULTS.git, ...parsed.git }
+        }
+    };
+}
+
+// Minimal glob: ** matches across directories, * and ? within one path segment
+const globToRegExp = (glob) => new RegExp(`^${glob
+    .replace(/^\.\//, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*')}$`);
+
+/**
+ * Whether the Solver may write `file` under the config's solver.allowPaths /
+ * solver.denyPaths. An empty allow list allows everything; deny wins over allow.
+ * @param {string} file - path relative to the repo root
+ * @param {{allowPaths: string[], denyPaths: string[]}} solverConfig
+ */
+function isPathAllowed(file, solverConfig) {
+    const normalized = path.posix.normalize(file.replace(/\\/g, '/')).replace(/^\.\//, '');
+    if (normalized.startsWith('../') || path.posix.isAbsolute(normalized)) return false;
+    const matches = (globs) => globs.some(glob => globToRegExp(glob).test(normalized));
+    if (matches(solverConfig.denyPaths)) return false;
+    return solverConfig.allowPaths.length === 0 || matches(solverConfig.allowPaths);
+}
+
+module.exports = { loadRepoConfig, isPathAllowed, globToRegExp, CONFIG_FILE, ENGINE_NAMES };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Repository URL normalisation
+ * Every repoUrl is reduced to `https://<host>/<owner>/<repo>` before it reaches
+ * the Auditor, which derives filesystem paths from it and clones it with the
+ * token of its host (withCredentials).
+ *
+ * Local repositories — a working copy or bare repository, given as an absolute
+ * path or a file:// URL — become `file://<real path>`. The Auditor clones them
+ * like any remote and pushes the fix branch back to them. They are only
+ * accepted under LOCAL_REPO_ROOTS, unless the caller allows any local path
+ * (the CLI, which already runs with the user's own filesystem access).
+ *
+ * ALLOWED_GIT_HOSTS (env, comma-separated) overrides the default host allowlist.
+ * LOCAL_REPO_ROOTS (env, comma-separated absolute paths) lists the directories
+ * local repositories may live in; unset, the API accepts none.
+ *
+ * Clone tokens are per host, so a token is only ever sent to the host that issued
+ * it: GITHUB_TOKEN (github.com), GITLAB_TOKEN (gitlab.com), BITBUCKET_TOKEN
+ * (bitbucket.org). Other hosts are cloned without credentials.
+ */
+const DEFAULT_ALLOWED_HOSTS = ['github.com', 'gitlab.com', 'bitbucket.org'];
+
+const allowedHosts = () => (process.env.ALLOWED_GIT_HOSTS
+    ? process.env.ALLOWED_GIT_HOSTS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_HOSTS);
+
+// Host → env var holding its token and the username the host expects with it
+const HOST_CREDENTIALS = {
+    'github.com': { env: 'GITHUB_TOKEN', username: null },
+    'gitlab.com': { env: 'GITLAB_TOKEN', username: 'oauth2' },
+    'bitbucket.org': { env: 'BITBUCKET_TOKEN', username: 'x-token-auth' }
+};
+
+const localRepoRoots = () => (process.env.LOCAL_REPO_ROOTS || '')
+    .split(',').map(root => root.trim()).filter(root => path.isAbsolute(root))
+    .map(root => { try { return fs.realpathSync(root); } catch { return null; } })
+    .filter(Boolean);
+
+class RepoUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RepoUrlError';
+    }
+}
+
+// Characters that have no place in a repository URL and could reach a shell or path
+const UNSAFE_CHARS = /[\s;&|`$<>\\'"(){}*?!^~[\]]/;
+const SEGMENT = /^[A-Za-z0-9_.-]+$/;
+const SSH_URL = /^(?:ssh:\/\/)?git@([^:/]+)[:/](.+)$/;
+// Paths may contain spaces, but nothing a shell would interpret
+const UNSAFE_PATH_CHARS = /[\0\n\r;&|`$<>'"*?]/;
+
+const isLocalRepo = (input) => input.startsWith('file://') || path.isAbsolute(input);
+
+// A working copy has .git; a bare repository has HEAD and objects/ at its root
+const isGitRepository = (dir) => fs.existsSync(path.join(dir, '.git'))
+    || (fs.existsSync(path.join(dir, 'HEAD')) && fs.existsSync(path.join(dir, 'objects')));
+
+/**
+ * @param {string} raw - absolute path or file:// URL
+ * @param {boolean} allowAnyLocalPath - skip the LOCAL_REPO_ROOTS check
+ * @returns {string} file:// URL of the repository's real path
+ */
+function normalizeLocalRepo(raw, allowAnyLocalPath) {
+    if (UNSAFE_PATH_CHARS.test(raw)) throw new RepoUrlError('repoUrl contains invalid characters');
+
+    let repoPath = raw;
+    if (raw.startsWith('file://')) {
+        let url;
+        try { url = new URL(raw); }
+        catch { throw new RepoUrlError('repoUrl is not a valid file:// URL'); }
+        if (url.host && url.host !== 'localhost') throw new RepoUrlError('file:// repoUrl must not name a host');
+        if (url.search || url.hash) throw new RepoUrlError('repoUrl must not contain a query or fragment');
+        repoPath = decodeURIComponent(url.pathname);
+    }
+
+    let realPath;
+    try { realPath = fs.realpathSync(repoPath); }
+    catch { throw new RepoUrlError(`Local repository not found: ${repoPath}`); }
+
+    if (!allowAnyLocalPath) {
+        const roots = localRepoRoots();
+        const inside = roots.some(root => {
+            const rel = path.relative(root, realPath);
+            return !rel.startsWith('..') && !path.isAbsolute(rel);
+        });
+        if (!inside) {
+            throw new RepoUrlError(roots.length > 0
+                ? `Local repositories must be under ${roots.join(', ')}`
+                : 'Local repositories are not allowed (LOCAL_REPO_ROOTS is not set)');
+        }
+    }
+
+    if (!fs.statSync(realPath).isDirectory() || !isGitRepository(realPath)) {
+        throw new RepoUrlError(`Not a git repository: ${realPath}`);
+    }
+    return `file://${realPath}`;
+}
+
+/**
+ * @param {string} input - https or ssh (git@host:owner/repo.git) URL, or a local
+ *   repository's absolute path or file:// URL
+ * @param {{allowAnyLocalPath?: boolean}} [options] - allowAnyLocalPath accepts
+ *   local repositories outside LOCAL_REPO_ROOTS
+ * @returns {string} Normalised https URL without trailing slash or .git suffix,
+ *   or the file:// URL of a local repository
+ * @throws {RepoUrlError} when the URL is malformed, unsafe, on a disallowed host
+ *   or a local path that is not allowed or not a git repository
+ */
+function normalizeRepoUrl(input, { allowAnyLocalPath = false } = {}) {
+    if (typeof input !== 'string' || !input.trim()) throw new RepoUrlError('repoUrl is required');
+    const raw = input.trim();
+    if (isLocalRepo(raw)) return normalizeLocalRepo(raw, allowAnyLocalPath);
+    if (UNSAFE_CHARS.test(raw)) throw new RepoUrlError('repoUrl contains invalid characters');
+
+    let host;
+    let repoPath;
+    const ssh = raw.match(SSH_URL);
+    if (ssh) {
+        [, host, repoPath] = ssh;
+    } else {
+        let url;
+        try { url = new URL(raw); }
+        catch { throw new RepoUrlError('repoUrl must be an https:// or git@ URL'); }
+
+        if (url.protocol !== 'https:') throw new RepoUrlError('repoUrl must use https');
+        if (url.username || url.password) throw new RepoUrlError('repoUrl must not contain credentials');
+        if (url.search || url.hash) throw new RepoUrlError('repoUrl must not contain a query or fragment');
+        if (url.port) throw new RepoUrlError('repoUrl must not specify a port');
+        host = url.hostname;
+        repoPath = url.pathname;
+    }
+
+    host = host.toLowerCase();
+    if (!allowedHosts().includes(host)) {
+        throw new RepoUrlError(`Git host "${host}" is not allowed (allowed: ${allowedHosts().join(', ')})`);
+    }
+
+    const segments = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '').split('/');
+    if (segments.length !== 2 || !segments.every(seg => SEGMENT.test(seg) && seg !== '.' && seg !== '..')) {
+        throw new RepoUrlError('repoUrl must point to a repository: https://<host>/<owner>/<repo>');
+    }
+
+    return `https://${host}/${segments.join('/')}`;
+}
+
+/**
+ * @param {string} repoUrl - normalised by normalizeRepoUrl
+ * @returns {string} The URL to clone, with the token of its host when one is set
+ */
+function withCredentials(repoUrl) {
+    if (!repoUrl.startsWith('https://')) return repoUrl;
+    const url = new URL(repoUrl);
+    const credentials = HOST_CREDENTIALS[url.hostname];
+    const token = credentials && process.env[credentials.env];
+    if (!token) return repoUrl;
+
+    if (credentials.username) {
+        url.username = credentials.username;
+        url.password = token;
+    } else {
+        url.username = token;
+    }
+    return url.toString();
+}
+
+module.exports = { normalizeRepoUrl, withCredentials, RepoUrlError };
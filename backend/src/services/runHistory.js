@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run History
+ * Durable, append-only JSONL store of every finished run (one JSON record per line),
+ * so results survive new runs and backend restarts.
+ *
+ * RUN_HISTORY_PATH (env) overrides the default location backend/data/runs.jsonl.
+ */
+const historyPath = process.env.RUN_HISTORY_PATH || path.resolve(__dirname, '../../data/runs.jsonl');
+
+const FIXED_STATUSES = ['FIXED', 'APPLIED', 'Fixed'];
+
+// Flattens a registry run into the record persisted on disk
+const toRecord = (run) => {
+    const issues = (run.issues || run.fixes || []).map(iss => ({
+        fingerprint: iss.fingerprint || null,
+        file: iss.file,
+        type: iss.type,
+        line: iss.line || 0,
+        description: iss.description,
+        status: iss.status,
+        engine: iss.engine || null
+    }));
+    return {
+        runId: run.runId,
+        repoUrl: run.repoUrl,
+        teamName: run.teamName,
+        leaderName: run.leaderName,
+        branchName: run.branchName,
+        trigger: run.trigger || null,
+        dryRun: Boolean(run.dryRun),
+        patchArtifact: run.patchArtifact || null,
+        engines: run.detectedEngines,
+        status: run.status,
+        iterations: run.iterations,
+        issues,
+        issuesTotal: issues.length,
+        issuesFixed: issues.filter(iss => FIXED_STATUSES.includes(iss.status)).length,
+        flakyTests: (run.flakyTests || []).map(({ engine, id, name, file }) => ({ engine, id, name, file })),
+        llmUsage: run.llmUsage || null,
+        budgetExceeded: run.budgetExceeded || null,
+        startTime: run.startTime,
+        endTime: run.endTime,
+        durationMs: run.endTime && run.startTime ? run.endTime - run.startTime : null,
+        logs: run.logs
+    };
+};
+
+/**
+ * Appends a finished run to the history file. Failures are logged, never thrown,
+ * so a full disk cannot break the orchestrator.
+ * @returns {boolean} whether the run was recorded
+ */
+function recordRun(run) {
+    try {
+        fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+        fs.appendFileSync(historyPath, JSON.stringify(toRecord(run)) + '\n');
+        return true;
+    } catch (e) {
+        console.error('[RunHistory] Failed to record run:', e.message);
+        return false;
+    }
+}
+
+const readRecords = () => {
+    if (!fs.existsSync(historyPath)) return [];
+    return fs.readFileSync(historyPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try { return JSON.parse(line); }
+            catch { return null; } // Skip a partially written trailing line
+        })
+        .filter(Boolean);
+};
+
+// Accepts ISO strings or epoch milliseconds; returns NaN for anything else
+const toTime = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+/**
+ * Returns a predicate for the GET /api/runs filters: repo (substring), status,
+ * team (case-insensitive), from/to (bounds on startTime).
+ */
+function buildFilter({ repo, status, team, from, to } = {}) {
+    const fromTime = from ? toTime(from) : null;
+    const toTimeBound = to ? toTime(to) : null;
+    return (run) => {
+        if (repo && !(run.repoUrl || '').toLowerCase().includes(repo.toLowerCase())) return false;
+        if (status && run.status !== status.toUpperCase()) return false;
+        if (team && (run.teamName || '').toLowerCase() !== team.toLowerCase()) return false;
+        if (fromTime !== null && run.startTime < fromTime) return false;
+        if (toTimeBound !== null && run.startTime > toTimeBound) return false;
+        return true;
+    };
+}
+
+/**
+ * Queries finished runs, newest first.
+ * @param {{repo?: string, status?: string, team?: string, from?: string, to?: string}} filters
+ */
+function queryRuns(filters) {
+    return readRecords()
+        .filter(buildFilter(filters))
+        .sort((a, b) => b.startTime - a.startTime);
+}
+
+function getRecord(runId) {
+    return readRecords().find(rec => rec.runId === runId) || null;
+}
+
+/**
+ * runIds of every finished run, read in one pass. Records start with their runId
+ * (see toRecord), so lines are not parsed whole.
+ * @returns {Set<string>}
+ */
+function finishedRunIds() {
+    if (!fs.existsSync(historyPath)) return new Set();
+    const ids = fs.readFileSync(historyPath, 'utf8')
+        .split('\n')
+        .map(line => (line.match(/^\{"runId":"([^"]+)"/) || [])[1])
+        .filter(Boolean);
+    return new Set(ids);
+}
+
+// LLM spend of finished runs per team and UTC month of their start ("<team>|YYYY-MM" → USD),
+// and how far into the history file it has been counted
+const spend = { totals: new Map(), offset: 0 };
+const spendKey = (teamName, time) => `${(teamName || '').toLowerCase()}|${new Date(time).toISOString().slice(0, 7)}`;
+
+// The history is only ever appended to, so only the records appended since the last call
+// are read — by this process or any other (the CLI records its runs in the same file)
+const countNewSpend = () => {
+    let size;
+    try { size = fs.statSync(historyPath).size; } catch { return; }
+    if (size < spend.offset) {
+        // The file was replaced: count it again from the start
+        spend.totals.clear();
+        spend.offset = 0;
+    }
+    if (size === spend.offset) return;
+
+    const appended = Buffer.alloc(size - spend.offset);
+    const fd = fs.openSync(historyPath, 'r');
+    try { fs.readSync(fd, appended, 0, appended.length, spend.offset); } finally { fs.closeSync(fd); }
+    // Whole lines only: a record still being written is counted next time
+    const end = appended.lastIndexOf(0x0a) + 1;
+    for (const line of appended.subarray(0, end).toString('utf8').split('\n').filter(Boolean)) {
+        try {
+            const rec = JSON.parse(line);
+            const costUsd = (rec.llmUsage && rec.llmUsage.costUsd) || 0;
+            if (costUsd > 0 && rec.startTime) {
+                const key = spendKey(rec.teamName, rec.startTime);
+                spend.totals.set(key, (spend.totals.get(key) || 0) + costUsd);
+            }
+        } catch { /* Skip a malformed line, like readRecords */ }
+    }
+    spend.offset += end;
+};
+
+/**
+ * Estimated LLM spend of a team's finished runs started in the UTC calendar
+ * month of `time`, kept as a running total rather than re-read from the history.
+ * @param {string} teamName - matched case-insensitively
+ * @param {number} [time] - epoch milliseconds, default now
+ * @returns {number} USD
+ */
+function teamMonthlySpend(teamName, time = Date.now()) {
+    countNewSpend();
+    return spend.totals.get(spendKey(teamName, time)) || 0;
+}
+
+module.exports = { recordRun, queryRuns, getRecord, finishedRunIds, teamMonthlySpend, buildFilter, toTime };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const {
+    startOrchestrator, resumeOrchestrator, findInterruptedRuns, markInterrupted, decideFix, decisionsSettled,
+    isAwaitingApproval, restoreRun, DecisionError
+} = require('../agents/orchestrator');
+const { createRun, updateRun, getRun } = require('./runRegistry');
+
+/**
+ * Run Queue
+ * Limits how many orchestrators (and therefore sandbox containers) run at once.
+ * Lifecycle: QUEUED → RUNNING → PASSED | FAILED | BUDGET_EXCEEDED | CANCELLED, or INTERRUPTED when a
+ * backend restart cut a run short and it could not be resumed. In approval mode a
+ * run leaves its slot while AWAITING_APPROVAL and is queued again (QUEUED → RUNNING)
+ * once every fix is decided, or when it is cancelled, to run its cancel step.
+ *
+ * MAX_CONCURRENT_RUNS (env) sets the concurrency cap, default 2.
+ * RESUME_INTERRUPTED_RUNS=false (env) marks interrupted runs INTERRUPTED instead of resuming them.
+ */
+const MAX_CONCURRENT_RUNS = parseInt(process.env.MAX_CONCURRENT_RUNS, 10) || 2;
+const RESUME_INTERRUPTED_RUNS = process.env.RESUME_INTERRUPTED_RUNS !== 'false';
+const MAX_RESUMES = 2;      // a run that keeps taking the backend down is not resumed forever
+
+const pending = [];         // Jobs waiting for a free slot, FIFO
+const active = new Map();   // runId → AbortController of the running orchestrator
+const cancelling = new Set(); // runIds whose cancellation is queued or running: no further cancel or decision
+
+const drain = () => {
+    while (active.size < MAX_CONCURRENT_RUNS && pending.length > 0) {
+        const job = pending.shift();
+        const controller = new AbortController();
+        // A cancelled resume starts already aborted and goes straight to its cancel step
+        if (job.cancelled) controller.abort();
+        active.set(job.runId, controller);
+
+        console.log(`[RunQueue] Starting run ${job.runId} (${active.size}/${MAX_CONCURRENT_RUNS} slots used)`);
+
+        const { runId, resume, afterReview, cancelled, repoUrl, teamName, leaderName, ...options } = job;
+        const execution = resume
+            ? resumeOrchestrator(runId, { signal: controller.signal, afterReview })
+            : startOrchestrator(repoUrl, teamName, leaderName, { ...options, runId, signal: controller.signal });
+        execution
+            .catch(err => {
+                console.error(`[RunQueue] Orchestrator error in run ${job.runId}:`, err);
+                updateRun(job.runId, { status: 'FAILED', endTime: Date.now() });
+            })
+            .finally(() => {
+                active.delete(job.runId);
+                cancelling.delete(job.runId);
+                drain();
+            });
+    }
+};
+
+/**
+ * Registers a new run as QUEUED and starts it as soon as a slot is free.
+ * Any fields beyond repoUrl/teamName/leaderName are passed to startOrchestrator as options.
+ * @returns {string} runId
+ */
+function enqueueRun({ repoUrl, teamName, leaderName, ...options }) {
+    const runId = uuidv4();
+    createRun(runId, { repoUrl, teamName, leaderName, trigger: options.trigger, dryRun: options.dryRun }, 'QUEUED');
+    pending.push({ runId, repoUrl, teamName, leaderName, ...options });
+
+    if (active.size >= MAX_CONCURRENT_RUNS) {
+        updateRun(runId, { logs: [`Queued — waiting for a free slot (position ${pending.length})...`] });
+    }
+
+    drain();
+    return runId;
+}
+
+/**
+ * Records a reviewer's decision on a fix of a run AWAITING_APPROVAL (see
+ * orchestrator.decideFix); the last decision queues the run to commit the approved fixes,
+ * unless the run was cancelled meanwhile.
+ * @returns {Promise<object>} the run's approval state
+ * @throws {DecisionError} 409 while the run is being cancelled, or as decideFix
+ */
+async function decideRunFix(runId, issueId, decision) {
+    if (cancelling.has(runId)) throw new DecisionError('Run is being cancelled', 409);
+    const { approval, complete } = await decideFix(runId, issueId, decision);
+    if (complete && !cancelling.has(runId)) {
+        pending.push({ runId, resume: true, afterReview: true });
+        drain();
+    }
+    return approval;
+}
+
+/**
+ * Cancels a queued, running or awaiting-approval run.
+ * Queued runs are dropped immediately; running ones are aborted through their
+ * AbortSignal, which the orchestrator checks between phases and the sandbox
+ * uses to kill its container. A run awaiting approval — or queued to continue
+ * after its review — is queued to resume already aborted, so it goes straight
+ * to its cancel step; it waits for decisions being applied, and takes a slot
+ * like any other run.
+ * @returns {boolean} false if the run is neither queued, running nor awaiting
+ *   approval, or is already being cancelled
+ */
+function cancelRun(runId) {
+    if (cancelling.has(runId)) return false;
+
+    const idx = pending.findIndex(job => job.runId === runId);
+    if (idx !== -1 && pending[idx].afterReview) {
+        const run = getRun(runId);
+        cancelling.add(runId);
+        pending[idx].cancelled = true;
+        updateRun(runId, { logs: [...run.logs, '⚠ Cancellation requested — the run will stop as soon as it resumes...'] });
+        return true;
+    }
+    if (idx !== -1) {
+        pending.splice(idx, 1);
+        const run = getRun(runId);
+        updateRun(runId, {
+            status: 'CANCELLED',
+            endTime: Date.now(),
+            logs: [...run.logs, '✗ Run cancelled before it started.']
+        });
+        return true;
+    }
+
+    const run = getRun(runId);
+    if (run && run.status === 'AWAITING_APPROVAL') {
+        // Leaving AWAITING_APPROVAL right away turns away further decisions (decideFix answers 409)
+        cancelling.add(runId);
+        updateRun(runId, { status: 'QUEUED', logs: [...run.logs, '⚠ Cancellation requested — discarding the fixes under review...'] });
+        decisionsSettled(runId)
+            .then(() => {
+                pending.push({ runId, resume: true, afterReview: true, cancelled: true });
+                drain();
+            })
+            .catch(err => {
+                console.error(`[RunQueue] Could not queue the cancellation of run ${runId}:`, err);
+                cancelling.delete(runId);
+                updateRun(runId, { status: 'FAILED', endTime: Date.now() });
+            });
+        return true;
+    }
+
+    const controller = active.get(runId);
+    if (controller) {
+        const run = getRun(runId);
+        cancelling.add(runId);
+        updateRun(runId, { logs: [...run.logs, '⚠ Cancellation requested — stopping agent...'] });
+        controller.abort();
+        return true;
+    }
+
+    return false;
+}
+
+// Why an interrupted run cannot be resumed, or null if it can
+const resumeBlocker = (state) => {
+    if (!RESUME_INTERRUPTED_RUNS) return 'automatic resume is disabled (RESUME_INTERRUPTED_RUNS=false)';
+    if (state.resumeCount >= MAX_RESUMES) return `it was already resumed ${state.resumeCount} times`;
+    if (state.localPath && !fs.existsSync(state.localPath)) return `its working copy ${state.localPath} no longer exists`;
+    return null;
+};
+
+/**
+ * Called once at startup: queues every run a restart interrupted to resume from
+ * its last checkpoint, or ends it as INTERRUPTED with the reason in its log.
+ * Runs that were awaiting approval wait again, with the decisions made so far.
+ * @returns {Promise<{resumed: string[], interrupted: string[], awaiting: string[]}>}
+ */
+async function recoverInterruptedRuns() {
+    const resumed = [];
+    const interrupted = [];
+    const awaiting = [];
+    for (const { runId, state, next } of await findInterruptedRuns()) {
+        if (isAwaitingApproval(state, next) && fs.existsSync(state.localPath)) {
+            restoreRun(runId, state, 'AWAITING_APPROVAL');
+            awaiting.push(runId);
+            continue;
+        }
+        const reason = resumeBlocker(state);
+        if (reason) {
+            markInterrupted(runId, state, reason);
+            interrupted.push(runId);
+        } else {
+            const { repoUrl, teamName, leaderName, trigger, startTime } = state;
+            createRun(runId, { repoUrl, teamName, leaderName, trigger, startTime: startTime || undefined }, 'QUEUED');
+            pending.push({ runId, resume: true });
+            resumed.push(runId);
+        }
+    }
+    drain();
+    return { resumed, interrupted, awaiting };
+}
+
+const isCancelling = (runId) => cancelling.has(runId);
+
+module.exports = { enqueueRun, cancelRun, isCancelling, decideRunFix, recoverInterruptedRuns, MAX_CONCURRENT_RUNS };
@@ -0,0 +1,172 @@
+const { EventEmitter } = require('events');
+const { recordRun, queryRuns, buildFilter } = require('./runHistory');
+
+/**
+ * Run Registry
+ * Keeps the state of every orchestrator run keyed by runId, so concurrent runs
+ * no longer overwrite each other in a single shared results.json.
+ *
+ * Every change is also published as an incremental event on the run's channel
+ * (see subscribe), which backs the SSE stream at GET /api/runs/:id/events:
+ *   snapshot  — full state (run created or reset)
+ *   log       — { line } appended to logs
+ *   logs      — { logs } log array replaced wholesale
+ *   status    — { status, endTime }
+ *   update    — any other changed fields (fixes, branchName, iterations, ...)
+ *   iteration / issue — emitted by the orchestrator via emitRunEvent
+ *
+ * Runs reaching a terminal status are appended to the durable run history and,
+ * once the final status event has been delivered, dropped from memory: from
+ * then on the history serves them (getRecord, listRuns). A run whose record
+ * could not be written stays in memory.
+ */
+const runs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE connection
+const ANY_RUN = Symbol('anyRun'); // Channel carrying the events of every run
+
+const TERMINAL_STATUSES = ['PASSED', 'FAILED', 'CANCELLED', 'INTERRUPTED', 'BUDGET_EXCEEDED'];
+
+// Fields that make up the initial state of a run as seen by the frontend
+const initialState = (runId, { repoUrl, teamName, leaderName, trigger = null, dryRun = false, startTime = Date.now() }, status) => ({
+    runId,
+    repoUrl,
+    teamName,
+    leaderName,
+    trigger, // null for API runs, { source, branch, sha } for webhook-triggered ones
+    dryRun,                         // fixes are exported as patches, never committed or pushed
+    patchArtifact: null,            // dry run: artifact holding all fixes as one patch
+    status,
+    logs: ['Initializing Agent System...'],
+    fixes: [],
+    iterations: 0,
+    startTime,                      // kept when a run is restored after a restart
+    endTime: null,
+    filesScanned: 0,
+    branchName: 'N/A',
+    detectedEngines: null,
+    engineResults: [],              // latest test run, per engine: { engine, success, durationMs, counts }
+    flakyTests: [],                 // tests that passed on a retry, kept out of the issues: { engine, id, name, file, message, retry, iteration }
+    llmUsage: null,                 // tokens and estimated cost of the run's LLM calls (services/llmUsage.js)
+    budgetExceeded: null,           // BUDGET_EXCEEDED runs: which budget was spent
+    approval: null                  // approval mode: fixes under review with their diffs and decisions
+});
+
+const createRun = (runId, details, status = 'RUNNING') => {
+    const run = initialState(runId, details, status);
+    runs.set(runId, run);
+    emitRunEvent(runId, 'snapshot', run);
+    return run;
+};
+
+const emitRunEvent = (runId, type, data) => {
+    events.emit(runId, { type, data });
+    events.emit(ANY_RUN, runId, { type, data });
+};
+
+// Emits `log` events for lines appended to the existing array, or a single `logs` event otherwise
+const emitLogChanges = (runId, previous, next) => {
+    const isAppend = next.length >= previous.length && previous.every((line, i) => line === next[i]);
+    if (isAppend) {
+        next.slice(previous.length).forEach(line => emitRunEvent(runId, 'log', { line }));
+    } else {
+        emitRunEvent(runId, 'logs', { logs: next });
+    }
+};
+
+/**
+ * Shallow-merges `data` into the run's state (same semantics the orchestrator
+ * previously used when rewriting results.json) and emits events for what changed.
+ */
+const updateRun = (runId, data) => {
+    const run = runs.get(runId);
+    if (!run) return null;
+
+    const { logs, status, endTime, ...rest } = data;
+    const statusChanged = status && status !== run.status;
+    if (logs) emitLogChanges(runId, run.logs, logs);
+    if (Object.keys(rest).length > 0) emitRunEvent(runId, 'update', rest);
+
+    Object.assign(run, data);
+
+    // Status goes last so subscribers that stop on a terminal status have seen everything else
+    if (statusChanged) {
+        const persisted = isTerminal(run) && recordRun(run);
+        emitRunEvent(runId, 'status', { status, endTime: run.endTime });
+        // Listeners run synchronously, so every subscriber has seen the final state by now
+        if (persisted) runs.delete(runId);
+    }
+    return run;
+};
+
+/**
+ * Listens to a run's events. Returns the unsubscribe function.
+ * @param {string} runId
+ * @param {(event: {type: string, data: object}) => void} listener
+ */
+const subscribe = (runId, listener) => {
+    events.on(runId, listener);
+    return () => events.off(runId, listener);
+};
+
+/**
+ * Listens to the events of every run (e.g. for metrics).
+ * @param {(runId: string, event: {type: string, data: object}) => void} listener
+ */
+const onAnyRunEvent = (listener) => {
+    events.on(ANY_RUN, listener);
+    return () => events.off(ANY_RUN, listener);
+};
+
+const isTerminal = (run) => TERMINAL_STATUSES.includes(run.status);
+
+const getRun = (runId) => runs.get(runId) || null;
+
+// First queued/running run matching the predicate, or null
+const findActiveRun = (predicate) => [...runs.values()].find(run => !isTerminal(run) && predicate(run)) || null;
+
+// Summary view used for listings — logs and fixes can be large, so only counts are returned
+const summarize = (run) => ({
+    runId: run.runId,
+    repoUrl: run.repoUrl,
+    teamName: run.teamName,
+    leaderName: run.leaderName,
+    status: run.status,
+    branchName: run.branchName,
+    iterations: run.iterations,
+    fixesCount: run.fixes.length,
+    llmUsage: run.llmUsage,
+    startTime: run.startTime,
+    endTime: run.endTime
+});
+
+// Queued/running runs matching the history filters, in full
+const listActiveRuns = (filters = {}) => [...runs.values()]
+    .filter(run => !isTerminal(run))
+    .filter(buildFilter(filters));
+
+/**
+ * Lists runs matching the history filters, newest first: unfinished runs from
+ * memory plus every finished run from the persistent history.
+ */
+const listRuns = (filters = {}) => {
+    const live = listActiveRuns(filters).map(summarize);
+    // Finished runs are listed without their bulky issues and logs
+    const finished = queryRuns(filters).map(({ issues, logs, ...rec }) => ({ ...rec, fixesCount: rec.issuesFixed }));
+    return [...live, ...finished].sort((a, b) => b.startTime - a.startTime);
+};
+
+// Most recently started run, optionally restricted to one team: a live one, or the latest finished one
+const getLatestRun = (teamName = null) => {
+    let latest = queryRuns(teamName ? { team: teamName } : {})[0] || null;
+    for (const run of runs.values()) {
+        if (teamName && run.teamName !== teamName) continue;
+        if (!latest || run.startTime > latest.startTime) latest = run;
+    }
+    return latest;
+};
+
+module.exports = {
+    createRun, updateRun, getRun, findActiveRun, listActiveRuns, listRuns, getLatestRun,
+    emitRunEvent, subscribe, onAnyRunEvent, isTerminal
+};
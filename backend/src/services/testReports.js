@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Test Reports
+ * Turns the machine-readable reports engines collect from the sandbox into
+ * test results, and resolves each failure to files in the repository.
+ *
+ * A result is { id, suite, name, file, line, status: passed|failed|skipped,
+ * message, stack }, whatever the report format. A failure adds
+ * { engine, testFile, testLine, sourceFrames: [{file, line}] }, with every path
+ * relative to the repo root; sourceFrames are the stack frames that point at
+ * non-test files of the repository, innermost first.
+ *
+ * Engines ask the sandbox for their runner's report files plus anything a
+ * custom test command writes to REPORT_DIR.
+ */
+const REPORT_DIR = '.autoheal-reports';
+
+// Tried in order: XML first, then JSON shapes, then the go test event stream
+const FORMATS = [
+    require('../reports/junit'),
+    require('../reports/jest'),
+    require('../reports/mocha'),
+    require('../reports/rspec'),
+    require('../reports/goTest')
+];
+
+/**
+ * @param {{path: string, content: string}[]} reports - files read from the sandbox
+ * @returns {{formats: string[], results: object[]}} results of every report in a
+ *   known format; unknown or unreadable files are logged and skipped
+ */
+function parseReports(reports) {
+    const formats = new Set();
+    const results = [];
+    for (const report of reports) {
+        const format = FORMATS.find(f => f.detect(report.content));
+        if (!format) {
+            console.log(`[TestReports] Unknown report format: ${report.path}`);
+            continue;
+        }
+        try {
+            results.push(...format.parse(report.content));
+            formats.add(format.format);
+        } catch (e) {
+            console.error(`[TestReports] Failed to parse ${report.path} as ${format.format}:`, e.message);
+        }
+    }
+    return { formats: [...formats], results };
+}
+
+// --- Resolving report paths to repository files ---
+
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'vendor', 'target', 'build', 'dist', '.venv', 'venv', '__pycache__', REPORT_DIR]);
+const MAX_INDEXED_FILES = 20000;
+const MAX_STACK_LENGTH = 4000;      // failures are kept in the run's checkpoints
+
+const TEST_FILE = /(^|\/)(tests?|spec|__tests__|src\/test)\/|[._-](test|spec)\.[^/]+$|_test\.go$|(^|\/)test_[^/]+\.py$|Tests?\.(java|kt)$/;
+
+/**
+ * @param {string} file - path relative to the repo root
+ * @returns {boolean} Whether the file holds tests rather than the code under test
+ */
+const isTestFile = (file) => TEST_FILE.test(file);
+
+// Repo-relative paths of the repository's files, dependencies and build output excluded
+const indexRepoFiles = (localPath) => {
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(path.join(localPath, dir), { withFileTypes: true })) {
+            if (files.length >= MAX_INDEXED_FILES) return;
+            const rel = dir ? `${dir}/${entry.name}` : entry.name;
+            if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) walk(rel);
+            else if (entry.isFile()) files.push(rel);
+        }
+    };
+    try { walk(''); } catch (e) { console.error('[TestReports] Failed to index repository:', e.message); }
+    return files;
+};
+
+// Paths that can never be repository code, even when a suffix happens to match
+const OUTSIDE_REPO = /(^|\/)(node_modules|site-packages|dist-packages|gems|go\/pkg\/mod)\/|^\/usr\//;
+
+/**
+ * Maps a path as a runner reports it (absolute inside the container, relative to
+ * the project, or a Go import path) to a repository file: the longest trailing
+ * part of it that matches exactly one indexed file.
+ */
+const resolveFile = (files, reported) => {
+    if (!reported || OUTSIDE_REPO.test(reported)) return null;
+    const segments = reported.replace(/\\/g, '/').replace(/^(\.\/)+/, '').split('/').filter(s => s && s !== '.');
+    for (let start = 0; start < segments.length; start++) {
+        const suffix = segments.slice(start).join('/');
+        const matches = files.filter(file => file === suffix || file.endsWith(`/${suffix}`));
+        if (matches.length === 1) return matches[0];
+        if (matches.length > 1) return matches.includes(suffix) ? suffix : null;
+    }
+    return null;
+};
+
+// Candidate [path, line] pairs in a stack trace, in the order they appear
+const stackLocations = (stack) => {
+    const locations = [];
+    // Java / Kotlin: at com.acme.Calc.add(Calc.java:12) — the class name gives the package path
+    for (const m of stack.matchAll(/at ([\w$.]+)\.[\w$<>]+\(([\w$]+\.(?:java|kt|groovy|scala)):(\d+)\)/g)) {
+        const pkg = m[1].split('.').slice(0, -1).join('/');
+        locations.push([pkg ? `${pkg}/${m[2]}` : m[2], m[3]]);
+    }
+    // Python tracebacks: File "/app/calc.py", line 12
+    for (const m of stack.matchAll(/File "([^"]+)", line (\d+)/g)) locations.push([m[1], m[2]]);
+    // Everything else: path/to/file.ext:12 (JS frames, pytest short form, Go, Ruby)
+    for (const m of stack.matchAll(/([\w./@-]+\.[A-Za-z]{1,6}):(\d+)/g)) locations.push([m[1], m[2]]);
+    return locations;
+};
+
+/**
+ * Resolves failed results to repository files.
+ * @param {string} localPath - root of the cloned repository
+ * @param {string} engine - engine whose reports the results come from
+ * @param {object[]} results - parsed results (only failed ones are kept)
+ * @returns {object[]} failures, see the module comment
+ */
+function resolveFailures(localPath, engine, results) {
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length === 0) return [];
+    const files = indexRepoFiles(localPath);
+
+    return failed.map(result => {
+        // JUnit only gives the test class (com.acme.CalcTest, tests.test_calc), so try it as a path
+        const reported = result.file || (result.suite && /^[\w.$]+$/.test(result.suite)
+            ? result.suite.replace(/\$.*$/, '').replace(/\./g, '/')
+            : null);
+        const testFile = resolveFile(files, reported)
+            || (reported && !path.extname(reported) ? files.find(f => f.replace(/\.[^./]+$/, '').endsWith(reported)) || null : null);
+
+        const sourceFrames = [];
+        for (const [reportedPath, line] of stackLocations(result.stack)) {
+            const file = resolveFile(files, reportedPath);
+            if (!file || isTestFile(file)) continue;
+            if (!sourceFrames.some(frame => frame.file === file && frame.line === Number(line))) {
+                sourceFrames.push({ file, line: Number(line) });
+            }
+        }
+
+        return { ...result, stack: result.stack.slice(0, MAX_STACK_LENGTH), engine, testFile, testLine: result.line, sourceFrames };
+    });
+}
+
+module.exports = { parseReports, resolveFailures, isTestFile, REPORT_DIR };
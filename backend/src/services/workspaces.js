@@ -0,0 +1,87 @@
+const path = require('path');
+const simpleGit = require('simple-git');
+const { globToRegExp } = require('./repoConfig');
+
+/**
+ * Workspace Discovery
+ * Finds every project in the repository, so a monorepo gets one test unit per
+ * project rather than one per engine:
+ *
+ *   1. The repository's files are listed through git (tracked files plus
+ *      untracked ones .gitignore does not exclude); dependency and build
+ *      directories are skipped whatever the ignore rules say.
+ *   2. Each engine picks its projects from that list (engine.projects) and
+ *      applies its ecosystem's workspace rules: npm/pnpm/yarn workspaces, Maven
+ *      modules, Gradle builds, go.work.
+ *
+ * A project is { id, engine, dir, ...engine-specific fields } with dir relative
+ * to the repo root. Its id names it in logs, reports and issues: the engine
+ * name for a project at the repo root, "<engine>:<dir>" for any other.
+ */
+const SKIP_DIRS = new Set(['node_modules', 'vendor', 'target', 'build', 'dist', '.venv', 'venv', '__pycache__', '.git']);
+
+// Every project is a sandbox run per iteration; beyond this the rest of an engine's projects are left out
+const MAX_PROJECTS_PER_ENGINE = 20;
+
+const listRepoFiles = async (localPath) => {
+    const output = await simpleGit(localPath).raw(['ls-files', '--cached', '--others', '--exclude-standard']);
+    return output.split('\n')
+        .filter(Boolean)
+        .filter(file => !file.split('/').slice(0, -1).some(segment => SKIP_DIRS.has(segment)));
+};
+
+/**
+ * @param {string} engine
+ * @param {string} dir - relative to the repo root
+ * @returns {string}
+ */
+const projectId = (engine, dir) => (dir === '.' ? engine : `${engine}:${dir}`);
+
+/**
+ * Whether `dir` matches a list of workspace globs (relative to the workspace
+ * root); globs starting with "!" exclude.
+ * @param {string} dir
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesWorkspace(dir, patterns) {
+    const test = (pattern) => globToRegExp(pattern.replace(/\/+$/, '')).test(dir);
+    return patterns.some(p => !p.startsWith('!') && test(p))
+        && !patterns.some(p => p.startsWith('!') && test(p.slice(1)));
+}
+
+/**
+ * Directories containing a file named `name`, relative to the repo root ('.' for the root).
+ * @param {string[]} files
+ * @param {string} name
+ * @returns {string[]}
+ */
+const dirsWith = (files, name) => files.filter(file => path.posix.basename(file) === name).map(file => path.posix.dirname(file));
+
+/**
+ * @param {string} localPath - root of the cloned repository
+ * @param {Object<string, {projects: Function}>} engines - engine name → engine
+ * @param {Object<string, object>} [enginesConfig] - engines section of .autoheal.yml;
+ *   `enabled: false` skips an engine and `subDir` limits its projects to that directory
+ * @returns {Promise<{id: string, engine: string, dir: string}[]>}
+ */
+async function discoverProjects(localPath, engines, enginesConfig = {}) {
+    const files = await listRepoFiles(localPath);
+    const projects = [];
+    for (const [engine, impl] of Object.entries(engines)) {
+        const config = enginesConfig[engine] || {};
+        if (config.enabled === false) continue;
+
+        const scope = config.subDir ? path.posix.normalize(config.subDir).replace(/\/+$/, '') : '.';
+        const found = impl.projects(localPath, files)
+            .filter(project => scope === '.' || project.dir === scope || project.dir.startsWith(`${scope}/`))
+            .sort((a, b) => a.dir.localeCompare(b.dir));
+        if (found.length > MAX_PROJECTS_PER_ENGINE) {
+            console.log(`[Workspaces] ${engine}: ${found.length} projects found, running the first ${MAX_PROJECTS_PER_ENGINE}`);
+        }
+        projects.push(...found.slice(0, MAX_PROJECTS_PER_ENGINE).map(project => ({ id: projectId(engine, project.dir), engine, ...project })));
+    }
+    return projects;
+}
+
+module.exports = { discoverProjects, matchesWorkspace, dirsWith, projectId };
@@ -0,0 +1,79 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { saveArtifact, listArtifacts, getArtifactPath, writeArchive, toArtifactName } = require('../src/services/artifacts');
+const { createRun, updateRun } = require('../src/services/runRegistry');
+
+const UNSAFE_NAMES = ['..', '../runs.jsonl', 'a/b.log', '/etc/passwd', '.hidden', '.', '', 'a\\b.log'];
+
+// Entry names from a zip's central directory
+const zipEntries = (zip) => {
+    const names = [];
+    for (let i = zip.indexOf('PK\x01\x02'); i !== -1; i = zip.indexOf('PK\x01\x02', i + 46)) {
+        names.push(zip.toString('utf8', i + 46, i + 46 + zip.readUInt16LE(i + 28)));
+    }
+    return names;
+};
+
+test('toArtifactName flattens repository paths into safe names', () => {
+    assert.equal(toArtifactName('src/app.js'), 'src_app.js');
+    assert.equal(toArtifactName('src/my file (1).py'), 'src_my_file_1_.py');
+    assert.equal(toArtifactName('.github/workflows/ci.yml'), 'github_workflows_ci.yml');
+    assert.equal(toArtifactName('../../etc/passwd'), '_.._etc_passwd');
+    for (const file of ['../../etc/passwd', '.env', 'a/../../b']) {
+        saveArtifact('art-names', `fix-1-${toArtifactName(file)}.diff`, 'diff');
+    }
+    assert.deepEqual(listArtifacts('art-names').map(a => a.name), ['fix-1-_.._etc_passwd.diff', 'fix-1-a_.._.._b.diff', 'fix-1-env.diff']);
+});
+
+test('saveArtifact and getArtifactPath refuse names that could leave the run directory', () => {
+    const root = process.env.ARTIFACTS_DIR;
+    for (const name of UNSAFE_NAMES) {
+        saveArtifact('art-guard', name, 'escaped');
+        assert.equal(getArtifactPath('art-guard', name), null, name);
+    }
+    assert.equal(fs.existsSync(path.join(root, 'runs.jsonl')), false);
+    assert.deepEqual(listArtifacts('art-guard'), []);
+
+    // Files put in the run directory by other means are not listed unless their name is valid
+    fs.mkdirSync(path.join(root, 'art-guard'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'art-guard', '.hidden'), 'x');
+    saveArtifact('art-guard', 'sanity.log', 'ok');
+    assert.deepEqual(listArtifacts('art-guard'), [{ name: 'sanity.log', size: 2 }]);
+    assert.equal(getArtifactPath('art-guard', 'sanity.log'), path.join(root, 'art-guard', 'sanity.log'));
+    assert.equal(getArtifactPath('art-guard', 'missing.log'), null);
+});
+
+test('listArtifacts sorts by name and reports sizes; unknown runs have none', () => {
+    saveArtifact('art-list', 'iteration-2.log', 'second');
+    saveArtifact('art-list', 'iteration-1.log', Buffer.from('first!'));
+    saveArtifact('art-list', 'iteration-1.log', 'first');
+    assert.deepEqual(listArtifacts('art-list'), [
+        { name: 'iteration-1.log', size: 5 },
+        { name: 'iteration-2.log', size: 6 }
+    ]);
+    assert.deepEqual(listArtifacts('art-none'), []);
+});
+
+test('a finished run gets its summary and log, and the zip holds every artifact under <runId>/', async () => {
+    createRun('art-zip', { repoUrl: 'https://github.com/org/repo', teamName: 'Artifacts', leaderName: 'L' });
+    saveArtifact('art-zip', 'iteration-1.log', 'engine output');
+    updateRun('art-zip', { logs: ['Initializing Agent System...', 'done'] });
+    updateRun('art-zip', { status: 'PASSED', endTime: Date.now() });
+
+    assert.equal(fs.readFileSync(getArtifactPath('art-zip', 'run.log'), 'utf8'), 'Initializing Agent System...\ndone\n');
+    const summary = JSON.parse(fs.readFileSync(getArtifactPath('art-zip', 'summary.json'), 'utf8'));
+    assert.equal(summary.status, 'PASSED');
+    assert.equal(summary.logs, undefined);
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => output.on('end', resolve));
+    await writeArchive('art-zip', output);
+    await ended;
+    assert.deepEqual(zipEntries(Buffer.concat(chunks)), ['art-zip/iteration-1.log', 'art-zip/run.log', 'art-zip/summary.json']);
+});
@@ -0,0 +1,75 @@
+const { tempDir } = require('./helpers');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+const { runAuditor, fixBranchName } = require('../src/agents/auditor');
+const { normalizeRepoUrl } = require('../src/services/repoUrl');
+
+// The Auditor clones into <repo root>/temp; remove what these tests leave there
+const clones = [];
+after(() => { for (const dir of clones) fs.rmSync(dir, { recursive: true, force: true }); });
+
+const audit = async (repoUrl, options, leaderName = 'Lead') => {
+    const result = await runAuditor(repoUrl, 'Team', leaderName, `test-${Date.now()}-${clones.length}`, options);
+    if (result.localPath) clones.push(result.localPath);
+    return result;
+};
+
+const initWorkingCopy = async () => {
+    const repo = tempDir();
+    const git = simpleGit(repo);
+    await git.init(['--initial-branch=main']);
+    await git.addConfig('user.name', 'test');
+    await git.addConfig('user.email', 'test@example.com');
+    fs.writeFileSync(path.join(repo, 'calc.js'), 'module.exports = (a, b) => a + b;\n');
+    await git.add('.');
+    await git.commit('initial');
+    fs.writeFileSync(path.join(repo, 'wip.js'), 'uncommitted\n');
+    return repo;
+};
+
+test('a local working copy is cloned from its committed history', async () => {
+    const repo = await initWorkingCopy();
+    const repoUrl = normalizeRepoUrl(repo, { allowAnyLocalPath: true });
+
+    const result = await audit(repoUrl);
+
+    assert.equal(result.success, true);
+    assert.match(result.branchName, /^TEAM_LEAD_AI_Fix_\d+$/);
+    assert.ok(fs.existsSync(path.join(result.localPath, 'calc.js')));
+    assert.ok(!fs.existsSync(path.join(result.localPath, 'wip.js')));
+    const clone = simpleGit(result.localPath);
+    assert.equal((await clone.revparse(['--abbrev-ref', 'HEAD'])), result.branchName);
+    assert.equal((await clone.remote(['get-url', 'origin'])).trim(), repoUrl);
+});
+
+test('the fix branch of a file:// bare repository is pushed back to it', async () => {
+    const source = await initWorkingCopy();
+    const bare = path.join(tempDir(), 'app.git');
+    await simpleGit().clone(source, bare, ['--bare']);
+    const repoUrl = normalizeRepoUrl(`file://${bare}`, { allowAnyLocalPath: true });
+
+    const result = await audit(repoUrl, { baseBranch: 'main' });
+    assert.equal(result.success, true);
+
+    const clone = simpleGit(result.localPath);
+    fs.writeFileSync(path.join(result.localPath, 'calc.js'), 'module.exports = (a, b) => b + a;\n');
+    await clone.add('calc.js');
+    await clone.commit('fix');
+    await clone.push('origin', result.branchName, { '--set-upstream': null });
+
+    const branches = await simpleGit(bare).branchLocal();
+    assert.ok(branches.all.includes(result.branchName));
+});
+
+test('names that are not valid in a git ref are made safe for the fix branch', async () => {
+    assert.equal(fixBranchName('Team A', 'github-actions[bot]', 1), 'TEAM_A_GITHUB-ACTIONS_BOT__AI_Fix_1');
+    assert.equal(fixBranchName('..hidden', 'a..b ~^:?*\\', 2), '_HIDDEN_A_B________AI_Fix_2');
+
+    const repo = await initWorkingCopy();
+    const result = await audit(normalizeRepoUrl(repo, { allowAnyLocalPath: true }), {}, 'dependabot[bot]');
+    assert.equal(result.success, true);
+    assert.match(result.branchName, /^TEAM_DEPENDABOT_BOT__AI_Fix_\d+$/);
+});
@@ -0,0 +1,121 @@
+const { tempDir } = require('./helpers');
+process.env.CHECKPOINT_KEEP_FINISHED = '2';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
+const { FileCheckpointSaver } = require('../src/services/checkpointer');
+
+const State = Annotation.Root({
+    steps: Annotation({ reducer: (all, next) => [...all, ...next], default: () => [] })
+});
+
+// a → b → c, optionally pausing before c
+const buildGraph = (checkpointer, interruptBefore = []) => new StateGraph(State)
+    .addNode('a', () => ({ steps: ['a'] }))
+    .addNode('b', () => ({ steps: ['b'] }))
+    .addNode('c', () => ({ steps: ['c'] }))
+    .addEdge(START, 'a')
+    .addEdge('a', 'b')
+    .addEdge('b', 'c')
+    .addEdge('c', END)
+    .compile({ checkpointer, interruptBefore });
+
+const thread = (id) => ({ configurable: { thread_id: id } });
+const lines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+
+test('checkpoints are appended to the run file while memory keeps only the latest', async () => {
+    const saver = new FileCheckpointSaver(tempDir('ckpt-'));
+    const graph = buildGraph(saver);
+
+    const state = await graph.invoke({ steps: [] }, thread('run-1'));
+    assert.deepEqual(state.steps, ['a', 'b', 'c']);
+
+    const file = saver.threadFile('run-1');
+    const checkpoints = lines(file).map(JSON.parse).filter(entry => entry.kind === 'checkpoint');
+    assert.equal(checkpoints.length, 5);    // input, a, b, c, plus the empty start
+    assert.ok(Object.keys(saver.storage['run-1']['']).length <= 2);
+
+    const history = [];
+    for await (const snapshot of graph.getStateHistory(thread('run-1'))) history.push(snapshot);
+    assert.equal(history.length, 5);
+    assert.deepEqual(history[0].values.steps, ['a', 'b', 'c']);
+});
+
+test('a released thread is read back from its file', async () => {
+    const saver = new FileCheckpointSaver(tempDir('ckpt-'));
+    await buildGraph(saver).invoke({ steps: [] }, thread('run-2'));
+    const before = lines(saver.threadFile('run-2')).length;
+
+    saver.release('run-2');
+    assert.equal(saver.storage['run-2'], undefined);
+    assert.ok(Object.keys(saver.writes).every(key => JSON.parse(key)[0] !== 'run-2'));
+
+    const { values } = await buildGraph(saver).getState(thread('run-2'));
+    assert.deepEqual(values.steps, ['a', 'b', 'c']);
+    assert.equal(lines(saver.threadFile('run-2')).length, before);    // reading writes nothing
+    assert.equal(saver.storage['run-2'], undefined);                   // nor keeps the thread
+});
+
+test('a paused run resumes from its file in a new process', async () => {
+    const dir = tempDir('ckpt-');
+    const first = new FileCheckpointSaver(dir);
+    await buildGraph(first, ['c']).invoke({ steps: [] }, thread('run-3'));
+    assert.deepEqual(first.listThreads(), ['run-3']);
+
+    // A restarted backend: a fresh saver over the same directory
+    const second = new FileCheckpointSaver(dir);
+    const graph = buildGraph(second, ['c']);
+    const { next } = await graph.getState(thread('run-3'));
+    assert.deepEqual(next, ['c']);
+
+    const state = await graph.invoke(null, thread('run-3'));
+    assert.deepEqual(state.steps, ['a', 'b', 'c']);
+});
+
+test('archived runs are not listed but stay inspectable', async () => {
+    const dir = tempDir('ckpt-');
+    const saver = new FileCheckpointSaver(dir);
+    const graph = buildGraph(saver);
+    await graph.invoke({ steps: [] }, thread('run-4'));
+    await graph.invoke({ steps: [] }, thread('run-5'));
+
+    saver.archive('run-4');
+    assert.deepEqual(saver.listThreads(), ['run-5']);
+    assert.equal(saver.storage['run-4'], undefined);
+    assert.ok(fs.existsSync(path.join(dir, 'finished', 'run-4.jsonl')));
+
+    const { values } = await graph.getState(thread('run-4'));
+    assert.deepEqual(values.steps, ['a', 'b', 'c']);
+});
+
+test('a line cut short by a crash does not lose the checkpoints before it', async () => {
+    const saver = new FileCheckpointSaver(tempDir('ckpt-'));
+    await buildGraph(saver, ['c']).invoke({ steps: [] }, thread('run-6'));
+    saver.release('run-6');
+    fs.appendFileSync(saver.threadFile('run-6'), '{"kind":"checkpoint","ns":"","id":"zz');
+
+    const { values, next } = await buildGraph(saver, ['c']).getState(thread('run-6'));
+    assert.deepEqual(values.steps, ['a', 'b']);
+    assert.deepEqual(next, ['c']);
+});
+
+test('only the newest CHECKPOINT_KEEP_FINISHED finished runs are kept', async () => {
+    const dir = tempDir('ckpt-');
+    const saver = new FileCheckpointSaver(dir);
+    const graph = buildGraph(saver);
+    const now = Date.now() / 1000;
+    // mtimes decide the order; make them distinct whatever the filesystem's resolution
+    for (const [runId, age] of [['oldest', 300], ['old', 200]]) {
+        await graph.invoke({ steps: [] }, thread(runId));
+        saver.archive(runId);
+        fs.utimesSync(path.join(dir, 'finished', `${runId}.jsonl`), now - age, now - age);
+    }
+    assert.equal(fs.readdirSync(path.join(dir, 'finished')).length, 2);
+
+    await graph.invoke({ steps: [] }, thread('newest'));
+    saver.archive('newest');
+
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'finished')).sort(), ['newest.jsonl', 'old.jsonl']);
+});
@@ -0,0 +1,101 @@
+const { tempDir } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.resolve(__dirname, '../src/cli.js');
+const STUB = path.resolve(__dirname, 'fixtures/cliOrchestrator.js');
+
+// Runs the CLI with the orchestrator stubbed out; the run ends with `status`
+const runCli = (args, status = 'PASSED') => {
+    const dir = tempDir('cli-');
+    const call = path.join(dir, 'call.json');
+    const report = path.join(dir, 'report.json');
+    const result = spawnSync(process.execPath, ['-r', STUB, CLI, ...args, '--report', report], {
+        cwd: dir,
+        env: { ...process.env, CLI_STUB_CALL: call, CLI_STUB_STATUS: status },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    const read = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr, call: read(call), report: read(report) };
+};
+
+const REPO = 'https://github.com/org/repo';
+
+test('a passing run exits 0, streams its log and writes the report', () => {
+    const { code, stdout, call, report } = runCli(['run', `${REPO}.git`, '--team', 'Alpha', '--leader', 'Lead']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /✓ Cloned repo/);
+    assert.match(stdout, /\[autoheal\] Status: PASSED/);
+    assert.equal(call.repoUrl, REPO);
+    assert.deepEqual([call.teamName, call.leaderName], ['Alpha', 'Lead']);
+    assert.equal(call.options.push, true);
+    assert.equal(call.options.dryRun, false);
+    assert.equal(call.options.requireApproval, false);
+    assert.equal(call.options.maxIterations, undefined);
+    assert.deepEqual(call.options.trigger, { source: 'cli' });
+    assert.equal(report.runId, call.options.runId);
+    assert.equal(report.status, 'PASSED');
+    assert.deepEqual(report.logs, ['Initializing Agent System...', '✓ Cloned repo']);
+});
+
+test('a failed run exits 1', () => {
+    for (const status of ['FAILED', 'BUDGET_EXCEEDED', 'CANCELLED']) {
+        const { code, report } = runCli(['run', REPO, '--team', 'Alpha', '--leader', 'Lead'], status);
+        assert.equal(code, 1, status);
+        assert.equal(report.status, status);
+    }
+});
+
+test('an orchestrator crash ends the run FAILED and exits 1', () => {
+    const { code, report } = runCli(['run', REPO, '--team', 'Alpha', '--leader', 'Lead'], 'THROW');
+    assert.equal(code, 1);
+    assert.equal(report.status, 'FAILED');
+});
+
+test('--no-push, --dry-run and --max-iter reach the orchestrator', () => {
+    const { code, call } = runCli(['run', REPO, '--team', 'Alpha', '--leader', 'Lead', '--no-push', '--dry-run', '--max-iter', '3']);
+    assert.equal(code, 0);
+    assert.equal(call.options.push, false);
+    assert.equal(call.options.dryRun, true);
+    assert.equal(call.options.maxIterations, 3);
+});
+
+test('a local path is run as a file:// repository', () => {
+    const repo = tempDir('local-');
+    fs.mkdirSync(path.join(repo, '.git'));
+    fs.writeFileSync(path.join(repo, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    const { code, call } = runCli(['run', repo, '--team', 'Alpha', '--leader', 'Lead']);
+    assert.equal(code, 0);
+    assert.equal(call.repoUrl, `file://${fs.realpathSync(repo)}`);
+});
+
+test('usage errors exit 2 without starting a run', () => {
+    const cases = [
+        [[], /Missing command/],
+        [['deploy', REPO], /Unknown command: deploy/],
+        [['run'], /Missing repository URL or local path/],
+        [['run', REPO, '--team', 'Alpha'], /--team and --leader are required/],
+        [['run', REPO, '--team', 'Alpha', '--leader', 'Lead', '--max-iter', '0'], /--max-iter must be a positive integer/],
+        [['run', REPO, '--team', 'Alpha', '--leader', 'Lead', '--max-iter', 'many'], /--max-iter must be a positive integer/],
+        [['run', REPO, '--team', 'Alpha', '--leader', 'Lead', '--verbose'], /Unknown option '--verbose'/],
+        [['run', 'http://github.com/org/repo', '--team', 'Alpha', '--leader', 'Lead'], /Usage: autoheal run/]
+    ];
+    for (const [args, message] of cases) {
+        const { code, stderr, call } = runCli(args);
+        assert.equal(code, 2, args.join(' '));
+        assert.match(stderr, message);
+        assert.equal(call, null);
+    }
+});
+
+test('--help prints the usage and exits 0', () => {
+    const { code, stdout, call } = runCli(['--help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /Usage: autoheal run <repoUrl\|localPath>/);
+    assert.equal(call, null);
+});
@@ -0,0 +1,87 @@
+const { tempDir } = require('./helpers');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const Docker = require('dockerode');
+
+// A container that is a local directory: the repo copy is extracted into it and
+// every exec runs there with the real /bin/sh, its output framed as Docker does
+mock.method(Docker.prototype, 'createContainer', async () => {
+    const root = tempDir('container-');
+    return {
+        start: async () => { },
+        putArchive: (tarStream) => new Promise((resolve, reject) => {
+            const tar = spawn('tar', ['-x', '-C', root]);
+            tarStream.pipe(tar.stdin);
+            tar.on('close', code => (code === 0 ? resolve() : reject(new Error(`tar exited with ${code}`))));
+        }),
+        exec: async ({ Cmd }) => {
+            let exitCode = null;
+            return {
+                start: async () => {
+                    const stream = new PassThrough();
+                    const frame = (type) => (chunk) => {
+                        const header = Buffer.alloc(8);
+                        header.writeUInt8(type, 0);
+                        header.writeUInt32BE(chunk.length, 4);
+                        stream.write(Buffer.concat([header, chunk]));
+                    };
+                    const child = spawn(Cmd[0], Cmd.slice(1), { cwd: root });
+                    child.stdout.on('data', frame(1));
+                    child.stderr.on('data', frame(2));
+                    child.on('close', code => { exitCode = code; stream.end(); });
+                    return stream;
+                },
+                inspect: async () => ({ ExitCode: exitCode })
+            };
+        },
+        kill: async () => { },
+        stop: async () => { },
+        remove: async () => { }
+    };
+});
+const { runTestsInSandbox } = require('../src/agents/docker');
+
+// A lockfile whose content imitates the framing of other files
+const FORGED = [
+    '{"lockfileVersion": 3}',
+    '@@autoheal-report@@ ../../escape.txt',
+    'pwned',
+    `${Buffer.from('../../escape.txt').toString('base64')} ${Buffer.from('pwned').toString('base64')}`,
+    ''
+].join('\n');
+
+test('collected files come back exactly as written, whatever they contain', async () => {
+    const repo = tempDir();
+    fs.writeFileSync(path.join(repo, 'forged.txt'), FORGED);
+    fs.mkdirSync(path.join(repo, 'web'));
+
+    const result = await runTestsInSandbox(repo,
+        'cp forged.txt package-lock.json && printf "" > web/yarn.lock && printf "a b\\n\\n" > "web/go.sum"',
+        'node:20-alpine', { collect: ['package-lock.json', 'web/yarn.lock', 'web/go.sum', 'missing.lock'] });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.files, [
+        { path: 'package-lock.json', content: FORGED },
+        { path: 'web/yarn.lock', content: '' },
+        { path: 'web/go.sum', content: 'a b\n\n' }
+    ]);
+});
+
+test('test reports matching a glob are read back trimmed', async () => {
+    const repo = tempDir();
+    fs.mkdirSync(path.join(repo, '.autoheal-reports'));
+    fs.writeFileSync(path.join(repo, '.autoheal-reports', 'junit one.xml'), '\n<testsuite name="one"/>\n');
+    fs.writeFileSync(path.join(repo, '.autoheal-reports', 'node.json'), FORGED);
+
+    const result = await runTestsInSandbox(repo, 'exit 1', 'node:20-alpine', { reports: ['.autoheal-reports/*'] });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.reports, [
+        { path: '.autoheal-reports/junit one.xml', content: '<testsuite name="one"/>' },
+        { path: '.autoheal-reports/node.json', content: FORGED.trim() }
+    ]);
+});
@@ -0,0 +1,102 @@
+const { tempDir } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+const { MemorySaver } = require('@langchain/langgraph');
+const { buildHealingGraph } = require('../src/agents/healingGraph');
+const { loadRepoConfig } = require('../src/services/repoConfig');
+const { withFingerprint } = require('../src/services/issueFingerprint');
+const { createRun } = require('../src/services/runRegistry');
+const { getRecord } = require('../src/services/runHistory');
+const { listArtifacts, getArtifactPath } = require('../src/services/artifacts');
+
+// A repository with one commit and a bare `origin` a push would reach
+const initRepo = async (files) => {
+    const repo = tempDir();
+    const origin = tempDir();
+    await simpleGit(origin).init(true);
+    const git = simpleGit(repo);
+    await git.init();
+    await git.addConfig('user.name', 'test');
+    await git.addConfig('user.email', 'test@example.com');
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+        fs.writeFileSync(path.join(repo, file), content);
+    }
+    await git.add('.');
+    await git.commit('initial');
+    await git.addRemote('origin', origin);
+    return { repo, origin, git };
+};
+
+test('a dry run archives one diff per fix and an applicable fixes.patch, and never commits or pushes', async () => {
+    const { repo, origin, git } = await initRepo({
+        'src/calc.js': 'const sub = (a, b) => b - a;\nmodule.exports = { sub };\n',
+        'src/util.js': 'module.exports = {};\n'
+    });
+    const base = (await git.revparse(['HEAD'])).trim();
+
+    // What the Solver left behind: two fixes, one of them creating a file, and an issue it could not fix
+    fs.writeFileSync(path.join(repo, 'src/calc.js'), 'const sub = (a, b) => a - b;\nmodule.exports = { sub };\n');
+    fs.writeFileSync(path.join(repo, 'src/util.js'), "module.exports = { pad: require('./pad') };\n");
+    fs.writeFileSync(path.join(repo, 'src/pad.js'), "module.exports = (s) => ` ${s}`;\n");
+    const issues = [
+        { file: 'src/calc.js', line: 1, type: 'LOGIC', description: 'sub() flips its operands', error: 'expected 1 but got -1', status: 'FIXED' },
+        { file: 'src/util.js', line: 1, type: 'IMPORT', description: 'pad is missing', error: "Cannot find module './pad'", status: 'FIXED' },
+        { file: 'src/other.js', line: 1, type: 'LOGIC', description: 'unrelated', error: 'boom', status: 'OPEN' }
+    ].map(withFingerprint);
+    fs.writeFileSync(path.join(repo, 'issues_log.json'), JSON.stringify({ issues }, null, 2));
+    const allFixes = [
+        { ...issues[0], files: ['src/calc.js'] },
+        { ...issues[1], files: ['src/util.js', 'src/pad.js'] }
+    ];
+
+    const runId = 'dry-run-patch';
+    createRun(runId, { repoUrl: 'https://github.com/org/repo', teamName: 'Dry', leaderName: 'L', dryRun: true });
+    const graph = buildHealingGraph({ checkpointer: new MemorySaver() });
+    const config = { configurable: { thread_id: runId } };
+
+    // Pick the run up right after a passing test run, so routing alone decides between commit/push and patch
+    await graph.updateState(config, {
+        repoUrl: 'https://github.com/org/repo', teamName: 'Dry', leaderName: 'L', dryRun: true, pushAllowed: true,
+        localPath: repo, branchName: 'DRY_L_AI_Fix_1', config: loadRepoConfig(repo).config,
+        allFixes, testsPassed: true, isSuccess: true, outputLog: []
+    }, 'runTests');
+    const final = await graph.invoke(null, config);
+
+    assert.equal(final.status, 'PASSED');
+    assert.deepEqual(final.committed, []);
+    assert.deepEqual(final.patched.map(fix => [fix.file, fix.diffArtifact]), [
+        ['src/calc.js', 'fix-1-src_calc.js.diff'],
+        ['src/util.js', 'fix-2-src_util.js.diff']
+    ]);
+
+    // Nothing committed, nothing pushed
+    assert.equal((await git.revparse(['HEAD'])).trim(), base);
+    assert.equal((await git.raw(['rev-list', '--count', '--all'])).trim(), '1');
+    assert.equal((await simpleGit(origin).raw(['for-each-ref'])).trim(), '');
+    assert.doesNotMatch(final.outputLog.join('\n'), /Push/);
+
+    assert.deepEqual(listArtifacts(runId).map(a => a.name).filter(name => name.endsWith('.diff') || name.endsWith('.patch')),
+        ['fix-1-src_calc.js.diff', 'fix-2-src_util.js.diff', 'fixes.patch']);
+    const artifact = (name) => fs.readFileSync(getArtifactPath(runId, name), 'utf8');
+    assert.match(artifact('fix-1-src_calc.js.diff'), /\+const sub = \(a, b\) => a - b;/);
+    assert.doesNotMatch(artifact('fix-1-src_calc.js.diff'), /util\.js/);
+    assert.match(artifact('fix-2-src_util.js.diff'), /new file mode [0-7]+\n.*\n--- \/dev\/null\n\+\+\+ b\/src\/pad\.js/);
+
+    // fixes.patch applied on a clean checkout of the base commit reproduces every fix
+    const checkout = tempDir();
+    await simpleGit().clone(repo, checkout);
+    const patchFile = getArtifactPath(runId, 'fixes.patch');
+    await simpleGit(checkout).raw(['apply', '--check', patchFile]);
+    await simpleGit(checkout).raw(['apply', patchFile]);
+    for (const file of ['src/calc.js', 'src/util.js', 'src/pad.js']) {
+        assert.equal(fs.readFileSync(path.join(checkout, file), 'utf8'), fs.readFileSync(path.join(repo, file), 'utf8'), file);
+    }
+
+    const record = getRecord(runId);
+    assert.equal(record.status, 'PASSED');
+    assert.equal(record.patchArtifact, 'fixes.patch');
+});
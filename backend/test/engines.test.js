@@ -0,0 +1,58 @@
+const { tempDir } = require('./helpers');
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Engines destructure runTestsInSandbox when loaded, so it is replaced first;
+// each run then records the command it would have executed.
+const docker = require('../src/agents/docker');
+const sandboxRuns = [];
+mock.method(docker, 'runTestsInSandbox', async (localPath, command, image, options) => {
+    sandboxRuns.push({ command, image, options });
+    return { success: true, logs: '' };
+});
+const engineJava = require('../src/engines/java');
+const engineNode = require('../src/engines/node');
+
+beforeEach(() => { sandboxRuns.length = 0; });
+
+const failing = (suite, name) => ({ suite, name });
+
+// A repo of package.json files, given as { dir: package.json contents }
+const writePackages = (packages) => {
+    const repo = tempDir();
+    for (const [dir, pkg] of Object.entries(packages)) {
+        fs.mkdirSync(path.join(repo, dir), { recursive: true });
+        fs.writeFileSync(path.join(repo, dir, 'package.json'), JSON.stringify(pkg));
+    }
+    return { repo, files: Object.keys(packages).map(dir => path.posix.join(dir, 'package.json')) };
+};
+
+test('node: subpackages with only lint and build scripts are projects', async () => {
+    const { repo, files } = writePackages({
+        '.': { name: 'backend', scripts: { test: 'node --test' } },
+        frontend: { name: 'frontend', scripts: { lint: 'eslint .', build: 'vite build' } },
+        docs: { name: 'docs', scripts: { test: 'echo "Error: no test specified" && exit 1' } }
+    });
+    assert.deepEqual(engineNode.projects(repo, files), [{ dir: '.' }, { dir: 'frontend' }]);
+
+    await engineNode.run(repo, { dir: 'frontend' });
+    assert.equal(sandboxRuns[0].command, 'cd frontend && npm install --no-audit --no-fund --prefer-offline && npm run lint');
+});
+
+test('java: targeted Maven tests are passed as one quoted -Dtest selection', async () => {
+    await engineJava.run('/repo', { dir: '.', type: 'maven' }, {
+        tests: [failing('com.acme.CalcTest', 'adds()'), failing('com.acme.CalcTest', 'subtracts()'), failing('com.acme.UtilTest', 'trims')]
+    });
+    assert.equal(sandboxRuns[0].command,
+        "mvn test -B -Dtest='CalcTest#adds+subtracts,UtilTest#trims' -Dsurefire.failIfNoSpecifiedTests=false -DfailIfNoTests=false");
+});
+
+test('java: targeted Gradle tests are quoted one --tests filter each', async () => {
+    await engineJava.run('/repo', { dir: 'app', type: 'gradle' }, {
+        tests: [failing('com.acme.CalcTest', 'adds()'), failing('com.acme.Calc$Inner', 'works')]
+    });
+    assert.equal(sandboxRuns[0].command,
+        "cd app && chmod +x gradlew && ./gradlew test --no-daemon --tests 'com.acme.CalcTest.adds' --tests 'com.acme.Calc$Inner.works'");
+});
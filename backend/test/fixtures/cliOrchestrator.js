@@ -0,0 +1,18 @@
+/**
+ * Preloaded (node -r) by test/cli.test.js in front of src/cli.js: replaces
+ * startOrchestrator before the CLI loads it. The stand-in records what it was
+ * called with to CLI_STUB_CALL and ends the run with CLI_STUB_STATUS, or throws
+ * mid-run when that is THROW.
+ */
+const fs = require('fs');
+const orchestrator = require('../../src/agents/orchestrator');
+const { createRun, updateRun } = require('../../src/services/runRegistry');
+
+orchestrator.startOrchestrator = async (repoUrl, teamName, leaderName, options) => {
+    const { signal, ...rest } = options;
+    fs.writeFileSync(process.env.CLI_STUB_CALL, JSON.stringify({ repoUrl, teamName, leaderName, options: rest }));
+    createRun(options.runId, { repoUrl, teamName, leaderName, trigger: options.trigger, dryRun: options.dryRun });
+    updateRun(options.runId, { logs: ['Initializing Agent System...', '✓ Cloned repo'] });
+    if (process.env.CLI_STUB_STATUS === 'THROW') throw new Error('orchestrator crashed');
+    updateRun(options.runId, { status: process.env.CLI_STUB_STATUS, endTime: Date.now() });
+};
@@ -0,0 +1,102 @@
+const { tempDir } = require('./helpers');
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The node engine's runs are scripted: each call takes the next queued result
+const engineNode = require('../src/engines/node');
+const results = [];
+const calls = [];
+mock.method(engineNode, 'run', async (localPath, project, options) => {
+    calls.push(options.tests ? options.tests.map(t => t.id) : 'suite');
+    return results.shift();
+});
+const { detectFlaky } = require('../src/agents/healingGraph');
+
+beforeEach(() => { results.length = 0; calls.length = 0; });
+
+const state = (flakyTests = [], retries = 2) => ({
+    localPath: tempDir(), projects: [], flakyTests, config: { engines: {}, flaky: { retries } }
+});
+const config = { configurable: { thread_id: 'run-flaky' } };
+
+const junit = (cases) => [{
+    path: 'junit.xml',
+    content: `<testsuite>${Object.entries(cases).map(([name, passed]) => (passed
+        ? `<testcase classname="calc" name="${name}"/>`
+        : `<testcase classname="calc" name="${name}"><failure message="boom"/></testcase>`)).join('')}</testsuite>`
+}];
+const testRun = (cases) => {
+    const success = Object.values(cases).every(Boolean);
+    return { success, output: success ? '' : 'tests failed', reports: junit(cases) };
+};
+// A report as toTestReport builds it for a run with no parsed tests
+const unparsed = (output) => ({
+    engine: 'node', success: false, formats: [], counts: { passed: 0, failed: 0, skipped: 0 }, tests: {}, failures: [], output
+});
+const parsed = (failing) => ({
+    engine: 'node', success: false, formats: ['JUnit XML'], counts: { passed: 0, failed: failing.length, skipped: 0 },
+    tests: Object.fromEntries(failing.map(name => [`calc::${name}`, 'failed'])),
+    failures: failing.map(name => ({ id: `calc::${name}`, name, suite: 'calc', engine: 'node' })),
+    output: null
+});
+
+test('a test that passes on a retry is flaky and its report passes', async () => {
+    results.push(testRun({ adds: true, subtracts: false }), testRun({ subtracts: true }));
+    const { testReports: [report], found } = await detectFlaky(state(), config, [parsed(['adds', 'subtracts'])], 1);
+
+    assert.deepEqual(calls, [['calc::adds', 'calc::subtracts'], ['calc::subtracts']]);
+    assert.deepEqual(found.map(t => [t.id, t.retry]), [['calc::adds', 1], ['calc::subtracts', 2]]);
+    assert.equal(report.success, true);
+    assert.equal(report.counts.flaky, 2);
+    assert.equal(report.tests['calc::adds'], 'flaky');
+});
+
+test('a known flaky test that fails again is set aside without a retry', async () => {
+    const { testReports: [report], found } = await detectFlaky(state([{ engine: 'node', id: 'calc::adds' }]), config, [parsed(['adds'])], 2);
+    assert.deepEqual(calls, []);
+    assert.deepEqual(found, []);
+    assert.equal(report.success, true);
+});
+
+test('a suite failing without parsed tests passes only when a re-run passes', async () => {
+    results.push({ success: false, output: 'Killed', reports: [] }, { success: true, output: '', reports: [] });
+    const first = await detectFlaky(state(), config, [unparsed('Killed')], 1);
+    assert.equal(calls.length, 2);
+    assert.equal(first.testReports[0].success, true);
+    assert.deepEqual(first.found.map(t => t.id), ['(engine)']);
+
+    // Flaky before, failing on every re-run now: still a failure
+    calls.length = 0;
+    results.push({ success: false, output: 'Killed', reports: [] }, { success: false, output: 'Killed', reports: [] });
+    const second = await detectFlaky(state(first.found), config, [unparsed('Killed')], 2);
+    assert.equal(calls.length, 2);
+    assert.equal(second.testReports[0].success, false);
+    assert.equal(second.testReports[0].output, 'Killed');
+    assert.deepEqual(second.found, []);
+});
+
+test('build errors are not re-run and never pass as flaky', async () => {
+    const outputs = [
+        'SyntaxError: Unexpected token (3:7)',
+        "Error: Cannot find module './calc'",
+        '[ERROR] COMPILATION ERROR :',
+        'FAIL\texample.com/calc [build failed]',
+        'src/index.ts(3,1): error TS2304: Cannot find name foo.'
+    ];
+    const flakySuite = [{ engine: 'node', id: '(engine)' }];
+    for (const output of outputs) {
+        const { testReports: [report], found } = await detectFlaky(state(flakySuite), config, [unparsed(output)], 3);
+        assert.equal(report.success, false, output);
+        assert.equal(report.output, output);
+        assert.deepEqual(found, []);
+    }
+    assert.deepEqual(calls, []);
+});
+
+test('flaky.retries: 0 leaves reports as they are', async () => {
+    const report = unparsed('Killed');
+    const { testReports, found } = await detectFlaky(state([], 0), config, [report], 1);
+    assert.equal(testReports[0], report);
+    assert.deepEqual(found, []);
+    assert.deepEqual(calls, []);
+});
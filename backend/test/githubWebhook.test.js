@@ -0,0 +1,151 @@
+const { dataDir, listen } = require('./helpers');
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Replays the recorded payloads in examples/webhooks against POST /api/webhooks/github.
+// The queue is replaced before the server is loaded, so runs are registered but never started.
+const runQueue = require('../src/services/runQueue');
+const { createRun, getRun, updateRun } = require('../src/services/runRegistry');
+
+const enqueued = [];
+mock.method(runQueue, 'enqueueRun', (job) => {
+    const runId = `run-${enqueued.length + 1}`;
+    createRun(runId, { repoUrl: job.repoUrl, teamName: job.teamName, leaderName: job.leaderName, trigger: job.trigger }, 'QUEUED');
+    enqueued.push(job);
+    return runId;
+});
+const app = require('../src/server');
+const { fixBranchName } = require('../src/agents/auditor');
+
+const SECRET = 'test-secret';
+const EXAMPLES = path.resolve(__dirname, '../examples/webhooks');
+const readExample = (name) => fs.readFileSync(path.join(EXAMPLES, name));
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+let server;
+before(async () => { server = await listen(app); });
+after(() => server.close());
+beforeEach(() => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+    // Finish earlier runs so they are not taken for duplicates
+    for (let i = 1; i <= enqueued.length; i++) updateRun(`run-${i}`, { status: 'FAILED' });
+});
+
+const deliver = async (event, body, { signature = sign(body), delivery = crypto.randomUUID() } = {}) => {
+    const response = await fetch(`${server.url}/api/webhooks/github`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-GitHub-Event': event,
+            'X-GitHub-Delivery': delivery,
+            ...(signature ? { 'X-Hub-Signature-256': signature } : {})
+        },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('a failed workflow_run queues a run on the failing commit', async () => {
+    const payload = readExample('workflow_run_failure.json');
+    const { status, body } = await deliver('workflow_run', payload, { delivery: 'd-1' });
+
+    assert.equal(status, 202);
+    assert.equal(body.status, 'QUEUED');
+    const job = enqueued.at(-1);
+    assert.equal(body.runId, `run-${enqueued.length}`);
+    assert.equal(job.repoUrl, 'https://github.com/VinayakGawade009/demo_test7');
+    assert.equal(job.baseBranch, 'main');
+    assert.equal(job.baseSha, '4f19768e0b3c2a1d9e8f7a6b5c4d3e2f1a0b9c8d');
+    assert.equal(job.leaderName, 'VinayakGawade009');
+    assert.deepEqual(job.trigger, {
+        source: 'workflow_run', branch: 'main', sha: '4f19768e0b3c2a1d9e8f7a6b5c4d3e2f1a0b9c8d', delivery: 'd-1'
+    });
+});
+
+test('a bot actor still yields a valid fix branch name', async () => {
+    const payload = JSON.parse(readExample('workflow_run_failure.json'));
+    payload.workflow_run.actor.login = 'dependabot[bot]';
+    payload.workflow_run.head_sha = 'b'.repeat(40);
+    const { status } = await deliver('workflow_run', Buffer.from(JSON.stringify(payload)));
+
+    assert.equal(status, 202);
+    const job = enqueued.at(-1);
+    assert.equal(job.leaderName, 'dependabot[bot]');
+    const branch = fixBranchName(job.teamName, job.leaderName, 1760000000000);
+    assert.equal(branch, 'AUTOHEAL_DEPENDABOT_BOT__AI_Fix_1760000000000');
+    // git accepts it as a branch name (throws otherwise)
+    execFileSync('git', ['check-ref-format', '--branch', branch]);
+});
+
+test('check_suite for a commit already being healed is a duplicate', async () => {
+    const first = await deliver('workflow_run', readExample('workflow_run_failure.json'));
+    const count = enqueued.length;
+
+    const { status, body } = await deliver('check_suite', readExample('check_suite_failure.json'));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { status: 'DUPLICATE', runId: first.body.runId });
+    assert.equal(enqueued.length, count);
+});
+
+test('a failed check_suite queues a run when none is active', async () => {
+    const count = enqueued.length;
+    const { status, body } = await deliver('check_suite', readExample('check_suite_failure.json'));
+
+    assert.equal(status, 202);
+    assert.equal(enqueued.length, count + 1);
+    assert.equal(enqueued.at(-1).trigger.source, 'check_suite');
+    assert.equal(getRun(body.runId).status, 'QUEUED');
+});
+
+test('signatures are verified against the raw body', async () => {
+    const payload = readExample('workflow_run_failure.json');
+    const count = enqueued.length;
+
+    const cases = [
+        { signature: null },
+        { signature: sign(payload, 'wrong-secret') },
+        { signature: sign(Buffer.from(JSON.stringify(JSON.parse(payload)))) },   // re-serialised body
+        { signature: 'sha1=abc' }
+    ];
+    for (const options of cases) {
+        const { status, body } = await deliver('workflow_run', payload, options);
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Invalid signature');
+    }
+    assert.equal(enqueued.length, count);
+    assert.match(fs.readFileSync(path.join(dataDir, 'audit.log'), 'utf8'), /WEBHOOK_REJECTED/);
+});
+
+test('events without a failed CI run are ignored', async () => {
+    const count = enqueued.length;
+    const workflowRun = JSON.parse(readExample('workflow_run_failure.json'));
+    const variants = [
+        ['workflow_run', { ...workflowRun, workflow_run: { ...workflowRun.workflow_run, conclusion: 'success' } }],
+        ['workflow_run', { ...workflowRun, action: 'requested' }],
+        ['workflow_run', { ...workflowRun, workflow_run: { ...workflowRun.workflow_run, head_branch: 'TEAM_LEAD_AI_Fix_1760000000000' } }],
+        ['push', workflowRun]
+    ];
+    for (const [event, payload] of variants) {
+        const { status, body } = await deliver(event, Buffer.from(JSON.stringify(payload)));
+        assert.equal(status, 202);
+        assert.equal(body.status, 'IGNORED');
+    }
+    assert.equal(enqueued.length, count);
+});
+
+test('ping is answered without queueing', async () => {
+    const { status, body } = await deliver('ping', Buffer.from('{"zen":"Keep it logically awesome."}'));
+    assert.equal(status, 200);
+    assert.deepEqual(body, { message: 'pong' });
+});
+
+test('the receiver is disabled without GITHUB_WEBHOOK_SECRET', async () => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    const { status } = await deliver('workflow_run', readExample('workflow_run_failure.json'));
+    assert.equal(status, 503);
+});
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test helpers
+ * Every test file runs in its own process; requiring this module first points
+ * the backend's data files (history, keys, audit log, artifacts, checkpoints)
+ * at a fresh temporary directory so tests never touch backend/data.
+ */
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoheal-test-'));
+process.env.RUN_HISTORY_PATH = path.join(dataDir, 'runs.jsonl');
+process.env.API_KEYS_PATH = path.join(dataDir, 'api_keys.json');
+process.env.AUDIT_LOG_PATH = path.join(dataDir, 'audit.log');
+process.env.ARTIFACTS_DIR = path.join(dataDir, 'artifacts');
+process.env.CHECKPOINT_DIR = path.join(dataDir, 'checkpoints');
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Starts an Express app on a free port.
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+function listen(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Creates a temporary directory removed when the test process exits.
+ * @returns {string}
+ */
+function tempDir(prefix = 'repo-') {
+    return fs.mkdtempSync(path.join(dataDir, prefix));
+}
+
+module.exports = { dataDir, listen, tempDir };
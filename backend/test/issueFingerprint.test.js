@@ -0,0 +1,71 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprintIssue, withFingerprint, normalizeMessage } = require('../src/services/issueFingerprint');
+
+const structured = {
+    file: 'src/calc.js',
+    line: 4,
+    type: 'LOGIC',
+    description: 'sub() returns the wrong sign',
+    evidence: {
+        tests: ['/app/src/calc.test.js::calc subtracts'],
+        message: 'Error: expected 1 but got -1 (after 12ms)',
+        frames: ['src/calc.js']
+    }
+};
+
+test('line numbers, type labels and descriptions do not change the fingerprint', () => {
+    const again = {
+        ...structured,
+        line: 7,
+        type: 'RUNTIME',
+        description: 'The subtraction helper flips its operands',
+        evidence: { ...structured.evidence, message: 'Error: expected 2 but got -2 (after 40ms)', frames: ['./src/calc.js'] }
+    };
+    assert.equal(fingerprintIssue(again), fingerprintIssue(structured));
+});
+
+test('another file, test or error is another issue', () => {
+    const base = fingerprintIssue(structured);
+    assert.notEqual(fingerprintIssue({ ...structured, file: 'src/other.js' }), base);
+    assert.notEqual(fingerprintIssue({ ...structured, evidence: { ...structured.evidence, tests: ['other'] } }), base);
+    assert.notEqual(fingerprintIssue({ ...structured, evidence: { ...structured.evidence, message: 'TypeError: sub is not a function' } }), base);
+});
+
+test('raw-output issues are identified by the copied error line, not the description', () => {
+    const first = { file: 'index.js', error: 'TypeError: x is not a function (index.js:3)', description: 'bug seen at 1700000000000' };
+    const second = { file: 'index.js', error: 'TypeError: x is not a function (index.js:9)', description: 'x is called but never defined' };
+    assert.equal(fingerprintIssue(first), fingerprintIssue(second));
+});
+
+test('without any evidence, distinct issues in one file stay distinct', () => {
+    const syntax = { file: 'index.js', line: 3, type: 'SYNTAX', description: 'Missing semicolon breaks the build' };
+    const logic = { file: 'index.js', line: 42, type: 'LOGIC', description: 'Loop stops one item early' };
+    assert.notEqual(fingerprintIssue(syntax), fingerprintIssue(logic));
+    assert.notEqual(fingerprintIssue({ ...logic, type: 'SYNTAX' }), fingerprintIssue(syntax));
+    assert.notEqual(fingerprintIssue({ ...logic, line: 3 }), fingerprintIssue(syntax));
+    assert.notEqual(fingerprintIssue({ ...syntax, file: 'other.js' }), fingerprintIssue(syntax));
+
+    // The LLM's wording and a small shift of the line still leave it the same issue
+    const again = { ...syntax, line: 5, type: 'syntax', description: 'Build fails because of a syntax error' };
+    assert.equal(fingerprintIssue(again), fingerprintIssue(syntax));
+});
+
+test('with evidence, the type label and line take no part', () => {
+    const raw = { file: 'index.js', line: 3, type: 'SYNTAX', error: 'SyntaxError: Unexpected token' };
+    assert.equal(fingerprintIssue({ ...raw, line: 90, type: 'LOGIC' }), fingerprintIssue(raw));
+});
+
+test('a stamped fingerprint is kept', () => {
+    const stamped = withFingerprint(structured);
+    assert.match(stamped.fingerprint, /^[0-9a-f]{16}$/);
+    assert.equal(fingerprintIssue({ ...stamped, file: 'moved.js' }), stamped.fingerprint);
+});
+
+test('messages are normalised', () => {
+    assert.equal(
+        normalizeMessage('\u001b[31mError\u001b[39m at /app/src/calc.js:12:5 after 15ms, addr 0xdeadBEEF, value 42'),
+        'error at src/calc.js after <time>, addr <addr>, value <n>'
+    );
+});
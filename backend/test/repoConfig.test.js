@@ -0,0 +1,126 @@
+const { tempDir } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRepoConfig, isPathAllowed, globToRegExp, CONFIG_FILE } = require('../src/services/repoConfig');
+
+// A repository root holding `yaml` as its .autoheal.yml
+const repoWith = (yaml) => {
+    const dir = tempDir('repo-config-');
+    fs.writeFileSync(path.join(dir, CONFIG_FILE), yaml);
+    return dir;
+};
+
+const DEFAULT_CONFIG = loadRepoConfig(tempDir('repo-config-')).config;
+
+test('a missing config file falls back to the defaults', () => {
+    const { config, found, errors } = loadRepoConfig(tempDir('repo-config-'));
+    assert.equal(found, false);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config, {
+        model: 'gpt-4-turbo',
+        engines: {},
+        solver: { allowPaths: [], denyPaths: [], verifyFixes: true },
+        flaky: { retries: 2 },
+        budget: {},
+        git: { commit: true, push: true, requireApproval: false, commitPrefix: '[AI-AGENT]' }
+    });
+});
+
+test('a valid config is merged over the defaults section by section', () => {
+    const { config, found, errors } = loadRepoConfig(repoWith([
+        'maxIterations: 4',
+        'engines:',
+        '  node: { subDir: web, image: node:20-alpine, test: npm run test:ci }',
+        '  python: { enabled: false }',
+        'solver:',
+        "  denyPaths: ['src/generated/**']",
+        'budget:',
+        '  maxCostUsd: 2.5',
+        'git:',
+        '  push: false'
+    ].join('\n')));
+
+    assert.equal(found, true);
+    assert.deepEqual(errors, []);
+    assert.equal(config.maxIterations, 4);
+    assert.equal(config.model, 'gpt-4-turbo');
+    assert.deepEqual(config.engines, {
+        node: { subDir: 'web', image: 'node:20-alpine', test: 'npm run test:ci' },
+        python: { enabled: false }
+    });
+    assert.deepEqual(config.solver, { allowPaths: [], denyPaths: ['src/generated/**'], verifyFixes: true });
+    assert.deepEqual(config.flaky, { retries: 2 });
+    assert.deepEqual(config.budget, { maxCostUsd: 2.5 });
+    assert.deepEqual(config.git, { commit: true, push: false, requireApproval: false, commitPrefix: '[AI-AGENT]' });
+});
+
+test('an empty config file is valid and keeps the defaults', () => {
+    const { config, found, errors } = loadRepoConfig(repoWith(''));
+    assert.equal(found, true);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config, DEFAULT_CONFIG);
+});
+
+test('schema violations are all reported by path, and the defaults are used instead', () => {
+    const { config, found, errors } = loadRepoConfig(repoWith([
+        'maxIterations: 0',
+        'engines:',
+        '  node: { subDir: ../outside }',
+        '  rust: { enabled: true }',
+        'flaky:',
+        '  retries: many',
+        'timeout: 10'
+    ].join('\n')));
+
+    assert.equal(found, true);
+    assert.deepEqual(config, DEFAULT_CONFIG);
+    assert.deepEqual(errors.sort(), [
+        '(root) has unknown key "timeout"',
+        'engines has unknown key "rust"',
+        'engines.node.subDir must be a relative path inside the repository',
+        'flaky.retries must be integer',
+        'maxIterations must be >= 1'
+    ]);
+});
+
+test('invalid YAML is reported on one line', () => {
+    const { config, found, errors } = loadRepoConfig(repoWith('engines: [node\n'));
+    assert.equal(found, true);
+    assert.deepEqual(config, DEFAULT_CONFIG);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^invalid YAML: /);
+    assert.doesNotMatch(errors[0], /\n/);
+});
+
+test('isPathAllowed never allows paths outside the repository', () => {
+    const open = { allowPaths: [], denyPaths: [] };
+    for (const file of ['../secrets.env', 'src/../../secrets.env', '..\\secrets.env', '/etc/passwd', './../x.js']) {
+        assert.equal(isPathAllowed(file, open), false, file);
+        assert.equal(isPathAllowed(file, { allowPaths: ['**'], denyPaths: [] }), false, file);
+    }
+    assert.equal(isPathAllowed('src/app.js', open), true);
+    assert.equal(isPathAllowed('./src/../lib/app.js', open), true);
+});
+
+test('isPathAllowed applies the allow list, and deny wins over allow', () => {
+    const solver = { allowPaths: ['src/**', '*.json'], denyPaths: ['src/generated/**', '**/*.lock'] };
+    assert.equal(isPathAllowed('src/app.js', solver), true);
+    assert.equal(isPathAllowed('src/deep/nested/app.js', solver), true);
+    assert.equal(isPathAllowed('package.json', solver), true);
+    assert.equal(isPathAllowed('config/app.json', solver), false);
+    assert.equal(isPathAllowed('lib/app.js', solver), false);
+    assert.equal(isPathAllowed('src/generated/api.js', solver), false);
+    assert.equal(isPathAllowed('src/yarn.lock', solver), false);
+    assert.equal(isPathAllowed('yarn.lock', solver), false);
+});
+
+test('globToRegExp keeps * and ? within one path segment', () => {
+    assert.equal(globToRegExp('src/*.js').test('src/app.js'), true);
+    assert.equal(globToRegExp('src/*.js').test('src/lib/app.js'), false);
+    assert.equal(globToRegExp('src/?.js').test('src/a.js'), true);
+    assert.equal(globToRegExp('src/?.js').test('src/ab.js'), false);
+    assert.equal(globToRegExp('./src/**').test('src/a/b.js'), true);
+    assert.equal(globToRegExp('a.b').test('axb'), false);
+});
@@ -0,0 +1,75 @@
+const { listen } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createKey } = require('../src/services/apiKeys');
+const { createRun, updateRun } = require('../src/services/runRegistry');
+const app = require('../src/server');
+
+let server;
+before(async () => { server = await listen(app); });
+after(() => server.close());
+
+const { key } = createKey('Alpha');
+// Run ids are UUIDs (the route validates them)
+const [live, otherTeam, other] = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+const details = { repoUrl: 'https://github.com/org/repo', teamName: 'Alpha', leaderName: 'L' };
+
+// Reads GET /api/runs/:id/events, handing each parsed event to onEvent; resolves with all of them once the stream ends
+const readEvents = async (runId, onEvent = () => {}, apiKey = key) => {
+    const response = await fetch(`${server.url}/api/runs/${runId}/events`, { headers: { Authorization: `Bearer ${apiKey}` } });
+    if (response.status !== 200) return { status: response.status, events: [] };
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const type = (block.match(/^event: (.*)$/m) || [])[1];
+            const data = (block.match(/^data: (.*)$/m) || [])[1];
+            if (!type) continue;
+            const event = { type, data: JSON.parse(data) };
+            events.push(event);
+            onEvent(event);
+        }
+    }
+    return { status: response.status, events };
+};
+
+test('a live run streams a snapshot, then its changes, until its final status', async () => {
+    createRun(live, details);
+    createRun(other, details);
+
+    const { events } = await readEvents(live, ({ type }) => {
+        if (type !== 'snapshot') return;
+        updateRun(live, { logs: ['Initializing Agent System...', 'Cloned repo'], branchName: 'ALPHA_L_AI_Fix_1' });
+        updateRun(live, { status: 'PASSED', endTime: 5000 });
+        updateRun(other, { logs: ['not this run'] });
+    });
+
+    assert.deepEqual(events.map(e => e.type), ['snapshot', 'log', 'update', 'status']);
+    assert.equal(events[0].data.runId, live);
+    assert.equal(events[0].data.status, 'RUNNING');
+    assert.deepEqual(events[1].data, { line: 'Cloned repo' });
+    assert.deepEqual(events[2].data, { branchName: 'ALPHA_L_AI_Fix_1' });
+    assert.deepEqual(events[3].data, { status: 'PASSED', endTime: 5000 });
+    updateRun(other, { status: 'CANCELLED', endTime: Date.now() });
+});
+
+test('a finished run sends its snapshot and closes', async () => {
+    const { events } = await readEvents(live);
+    assert.deepEqual(events.map(e => e.type), ['snapshot']);
+    assert.equal(events[0].data.status, 'PASSED');
+});
+
+test('another team\'s run and unknown runs are not found', async () => {
+    createRun(otherTeam, { ...details, teamName: 'Beta' });
+    assert.equal((await readEvents(otherTeam)).status, 404);
+    assert.equal((await readEvents(crypto.randomUUID())).status, 404);
+    updateRun(otherTeam, { status: 'CANCELLED', endTime: Date.now() });
+});
@@ -0,0 +1,34 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { recordRun, queryRuns, getRecord, finishedRunIds } = require('../src/services/runHistory');
+const { findInterruptedRuns } = require('../src/agents/orchestrator');
+
+const run = (runId, fields = {}) => ({
+    runId, repoUrl: 'https://github.com/org/repo', teamName: 'Alpha', leaderName: 'L', status: 'PASSED',
+    iterations: 1, fixes: [], logs: ['line'], startTime: 1000, endTime: 2000, ...fields
+});
+
+test('finished runs are recorded and filtered', () => {
+    recordRun(run('r1', { startTime: 1000 }));
+    recordRun(run('r2', { status: 'FAILED', teamName: 'Beta', startTime: 3000, endTime: 4000 }));
+
+    assert.deepEqual(queryRuns({}).map(r => r.runId), ['r2', 'r1']);
+    assert.deepEqual(queryRuns({ status: 'failed' }).map(r => r.runId), ['r2']);
+    assert.deepEqual(queryRuns({ team: 'alpha' }).map(r => r.runId), ['r1']);
+    assert.deepEqual(queryRuns({ from: '2000' }).map(r => r.runId), ['r2']);
+    assert.equal(getRecord('r2').durationMs, 1000);
+    assert.deepEqual([...finishedRunIds()].sort(), ['r1', 'r2']);
+});
+
+test('startup recovery archives the threads of finished runs without reading them', async () => {
+    const dir = process.env.CHECKPOINT_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'r1.jsonl'), 'not read\n');
+
+    assert.deepEqual(await findInterruptedRuns(), []);
+    assert.ok(!fs.existsSync(path.join(dir, 'r1.jsonl')));
+    assert.ok(fs.existsSync(path.join(dir, 'finished', 'r1.jsonl')));
+});
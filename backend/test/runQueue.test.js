@@ -0,0 +1,147 @@
+require('./helpers');
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The orchestrator is replaced before the queue is loaded: started runs and resumes
+// are recorded (with their signal), and runs and decisions finish when the test says so.
+const orchestrator = require('../src/agents/orchestrator');
+const { createRun, getRun, updateRun } = require('../src/services/runRegistry');
+const { getRecord } = require('../src/services/runHistory');
+
+const started = [];
+const finishers = new Map();
+mock.method(orchestrator, 'startOrchestrator', (repoUrl, teamName, leaderName, { runId }) => {
+    started.push(runId);
+    updateRun(runId, { status: 'RUNNING' });
+    return new Promise(resolve => finishers.set(runId, () => {
+        updateRun(runId, { status: 'PASSED', endTime: Date.now() });
+        resolve();
+    }));
+});
+
+const resumes = [];
+let decision = null;
+let settleFailure = null;
+mock.method(orchestrator, 'resumeOrchestrator', async (runId, { signal, afterReview }) => {
+    resumes.push({ runId, aborted: signal.aborted, afterReview });
+    updateRun(runId, { status: signal.aborted ? 'CANCELLED' : 'PASSED', endTime: Date.now() });
+});
+mock.method(orchestrator, 'decideFix', (runId) => {
+    if (getRun(runId).status !== 'AWAITING_APPROVAL') {
+        return Promise.reject(new orchestrator.DecisionError('Run is not awaiting approval', 409));
+    }
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    decision = {
+        promise,
+        complete: () => {
+            updateRun(runId, { status: 'QUEUED' });
+            resolve({ approval: { fixes: [] }, complete: true });
+        }
+    };
+    return promise;
+});
+mock.method(orchestrator, 'decisionsSettled', () => {
+    if (settleFailure) return Promise.reject(settleFailure);
+    return decision ? decision.promise.then(() => {}) : Promise.resolve();
+});
+const { enqueueRun, cancelRun, decideRunFix, isCancelling, MAX_CONCURRENT_RUNS } = require('../src/services/runQueue');
+
+beforeEach(() => {
+    started.length = 0;
+    resumes.length = 0;
+    decision = null;
+    settleFailure = null;
+});
+
+const awaitingRun = (runId) => createRun(runId, { repoUrl: 'https://github.com/org/repo', teamName: 'T', leaderName: 'L' }, 'AWAITING_APPROVAL');
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const decide = (runId) => decideRunFix(runId, '0123456789abcdef', { decision: 'approve', decidedBy: 'key' });
+
+test('cancelling a run awaiting approval resumes it once, already aborted', async () => {
+    awaitingRun('await-1');
+
+    assert.equal(cancelRun('await-1'), true);
+    assert.equal(getRun('await-1').status, 'QUEUED');
+    assert.ok(isCancelling('await-1'));
+
+    // While the cancellation is in flight, further cancels and decisions are refused
+    assert.equal(cancelRun('await-1'), false);
+    await assert.rejects(decide('await-1'), { name: 'DecisionError', statusCode: 409 });
+
+    await settle();
+    assert.deepEqual(resumes, [{ runId: 'await-1', aborted: true, afterReview: true }]);
+    await settle();
+    assert.equal(getRun('await-1'), null);      // finished: served from the run history
+    assert.equal(getRecord('await-1').status, 'CANCELLED');
+    assert.ok(!isCancelling('await-1'));
+    assert.equal(cancelRun('await-1'), false);
+});
+
+test('a cancel racing the last decision resumes the run once, to cancel it', async () => {
+    awaitingRun('await-2');
+
+    const decided = decide('await-2');
+    assert.equal(cancelRun('await-2'), true);
+    await settle();
+    assert.deepEqual(resumes, []);      // the decision is still being written
+
+    decision.complete();
+    await decided;
+    await settle();
+    assert.deepEqual(resumes, [{ runId: 'await-2', aborted: true, afterReview: true }]);
+});
+
+test('the last decision of a run that is not cancelled resumes it to commit', async () => {
+    awaitingRun('await-3');
+
+    const decided = decide('await-3');
+    decision.complete();
+    await decided;
+    await settle();
+    assert.deepEqual(resumes, [{ runId: 'await-3', aborted: false, afterReview: true }]);
+});
+
+test('a finished run cannot be cancelled', () => {
+    createRun('done-1', { repoUrl: 'https://github.com/org/repo', teamName: 'T', leaderName: 'L' }, 'PASSED');
+    assert.equal(cancelRun('done-1'), false);
+    assert.equal(cancelRun('unknown'), false);
+});
+
+test('a cancellation that cannot be queued fails the run instead of leaving it queued', async () => {
+    awaitingRun('await-4');
+    settleFailure = new Error('state unreadable');
+
+    assert.equal(cancelRun('await-4'), true);
+    await settle();
+    assert.deepEqual(resumes, []);
+    assert.ok(!isCancelling('await-4'));
+    assert.equal(getRecord('await-4').status, 'FAILED');
+});
+
+test('runs beyond MAX_CONCURRENT_RUNS wait for a slot and start in order', async () => {
+    assert.equal(MAX_CONCURRENT_RUNS, 2);
+    const enqueue = () => enqueueRun({ repoUrl: 'https://github.com/org/repo', teamName: 'T', leaderName: 'L' });
+    const [first, second, third, fourth, fifth] = [enqueue(), enqueue(), enqueue(), enqueue(), enqueue()];
+
+    assert.deepEqual(started, [first, second]);
+    assert.equal(getRun(third).status, 'QUEUED');
+    assert.match(getRun(fifth).logs.at(-1), /position 3/);
+
+    // A queued run is dropped without ever starting
+    assert.equal(cancelRun(fourth), true);
+    assert.equal(getRecord(fourth).status, 'CANCELLED');
+
+    finishers.get(second)();
+    await settle();
+    assert.deepEqual(started, [first, second, third]);
+
+    finishers.get(first)();
+    await settle();
+    assert.deepEqual(started, [first, second, third, fifth]);
+
+    finishers.get(third)();
+    finishers.get(fifth)();
+    await settle();
+    assert.equal(getRecord(fifth).status, 'PASSED');
+});
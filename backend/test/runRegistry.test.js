@@ -0,0 +1,32 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRun, updateRun, getRun, listRuns, getLatestRun, subscribe } = require('../src/services/runRegistry');
+const { getRecord } = require('../src/services/runHistory');
+
+const details = (teamName) => ({ repoUrl: 'https://github.com/org/repo', teamName, leaderName: 'L' });
+
+test('a finished run leaves memory after its final event and is served from the history', () => {
+    createRun('reg-1', details('Registry'));
+    const events = [];
+    subscribe('reg-1', ({ type, data }) => events.push([type, type === 'status' ? data.status : null, Boolean(getRun('reg-1'))]));
+
+    updateRun('reg-1', { logs: ['Initializing Agent System...', 'done'] });
+    updateRun('reg-1', { status: 'PASSED', endTime: Date.now() });
+
+    // The subscriber saw every event while the run was still live
+    assert.deepEqual(events, [['log', null, true], ['status', 'PASSED', true]]);
+    assert.equal(getRun('reg-1'), null);
+    assert.equal(updateRun('reg-1', { logs: [] }), null);
+
+    assert.deepEqual(getRecord('reg-1').logs, ['Initializing Agent System...', 'done']);
+    assert.equal(listRuns({ team: 'Registry' })[0].runId, 'reg-1');
+    assert.equal(getLatestRun('Registry').runId, 'reg-1');
+});
+
+test('a live run is listed and outranks older finished runs', () => {
+    createRun('reg-2', { ...details('Registry'), startTime: Date.now() + 1000 });
+    assert.equal(getRun('reg-2').status, 'RUNNING');
+    assert.deepEqual(listRuns({ team: 'Registry' }).map(run => run.runId), ['reg-2', 'reg-1']);
+    assert.equal(getLatestRun('Registry').runId, 'reg-2');
+});
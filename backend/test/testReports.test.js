@@ -0,0 +1,156 @@
+const { tempDir } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseReports, resolveFailures, isTestFile } = require('../src/services/testReports');
+
+const report = (content) => ({ path: 'report', content: typeof content === 'string' ? content : JSON.stringify(content) });
+const byStatus = (results) => results.map(r => `${r.status}:${r.name}`);
+
+test('JUnit XML: nested suites, failures, errors and skips', () => {
+    const { formats, results } = parseReports([report(`<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="pytest">
+    <testsuite name="tests.test_calc">
+      <testcase classname="tests.test_calc" name="test_add" file="tests/test_calc.py" line="3"/>
+      <testcase classname="tests.test_calc" name="test_sub" line="7"><failure message="assert 1 == 2">Traceback
+  File "/app/calc.py", line 12, in sub</failure></testcase>
+      <testcase classname="tests.test_calc" name="test_div"><error>ZeroDivisionError</error></testcase>
+      <testcase classname="tests.test_calc" name="test_mul"><skipped/></testcase>
+    </testsuite>
+  </testsuite>
+</testsuites>`)]);
+
+    assert.deepEqual(formats, ['JUnit XML']);
+    assert.deepEqual(byStatus(results), ['passed:test_add', 'failed:test_sub', 'failed:test_div', 'skipped:test_mul']);
+    assert.equal(results[1].id, 'tests.test_calc::test_sub');
+    assert.equal(results[1].message, 'assert 1 == 2');
+    assert.equal(results[1].line, 7);
+    assert.equal(results[2].message, 'ZeroDivisionError');
+});
+
+test('Jest JSON: assertions plus suites that fail to run', () => {
+    const { formats, results } = parseReports([report({
+        numTotalTests: 2,
+        testResults: [
+            {
+                name: '/app/src/calc.test.js',
+                assertionResults: [
+                    { ancestorTitles: ['calc'], title: 'adds', fullName: 'calc adds', status: 'passed', failureMessages: [] },
+                    {
+                        ancestorTitles: ['calc'], title: 'subtracts', fullName: 'calc subtracts', status: 'failed',
+                        location: { line: 9 }, failureMessages: ['\u001b[31mError: expected 1\u001b[39m\n    at sub (/app/src/calc.js:4:11)']
+                    }
+                ]
+            },
+            { name: '/app/src/broken.test.js', status: 'failed', message: '\n  SyntaxError: Unexpected token', assertionResults: [] }
+        ]
+    })]);
+
+    assert.deepEqual(formats, ['Jest JSON']);
+    assert.deepEqual(byStatus(results), ['passed:adds', 'failed:subtracts', 'failed:(suite)']);
+    assert.equal(results[1].id, '/app/src/calc.test.js::calc subtracts');
+    assert.equal(results[1].suite, 'calc');
+    assert.equal(results[1].message, 'Error: expected 1');
+    assert.equal(results[1].line, 9);
+    assert.equal(results[2].message, 'SyntaxError: Unexpected token');
+});
+
+test('Mocha JSON: passes, failures and pending tests', () => {
+    const { results } = parseReports([report({
+        stats: {},
+        passes: [{ title: 'adds', fullTitle: 'calc adds', file: '/app/test/calc.js' }],
+        failures: [{ title: 'subtracts', fullTitle: 'calc subtracts', file: '/app/test/calc.js', err: { message: 'expected 1', stack: 'AssertionError: expected 1\n    at /app/lib/calc.js:4:11' } }],
+        pending: [{ title: 'divides', fullTitle: 'calc divides' }]
+    })]);
+
+    assert.deepEqual(byStatus(results), ['passed:adds', 'failed:subtracts', 'skipped:divides']);
+    assert.equal(results[1].suite, 'calc');
+    assert.equal(results[1].message, 'expected 1');
+});
+
+test('RSpec JSON: examples and load errors', () => {
+    const { results } = parseReports([report({
+        summary: { errors_outside_of_examples_count: 1 },
+        messages: ['An error occurred while loading ./spec/broken_spec.rb'],
+        examples: [
+            { description: 'adds', full_description: 'Calc adds', status: 'passed', file_path: './spec/calc_spec.rb', line_number: 3 },
+            {
+                description: 'subtracts', full_description: 'Calc subtracts', status: 'failed', file_path: './spec/calc_spec.rb', line_number: 7,
+                exception: { class: 'RSpec::Expectations::ExpectationNotMetError', message: 'expected 1', backtrace: ['./lib/calc.rb:4:in `sub\''] }
+            }
+        ]
+    })]);
+
+    assert.deepEqual(byStatus(results), ['passed:Calc adds', 'failed:Calc subtracts', 'failed:(load error)']);
+    assert.equal(results[1].suite, 'Calc');
+    assert.equal(results[1].message, 'RSpec::Expectations::ExpectationNotMetError: expected 1');
+    assert.equal(results[2].message, 'An error occurred while loading ./spec/broken_spec.rb');
+});
+
+test('go test -json: test events, panics and package build failures', () => {
+    const events = [
+        { Action: 'run', Package: 'example.com/calc', Test: 'TestAdd' },
+        { Action: 'pass', Package: 'example.com/calc', Test: 'TestAdd' },
+        { Action: 'run', Package: 'example.com/calc', Test: 'TestSub' },
+        { Action: 'output', Package: 'example.com/calc', Test: 'TestSub', Output: '=== RUN   TestSub\n' },
+        { Action: 'output', Package: 'example.com/calc', Test: 'TestSub', Output: '    calc_test.go:12: expected 1, got 2\n' },
+        { Action: 'fail', Package: 'example.com/calc', Test: 'TestSub' },
+        { Action: 'run', Package: 'example.com/calc', Test: 'TestDiv' },
+        { Action: 'output', Package: 'example.com/calc', Test: 'TestDiv', Output: 'panic: runtime error: integer divide by zero\n' },
+        { Action: 'fail', Package: 'example.com/calc' },
+        { Action: 'output', Package: 'example.com/api', Output: 'api/handler.go:5:2: undefined: foo\n' },
+        { Action: 'fail', Package: 'example.com/api' }
+    ];
+    const { formats, results } = parseReports([report(events.map(e => JSON.stringify(e)).join('\n'))]);
+
+    assert.deepEqual(formats, ['go test -json']);
+    assert.deepEqual(byStatus(results), ['passed:TestAdd', 'failed:TestSub', 'failed:TestDiv', 'failed:(package)']);
+    assert.equal(results[1].file, 'example.com/calc/calc_test.go');
+    assert.equal(results[1].line, 12);
+    assert.equal(results[1].message, 'calc_test.go:12: expected 1, got 2');
+    assert.equal(results[2].message, 'panic: runtime error: integer divide by zero');
+    assert.equal(results[3].id, 'example.com/api::(package)');
+});
+
+test('unknown and broken reports are skipped', () => {
+    const { formats, results } = parseReports([report('plain text output'), report('<testsuite><testcase')]);
+    assert.deepEqual(formats, []);
+    assert.deepEqual(results, []);
+});
+
+test('failures resolve to repository files and non-test stack frames', () => {
+    const repo = tempDir();
+    for (const file of ['src/calc.js', 'src/calc.test.js', 'lib/util.js', 'node_modules/dep/index.js', 'com/acme/Calc.java', 'com/acme/CalcTest.java']) {
+        fs.mkdirSync(path.join(repo, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(repo, file), '');
+    }
+
+    const [jsFailure, javaFailure] = resolveFailures(repo, 'node', [
+        { status: 'passed', stack: '' },
+        {
+            id: 'x', name: 'subtracts', file: '/app/src/calc.test.js', line: 9, status: 'failed',
+            stack: 'Error\n    at sub (/app/src/calc.js:4:11)\n    at helper (/app/node_modules/dep/index.js:1:1)\n    at /app/lib/util.js:2:3\n    at Object.<anonymous> (/app/src/calc.test.js:9:5)'
+        },
+        {
+            id: 'y', name: 'testSub', suite: 'com.acme.CalcTest', file: null, line: 0, status: 'failed',
+            stack: 'org.opentest4j.AssertionFailedError\n\tat com.acme.Calc.sub(Calc.java:12)\n\tat com.acme.CalcTest.testSub(CalcTest.java:20)'
+        }
+    ]);
+
+    assert.equal(jsFailure.engine, 'node');
+    assert.equal(jsFailure.testFile, 'src/calc.test.js');
+    assert.deepEqual(jsFailure.sourceFrames, [{ file: 'src/calc.js', line: 4 }, { file: 'lib/util.js', line: 2 }]);
+    assert.equal(javaFailure.testFile, 'com/acme/CalcTest.java');
+    assert.deepEqual(javaFailure.sourceFrames, [{ file: 'com/acme/Calc.java', line: 12 }]);
+});
+
+test('test files are told apart from the code under test', () => {
+    for (const file of ['src/calc.test.js', 'tests/test_calc.py', 'calc_test.go', 'spec/calc_spec.rb', 'src/test/java/CalcTest.java']) {
+        assert.ok(isTestFile(file), file);
+    }
+    for (const file of ['src/calc.js', 'calc.py', 'lib/calc.rb', 'src/main/java/Calc.java']) {
+        assert.ok(!isTestFile(file), file);
+    }
+});
@@ -0,0 +1,26 @@
+// Checks that every backend route the frontend calls (src/api/endpoints.js)
+// exists in the backend's OpenAPI document.
+//
+//   npm run check:api                      # fetches $VITE_BACKEND_URL/api/openapi.json
+//   npm run check:api -- ./openapi.json    # or checks a saved copy
+import { readFile } from 'node:fs/promises';
+import { ENDPOINTS } from '../src/api/endpoints.js';
+
+const source = process.argv[2]
+    || `${process.env.VITE_BACKEND_URL || 'http://localhost:3000'}/api/openapi.json`;
+
+const doc = source.startsWith('http')
+    ? await (await fetch(source)).json()
+    : JSON.parse(await readFile(source, 'utf8'));
+
+let missing = 0;
+for (const [name, { method, path }] of Object.entries(ENDPOINTS)) {
+    if (doc.paths?.[path]?.[method]) {
+        console.log(`✓ ${name}: ${method.toUpperCase()} ${path}`);
+    } else {
+        console.error(`✗ ${name}: ${method.toUpperCase()} ${path} is not in the backend API`);
+        missing++;
+    }
+}
+
+process.exit(missing > 0 ? 1 : 0);
@@ -1,10 +1,79 @@
 import axios from 'axios';
+import { ENDPOINTS, buildPath } from './endpoints';
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
+
+// Per-team API key issued by the backend admin (POST /api/keys). Entered by the
+// user and kept for the browser session only — never built into the bundle.
+const API_KEY_STORAGE = 'autoheal.apiKey';
+
+export const getApiKey = () => sessionStorage.getItem(API_KEY_STORAGE) || '';
+
+export const setApiKey = (key) => {
+    if (key) sessionStorage.setItem(API_KEY_STORAGE, key.trim());
+    else sessionStorage.removeItem(API_KEY_STORAGE);
+};
+
+const authHeaders = () => {
+    const key = getApiKey();
+    return key ? { Authorization: `Bearer ${key}` } : {};
+};
 
 const client = axios.create({
-    baseURL: import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000',
-    headers: {
-        'Content-Type': 'application/json',
-    },
+    baseURL: BACKEND_URL,
+    headers: { 'Content-Type': 'application/json' },
 });
 
+client.interceptors.request.use((config) => {
+    Object.entries(authHeaders()).forEach(([name, value]) => config.headers.set(name, value));
+    return config;
+});
+
+export const api = {
+    runAgent: (body) => client.post(buildPath(ENDPOINTS.runAgent), body),
+    getRun: (id) => client.get(buildPath(ENDPOINTS.getRun, { id })),
+    cancelRun: (id) => client.post(buildPath(ENDPOINTS.cancelRun, { id })),
+    decideFix: (id, issueId, body) => client.post(buildPath(ENDPOINTS.decideFix, { id, issueId }), body),
+    runArtifacts: (id) => client.get(buildPath(ENDPOINTS.runArtifacts, { id }), { responseType: 'blob' }),
+    runArtifact: (id, name) => client.get(buildPath(ENDPOINTS.runArtifact, { id, name }), { responseType: 'blob' }),
+    latestResults: () => client.get(buildPath(ENDPOINTS.latestResults)),
+};
+
+/**
+ * Follows a run's Server-Sent Events stream. EventSource cannot send headers,
+ * so the stream is read with fetch and the key goes in the Authorization header.
+ * Resolves when the server ends the stream; rejects when it cannot be opened,
+ * breaks or is aborted through `signal`.
+ * @param {string} runId
+ * @param {(type: string, data: object) => void} onEvent
+ * @param {AbortSignal} signal
+ */
+export const streamRunEvents = async (runId, onEvent, signal) => {
+    const response = await fetch(`${BACKEND_URL}${buildPath(ENDPOINTS.runEvents, { id: runId })}`, {
+        headers: { Accept: 'text/event-stream', ...authHeaders() },
+        signal,
+    });
+    if (!response.ok || !response.body) throw new Error(`Event stream failed: HTTP ${response.status}`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            let type = 'message';
+            const data = [];
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) type = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+            }
+            if (data.length > 0) onEvent(type, JSON.parse(data.join('\n')));
+        }
+    }
+};
+
 export default client;
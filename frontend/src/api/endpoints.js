@@ -0,0 +1,15 @@
+// Backend routes used by the frontend, in the backend's OpenAPI path syntax.
+// `npm run check:api` verifies them against GET /api/openapi.json.
+export const ENDPOINTS = {
+    runAgent: { method: 'post', path: '/api/run-agent' },
+    getRun: { method: 'get', path: '/api/runs/{id}' },
+    runEvents: { method: 'get', path: '/api/runs/{id}/events' },
+    cancelRun: { method: 'post', path: '/api/runs/{id}/cancel' },
+    decideFix: { method: 'post', path: '/api/runs/{id}/fixes/{issueId}/decision' },
+    runArtifacts: { method: 'get', path: '/api/runs/{id}/artifacts.zip' },
+    runArtifact: { method: 'get', path: '/api/runs/{id}/artifacts/{name}' },
+    latestResults: { method: 'get', path: '/api/results' },
+};
+
+export const buildPath = (endpoint, params = {}) =>
+    endpoint.path.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(params[key]));
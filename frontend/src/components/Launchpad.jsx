@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useRunStore from '../store/runStore';
-import { Play, Link as LinkIcon, Users, User, Bolt, Activity, Terminal, Shield } from 'lucide-react';
-import axios from 'axios';
+import { Play, Link as LinkIcon, Users, User, Bolt, Activity, Terminal, Shield, FileDiff, UserCheck, KeyRound } from 'lucide-react';
+import { api, getApiKey, setApiKey } from '../api/client';
 
 const Launchpad = () => {
     const navigate = useNavigate();
@@ -11,13 +11,18 @@ const Launchpad = () => {
     const [formData, setFormData] = useState({
         repoUrl: '',
         teamName: '',
-        leaderName: ''
+        leaderName: '',
+        dryRun: false,
+        requireApproval: false
     });
+    // Kept apart from formData: it goes in the Authorization header, never the request body
+    const [apiKey, setApiKeyInput] = useState(getApiKey);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
 
     const handleChange = (e) => {
-        setFormData({ ...formData, [e.target.name]: e.target.value });
+        const { name, type, checked, value } = e.target;
+        setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
     };
 
     const handleSubmit = async (e) => {
@@ -26,13 +31,22 @@ const Launchpad = () => {
         setIsLoading(true);
 
         try {
+            setApiKey(apiKey);
             setFormDetails(formData);
             startRun();
 
-            const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
             try {
-                await axios.post(`${backendUrl}/api/run-agent`, formData);
+                // The backend derives the team from the API key and echoes it back
+                // Unchecked, approval is left to the repository's .autoheal.yml
+                const response = await api.runAgent({ ...formData, requireApproval: formData.requireApproval || undefined });
+                setFormDetails({ runId: response.data.runId, teamName: response.data.teamName });
             } catch (err) {
+                // The backend rejected the input (4xx): show why instead of opening the dashboard
+                const { status, data } = err.response || {};
+                if (status >= 400 && status < 500) {
+                    setError([data?.error, ...(data?.details || [])].filter(Boolean).join(' — ') || 'Request rejected by backend.');
+                    return;
+                }
                 console.warn("Backend might not be ready, proceeding to dashboard anyway for demo", err);
             }
 
@@ -111,6 +125,24 @@ const Launchpad = () => {
                                         </div>
                                     </div>
 
+                                    {/* Input: API Key (session storage only) */}
+                                    <div className="group space-y-2">
+                                        <label className="text-sm font-semibold text-slate-300 ml-1">Team API Key</label>
+                                        <div className="relative rounded-xl transition-all border border-border-dark bg-slate-900/50 focus-within:ring-2 focus-within:ring-primary/40 focus-within:border-primary">
+                                            <KeyRound className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-500" />
+                                            <input
+                                                className="w-full bg-transparent border-none rounded-xl py-4 pl-12 pr-4 text-white placeholder:text-slate-600 focus:ring-0 focus:outline-none transition-all"
+                                                placeholder="ahk_..."
+                                                type="password"
+                                                name="apiKey"
+                                                autoComplete="off"
+                                                required
+                                                value={apiKey}
+                                                onChange={(e) => setApiKeyInput(e.target.value)}
+                                            />
+                                        </div>
+                                    </div>
+
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                         {/* Input: Team Name */}
                                         <div className="group space-y-2">
@@ -145,6 +177,40 @@ const Launchpad = () => {
                                             </div>
                                         </div>
                                     </div>
+
+                                    {/* Toggle: Dry Run */}
+                                    <label className="flex items-start gap-3 p-4 rounded-xl border border-border-dark bg-slate-900/50 cursor-pointer hover:border-primary/50 transition-all">
+                                        <input
+                                            type="checkbox"
+                                            name="dryRun"
+                                            checked={formData.dryRun}
+                                            onChange={handleChange}
+                                            className="mt-1 w-4 h-4 accent-primary"
+                                        />
+                                        <div className="text-sm">
+                                            <span className="flex items-center gap-2 font-semibold text-slate-300">
+                                                <FileDiff className="w-4 h-4 text-slate-500" /> Dry run (patch only)
+                                            </span>
+                                            <span className="text-text-muted-dark">Heal as usual, but never commit or push — download the fixes as a patch to review.</span>
+                                        </div>
+                                    </label>
+
+                                    {/* Toggle: Require Approval */}
+                                    <label className="flex items-start gap-3 p-4 rounded-xl border border-border-dark bg-slate-900/50 cursor-pointer hover:border-primary/50 transition-all">
+                                        <input
+                                            type="checkbox"
+                                            name="requireApproval"
+                                            checked={formData.requireApproval}
+                                            onChange={handleChange}
+                                            className="mt-1 w-4 h-4 accent-primary"
+                                        />
+                                        <div className="text-sm">
+                                            <span className="flex items-center gap-2 font-semibold text-slate-300">
+                                                <UserCheck className="w-4 h-4 text-slate-500" /> Require approval
+                                            </span>
+                                            <span className="text-text-muted-dark">Pause before committing — approve or reject each fix's diff on the dashboard; rejected fixes are reverted.</span>
+                                        </div>
+                                    </label>
                                 </div>
 
                                 {/* CTA Button */}
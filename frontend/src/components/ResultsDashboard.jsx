@@ -5,44 +5,84 @@ import {
     FileText, Terminal, ArrowLeft, Shield, Zap,
     Settings, Search, Plus, User, BarChart2, Play,
     Check, RefreshCcw, DownloadCloud, Activity,
-    Code, GitBranch, Clock
+    Code, GitBranch, Clock, XCircle, FileDiff, AlertTriangle, UserCheck
 } from 'lucide-react';
-import axios from 'axios';
+import { api, streamRunEvents } from '../api/client';
+
+const TERMINAL_STATUSES = ['PASSED', 'FAILED', 'CANCELLED', 'INTERRUPTED', 'BUDGET_EXCEEDED'];
+// Terminal statuses shown in red
+const FAILED_STATUSES = ['FAILED', 'CANCELLED', 'INTERRUPTED', 'BUDGET_EXCEEDED'];
 
 const ResultsDashboard = () => {
     const navigate = useNavigate();
     const {
-        repoUrl, teamName, leaderName, branchName, status, logs, fixes,
-        iterations, filesScanned, startTime, endTime, detectedEngines,
-        updateFromBackend, startRun
+        repoUrl, teamName, leaderName, dryRun, requireApproval, patchArtifact, branchName, status, logs, fixes,
+        iterations, filesScanned, startTime, endTime, detectedEngines, engineResults, flakyTests, llmUsage, budgetExceeded, approval,
+        runId, updateFromBackend, addLog, upsertFix, startRun, setFormDetails
     } = useRunStore();
 
     const [isReRunning, setIsReRunning] = useState(false);
+    const [isCancelling, setIsCancelling] = useState(false);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [isDownloadingPatch, setIsDownloadingPatch] = useState(false);
+    const [decidingFix, setDecidingFix] = useState(null);
+    const [reviewComments, setReviewComments] = useState({});
+    const isActive = status === 'RUNNING' || status === 'QUEUED' || status === 'AWAITING_APPROVAL';
+    const isAwaitingApproval = status === 'AWAITING_APPROVAL';
 
-    // Mock polling strictly for demo if no backend connection
+    // Live updates: SSE stream for our run, polling only as a fallback
     useEffect(() => {
-        const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
-        const interval = setInterval(async () => {
-            try {
-                const response = await fetch(`${backendUrl}/api/results`);
-                if (response.ok) {
-                    const data = await response.json();
-                    updateFromBackend(data);
+        let interval = null;
+        let controller = null;
+
+        const startPolling = () => {
+            if (interval) return;
+            interval = setInterval(async () => {
+                try {
+                    // Follow our own run when we know its ID, otherwise fall back to the latest run
+                    const response = runId ? await api.getRun(runId) : await api.latestResults();
+                    updateFromBackend(response.data);
+                } catch (e) {
+                    // Keep store state
                 }
-            } catch (e) {
-                // Keep store state
-            }
-        }, 2000);
-        return () => clearInterval(interval);
-    }, [updateFromBackend]);
+            }, 2000);
+        };
+
+        if (runId) {
+            controller = new AbortController();
+            const handlers = {
+                snapshot: updateFromBackend,
+                log: ({ line }) => addLog(line),
+                logs: updateFromBackend,
+                update: updateFromBackend,
+                issue: ({ issue }) => upsertFix(issue),
+                status: updateFromBackend,
+            };
+            let finished = false;
+            streamRunEvents(runId, (type, data) => {
+                if (handlers[type]) handlers[type](data);
+                if ((type === 'snapshot' || type === 'status') && TERMINAL_STATUSES.includes(data.status)) finished = true;
+            }, controller.signal)
+                // The stream ends with the run; anything else falls back to polling
+                .then(() => { if (!finished) startPolling(); })
+                .catch(() => { if (!controller.signal.aborted) startPolling(); });
+        } else {
+            startPolling();
+        }
+
+        return () => {
+            if (controller) controller.abort();
+            clearInterval(interval);
+        };
+    }, [runId, updateFromBackend, addLog, upsertFix]);
 
     const handleReRun = async () => {
         if (!repoUrl || !teamName || !leaderName) return;
         setIsReRunning(true);
         startRun();
         try {
-            const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
-            await axios.post(`${backendUrl}/api/run-agent`, { repoUrl, teamName, leaderName });
+            const response = await api.runAgent({ repoUrl, teamName, leaderName, dryRun, requireApproval: requireApproval || undefined });
+            setFormDetails({ runId: response.data.runId, teamName: response.data.teamName });
         } catch (err) {
             console.warn('Re-run request failed, backend may be busy.', err);
         } finally {
@@ -50,6 +90,69 @@ const ResultsDashboard = () => {
         }
     };
 
+    const handleCancel = async () => {
+        if (!runId) return;
+        setIsCancelling(true);
+        try {
+            await api.cancelRun(runId);
+        } catch (err) {
+            console.warn('Cancel request failed, run may have already finished.', err);
+        } finally {
+            setIsCancelling(false);
+        }
+    };
+
+    // Approval mode: one decision per fix; the run commits once every fix has one
+    const handleDecision = async (issueId, decision) => {
+        if (!runId) return;
+        setDecidingFix(issueId);
+        try {
+            const comment = (reviewComments[issueId] || '').trim();
+            await api.decideFix(runId, issueId, { decision, ...(comment ? { comment } : {}) });
+        } catch (err) {
+            console.warn('Decision request failed, the review may have ended.', err);
+        } finally {
+            setDecidingFix(null);
+        }
+    };
+
+    // The archive needs the API key header, so fetch it as a blob instead of linking to it
+    const handleDownload = async () => {
+        if (!runId) return;
+        setIsDownloading(true);
+        try {
+            const response = await api.runArtifacts(runId);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `autoheal-${runId}.zip`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.warn('Artifact download failed, nothing may be archived yet.', err);
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    const handleDownloadPatch = async () => {
+        if (!runId || !patchArtifact) return;
+        setIsDownloadingPatch(true);
+        try {
+            const response = await api.runArtifact(runId, patchArtifact);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `autoheal-${runId}.patch`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.warn('Patch download failed.', err);
+        } finally {
+            setIsDownloadingPatch(false);
+        }
+    };
+
     const calculateScore = () => {
         const totalIssues = fixes.length;
         const totalFixed = fixes.filter(f => f.status === 'FIXED' || f.status === 'APPLIED').length;
@@ -142,15 +245,24 @@ const ResultsDashboard = () => {
                                 </div>
                                 <button
                                     onClick={handleReRun}
-                                    disabled={isReRunning || status === 'RUNNING'}
+                                    disabled={isReRunning || isActive}
                                     className="w-full bg-primary hover:bg-blue-600 disabled:bg-slate-700 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold text-sm flex items-center justify-center transition-all shadow-lg shadow-blue-500/20 mt-4 group"
                                 >
-                                    {isReRunning || status === 'RUNNING' ? (
-                                        <><RefreshCcw className="w-4 h-4 mr-2 animate-spin" /> RUNNING...</>
+                                    {isReRunning || isActive ? (
+                                        <><RefreshCcw className="w-4 h-4 mr-2 animate-spin" /> {status === 'QUEUED' ? 'QUEUED...' : 'RUNNING...'}</>
                                     ) : (
                                         <><Play className="w-4 h-4 mr-2 group-hover:animate-pulse fill-white" /> RE-RUN AGENT</>
                                     )}
                                 </button>
+                                {isActive && runId && (
+                                    <button
+                                        onClick={handleCancel}
+                                        disabled={isCancelling}
+                                        className="w-full bg-transparent border border-accent-red/40 hover:bg-accent-red/10 disabled:opacity-50 disabled:cursor-not-allowed text-accent-red py-3 rounded-lg font-semibold text-sm flex items-center justify-center transition-all"
+                                    >
+                                        <XCircle className="w-4 h-4 mr-2" /> {isCancelling ? 'CANCELLING...' : 'CANCEL RUN'}
+                                    </button>
+                                )}
                             </div>
                         </div>
 
@@ -163,10 +275,10 @@ const ResultsDashboard = () => {
                                 </div>
                                 <span className={`px-2 py-1 rounded text-xs font-bold uppercase border ${effectiveStatus === 'PASSED' ? 'bg-accent-green/10 text-accent-green border-accent-green/20' :
                                     effectiveStatus === 'PARTIAL' ? 'bg-amber-500/10 text-amber-400 border-amber-500/20' :
-                                        effectiveStatus === 'FAILED' ? 'bg-accent-red/10 text-accent-red border-accent-red/20' :
+                                        FAILED_STATUSES.includes(effectiveStatus) ? 'bg-accent-red/10 text-accent-red border-accent-red/20' :
                                             'bg-blue-500/10 text-blue-400 border-blue-500/20'
                                     }`}>
-                                    {effectiveStatus === 'RUNNING' ? 'SCANNING' : effectiveStatus === 'IDLE' ? 'WAITING' : effectiveStatus === 'PARTIAL' ? 'PARTIAL FIX' : effectiveStatus}
+                                    {effectiveStatus === 'RUNNING' ? 'SCANNING' : effectiveStatus === 'IDLE' ? 'WAITING' : effectiveStatus === 'PARTIAL' ? 'PARTIAL FIX' : effectiveStatus === 'BUDGET_EXCEEDED' ? 'OVER BUDGET' : effectiveStatus === 'AWAITING_APPROVAL' ? 'AWAITING APPROVAL' : effectiveStatus}
                                 </span>
                             </div>
                             <div className="space-y-4">
@@ -181,12 +293,33 @@ const ResultsDashboard = () => {
                                         })()}
                                     </span>
                                 </div>
+                                {dryRun && (
+                                    <div className="flex justify-between items-center border-b border-slate-800 pb-4">
+                                        <span className="text-text-muted-dark text-sm">Mode</span>
+                                        <span className="text-amber-400 font-mono font-bold text-sm">DRY RUN — PATCH ONLY</span>
+                                    </div>
+                                )}
                                 {detectedEngines && (
                                     <div className="flex justify-between items-center border-b border-slate-800 pb-4">
                                         <span className="text-text-muted-dark text-sm">Tech Stack</span>
                                         <span className="text-secondary-cyan font-mono font-bold text-sm">{detectedEngines}</span>
                                     </div>
                                 )}
+                                {engineResults && engineResults.length > 0 && (
+                                    <div className="border-b border-slate-800 pb-4 space-y-2">
+                                        <span className="text-text-muted-dark text-sm">Last Test Run</span>
+                                        {engineResults.map(result => (
+                                            <div key={result.engine} className="flex justify-between items-center text-xs font-mono">
+                                                <span className={result.success ? 'text-accent-green' : 'text-accent-red'}>
+                                                    {result.success ? '✓' : '✗'} {result.engine}
+                                                    {result.counts && result.counts.failed > 0 ? ` (${result.counts.failed} failing)` : ''}
+                                                    {result.counts && result.counts.flaky > 0 ? ` (${result.counts.flaky} flaky)` : ''}
+                                                </span>
+                                                <span className="text-slate-400">{(result.durationMs / 1000).toFixed(1)}s</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
                                 <div className="flex justify-between items-center border-b border-slate-800 pb-4">
                                     <span className="text-text-muted-dark text-sm">Iterations</span>
                                     <span className="text-accent-red font-mono font-bold text-lg">{iterations}</span>
@@ -195,13 +328,27 @@ const ResultsDashboard = () => {
                                     <span className="text-text-muted-dark text-sm">Automated Fixes</span>
                                     <span className="text-accent-green font-mono font-bold text-lg">{fixes.length}</span>
                                 </div>
+                                {llmUsage && llmUsage.calls > 0 && (
+                                    <div className="border-b border-slate-800 pb-4 space-y-1">
+                                        <div className="flex justify-between items-center">
+                                            <span className="text-text-muted-dark text-sm">LLM Usage</span>
+                                            <span className="text-white font-mono font-bold text-sm">${llmUsage.costUsd.toFixed(4)}</span>
+                                        </div>
+                                        <div className="text-xs font-mono text-slate-400">
+                                            {llmUsage.calls} call(s) · {llmUsage.promptTokens.toLocaleString()} prompt + {llmUsage.completionTokens.toLocaleString()} completion tokens
+                                        </div>
+                                        {budgetExceeded && (
+                                            <div className="text-xs font-mono text-accent-red">Budget exceeded: {budgetExceeded}</div>
+                                        )}
+                                    </div>
+                                )}
                                 <div className="flex justify-between items-center pt-1">
                                     <span className="text-text-muted-dark text-sm">Agent Status</span>
                                     <div className={`flex items-center font-bold text-sm tracking-wider uppercase ${effectiveStatus === 'PASSED' ? 'text-accent-green' :
                                         effectiveStatus === 'PARTIAL' ? 'text-amber-400' :
-                                            effectiveStatus === 'FAILED' ? 'text-accent-red' : 'text-primary'
+                                            FAILED_STATUSES.includes(effectiveStatus) ? 'text-accent-red' : 'text-primary'
                                         }`}>
-                                        {{ PASSED: 'COMPLETED', PARTIAL: 'PARTIAL FIX', FAILED: 'FAILED', RUNNING: 'SCANNING', IDLE: 'WAITING' }[effectiveStatus] || effectiveStatus || 'SCANNING'}
+                                        {{ PASSED: 'COMPLETED', PARTIAL: 'PARTIAL FIX', FAILED: 'FAILED', RUNNING: 'SCANNING', IDLE: 'WAITING', QUEUED: 'QUEUED', CANCELLED: 'CANCELLED', INTERRUPTED: 'INTERRUPTED', BUDGET_EXCEEDED: 'OVER BUDGET', AWAITING_APPROVAL: 'AWAITING APPROVAL' }[effectiveStatus] || effectiveStatus || 'SCANNING'}
                                         <span className="relative flex h-2 w-2 ml-2">
                                             <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-blue-400 opacity-75"></span>
                                             <span className="relative inline-flex rounded-full h-2 w-2 bg-primary"></span>
@@ -299,6 +446,92 @@ const ResultsDashboard = () => {
                             </div>
                         </div>
 
+                        {/* Fix Review: approval mode, nothing is committed until every fix is decided */}
+                        {approval && approval.fixes.length > 0 && (
+                            <div className="bg-card-dark rounded-xl border border-border-dark shadow-sm overflow-hidden">
+                                <div className="p-6 border-b border-border-dark flex justify-between items-center">
+                                    <div className="flex items-center space-x-2 text-primary">
+                                        <UserCheck className="w-5 h-5" />
+                                        <h2 className="text-lg font-semibold text-white">Fix Review</h2>
+                                    </div>
+                                    <span className="text-xs text-text-muted-dark">
+                                        {isAwaitingApproval
+                                            ? `${approval.fixes.filter(fix => !fix.decision).length} of ${approval.fixes.length} awaiting a decision`
+                                            : 'Review complete'}
+                                    </span>
+                                </div>
+                                <div className="divide-y divide-slate-800">
+                                    {approval.fixes.map(fix => (
+                                        <div key={fix.fingerprint} className="p-6 space-y-3">
+                                            <div className="flex justify-between items-center gap-4">
+                                                <div className="font-mono text-sm text-white flex items-center gap-2">
+                                                    <FileText className="w-4 h-4 opacity-40 text-primary" />
+                                                    {fix.file}
+                                                    <span className="text-[10px] font-sans text-slate-400">{fix.type}</span>
+                                                    {fix.engine && (
+                                                        <span className="text-[10px] font-sans text-secondary-cyan opacity-70">{fix.engine}</span>
+                                                    )}
+                                                </div>
+                                                {fix.decision && (
+                                                    <span className={`px-2 py-1 rounded text-xs font-bold uppercase border ${fix.decision === 'approve'
+                                                        ? 'bg-accent-green/10 text-accent-green border-accent-green/20'
+                                                        : 'bg-accent-red/10 text-accent-red border-accent-red/20'}`}
+                                                    >
+                                                        {fix.decision === 'approve' ? 'Approved' : 'Rejected'}
+                                                    </span>
+                                                )}
+                                            </div>
+                                            <p className="text-xs text-text-muted-dark">{fix.description}</p>
+                                            <pre className="bg-slate-900/70 rounded-lg p-4 text-xs font-mono overflow-x-auto max-h-80">
+                                                {fix.diff.split('\n').map((line, idx) => (
+                                                    <div
+                                                        key={idx}
+                                                        className={line.startsWith('+') && !line.startsWith('+++') ? 'text-accent-green'
+                                                            : line.startsWith('-') && !line.startsWith('---') ? 'text-accent-red'
+                                                                : line.startsWith('@@') ? 'text-secondary-cyan' : 'text-slate-400'}
+                                                    >
+                                                        {line || ' '}
+                                                    </div>
+                                                ))}
+                                            </pre>
+                                            {fix.diffTruncated && (
+                                                <p className="text-xs text-amber-400">Diff truncated — the full diff is in the run's artifacts ({fix.diffArtifact}).</p>
+                                            )}
+                                            {fix.comment && (
+                                                <p className="text-xs text-text-muted-dark italic">“{fix.comment}”</p>
+                                            )}
+                                            {isAwaitingApproval && (
+                                                <div className="flex items-center gap-3">
+                                                    <input
+                                                        type="text"
+                                                        maxLength={500}
+                                                        placeholder="Comment (optional)"
+                                                        value={reviewComments[fix.fingerprint] || ''}
+                                                        onChange={(e) => setReviewComments({ ...reviewComments, [fix.fingerprint]: e.target.value })}
+                                                        className="flex-grow bg-slate-900/50 border border-border-dark rounded-lg px-3 py-2 text-xs text-white focus:outline-none focus:border-primary"
+                                                    />
+                                                    <button
+                                                        onClick={() => handleDecision(fix.fingerprint, 'approve')}
+                                                        disabled={decidingFix !== null}
+                                                        className="bg-accent-green/10 border border-accent-green/40 hover:bg-accent-green/20 disabled:opacity-50 disabled:cursor-not-allowed text-accent-green px-4 py-2 rounded-lg font-semibold text-xs flex items-center"
+                                                    >
+                                                        <Check className="w-4 h-4 mr-1" /> APPROVE
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDecision(fix.fingerprint, 'reject')}
+                                                        disabled={decidingFix !== null}
+                                                        className="bg-accent-red/10 border border-accent-red/40 hover:bg-accent-red/20 disabled:opacity-50 disabled:cursor-not-allowed text-accent-red px-4 py-2 rounded-lg font-semibold text-xs flex items-center"
+                                                    >
+                                                        <XCircle className="w-4 h-4 mr-1" /> REJECT
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Fixes Applied */}
                         <div className="bg-card-dark rounded-xl border border-border-dark shadow-sm overflow-hidden">
                             <div className="p-6 border-b border-border-dark flex justify-between items-center">
@@ -306,9 +539,24 @@ const ResultsDashboard = () => {
                                     <Zap className="w-5 h-5" />
                                     <h2 className="text-lg font-semibold text-white">Fixes Applied</h2>
                                 </div>
-                                <button className="text-primary text-sm font-medium hover:underline flex items-center gap-1">
-                                    Download Log <DownloadCloud className="w-4 h-4" />
-                                </button>
+                                <div className="flex items-center gap-4">
+                                    {patchArtifact && (
+                                        <button
+                                            onClick={handleDownloadPatch}
+                                            disabled={isDownloadingPatch}
+                                            className="text-amber-400 text-sm font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline flex items-center gap-1"
+                                        >
+                                            {isDownloadingPatch ? 'Downloading...' : 'Download Patch'} <FileDiff className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={handleDownload}
+                                        disabled={!runId || isDownloading}
+                                        className="text-primary text-sm font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline flex items-center gap-1"
+                                    >
+                                        {isDownloading ? 'Downloading...' : 'Download Log'} <DownloadCloud className="w-4 h-4" />
+                                    </button>
+                                </div>
                             </div>
                             <div className="overflow-x-auto">
                                 <table className="w-full text-left text-sm text-text-muted-dark">
@@ -336,6 +584,9 @@ const ResultsDashboard = () => {
                                                 const s = (fix.status || '').toLowerCase();
                                                 const isFixed = s === 'fixed' || s === 'applied';
                                                 const isFailed = s.startsWith('failed');
+                                                const isReverted = s === 'reverted_regression';
+                                                const isFlaky = s === 'flaky';
+                                                const isRejected = s === 'rejected';
                                                 const isOpen = s === 'open' || s === 'in_progress' || s === '';
 
                                                 const typeBadge =
@@ -351,6 +602,9 @@ const ResultsDashboard = () => {
                                                         <td className="px-6 py-4 font-mono text-white flex items-center gap-2">
                                                             <FileText className="w-4 h-4 opacity-40 text-primary" />
                                                             {fix.file}
+                                                            {fix.engine && (
+                                                                <span className="text-[10px] font-sans text-secondary-cyan opacity-70">{fix.engine}</span>
+                                                            )}
                                                         </td>
                                                         <td className="px-6 py-4">
                                                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded text-[10px] font-bold border ${typeBadge}`}>
@@ -361,12 +615,15 @@ const ResultsDashboard = () => {
                                                         <td className="px-6 py-4 font-mono text-xs opacity-60">
                                                             <div className="flex items-center gap-1">
                                                                 <Terminal className="w-3 h-3" />
-                                                                {fix.commitMessage ? fix.commitMessage.substring(0, 12) : (isFixed ? 'committed' : '—')}
+                                                                {fix.commitMessage ? fix.commitMessage.substring(0, 12) : fix.diffArtifact ? 'patch only' : (isFixed ? 'committed' : '—')}
                                                             </div>
                                                         </td>
                                                         <td className="px-6 py-4 text-right">
                                                             {isFixed && (
-                                                                <div className="inline-flex items-center text-accent-green font-medium gap-2 text-sm">
+                                                                <div
+                                                                    className="inline-flex items-center text-accent-green font-medium gap-2 text-sm"
+                                                                    title={fix.verification ? `Verified: ${fix.verification}` : undefined}
+                                                                >
                                                                     <span className="w-1.5 h-1.5 rounded-full bg-accent-green shadow-[0_0_8px_rgba(16,185,129,0.5)]"></span>
                                                                     Fixed
                                                                 </div>
@@ -378,9 +635,39 @@ const ResultsDashboard = () => {
                                                                 </div>
                                                             )}
                                                             {isFailed && (
-                                                                <div className="inline-flex items-center text-accent-red font-medium gap-2 text-sm">
+                                                                <div
+                                                                    className="inline-flex items-center text-accent-red font-medium gap-2 text-sm"
+                                                                    title={fix.verification ? `Rolled back: ${fix.verification}` : undefined}
+                                                                >
                                                                     <span className="w-1.5 h-1.5 rounded-full bg-accent-red"></span>
-                                                                    Failed
+                                                                    {s === 'failed_verification' ? 'Failed verification' : 'Failed'}
+                                                                </div>
+                                                            )}
+                                                            {isReverted && (
+                                                                <div
+                                                                    className="inline-flex items-center text-amber-400 font-medium gap-2 text-sm"
+                                                                    title={fix.regressedTests && fix.regressedTests.length > 0 ? `Broke: ${fix.regressedTests.join(', ')}` : 'Reverted with another fix to the same file'}
+                                                                >
+                                                                    <span className="w-1.5 h-1.5 rounded-full bg-amber-400"></span>
+                                                                    Reverted (regression)
+                                                                </div>
+                                                            )}
+                                                            {isFlaky && (
+                                                                <div
+                                                                    className="inline-flex items-center text-slate-400 font-medium gap-2 text-sm"
+                                                                    title="Its failing tests passed on a retry; see Flaky Tests"
+                                                                >
+                                                                    <span className="w-1.5 h-1.5 rounded-full bg-slate-400"></span>
+                                                                    Skipped (flaky)
+                                                                </div>
+                                                            )}
+                                                            {isRejected && (
+                                                                <div
+                                                                    className="inline-flex items-center text-amber-400 font-medium gap-2 text-sm"
+                                                                    title="Rejected in review (or shares a file with a rejected fix); reverted before committing"
+                                                                >
+                                                                    <span className="w-1.5 h-1.5 rounded-full bg-amber-400"></span>
+                                                                    Rejected
                                                                 </div>
                                                             )}
                                                         </td>
@@ -397,6 +684,44 @@ const ResultsDashboard = () => {
                                 </span>
                             </div>
                         </div>
+
+                        {/* Flaky Tests: failed, then passed on a retry; never handed to the Solver */}
+                        {flakyTests && flakyTests.length > 0 && (
+                            <div className="bg-card-dark rounded-xl border border-border-dark shadow-sm overflow-hidden">
+                                <div className="p-6 border-b border-border-dark flex justify-between items-center">
+                                    <div className="flex items-center space-x-2 text-amber-400">
+                                        <AlertTriangle className="w-5 h-5" />
+                                        <h2 className="text-lg font-semibold text-white">Flaky Tests</h2>
+                                    </div>
+                                    <span className="text-xs text-text-muted-dark">Not fixed — quarantine or stabilise them</span>
+                                </div>
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-left text-sm text-text-muted-dark">
+                                        <thead className="bg-slate-800/30 text-xs uppercase font-semibold text-text-muted-dark border-b border-border-dark">
+                                            <tr>
+                                                <th className="px-6 py-4">Test</th>
+                                                <th className="px-6 py-4">File</th>
+                                                <th className="px-6 py-4 text-right">Passed On</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-slate-800">
+                                            {flakyTests.map(test => (
+                                                <tr key={`${test.engine}::${test.id}`} className="hover:bg-slate-800/20 transition-colors">
+                                                    <td className="px-6 py-4 text-white" title={test.message || undefined}>
+                                                        {test.name}
+                                                        <span className="ml-2 text-[10px] text-secondary-cyan opacity-70">{test.engine}</span>
+                                                    </td>
+                                                    <td className="px-6 py-4 font-mono text-xs">{test.file || '—'}</td>
+                                                    <td className="px-6 py-4 text-right font-mono text-xs">
+                                                        retry {test.retry} · iteration {test.iteration}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
                     </div>
                 </div>
 
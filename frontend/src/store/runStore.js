@@ -5,13 +5,16 @@ const useRunStore = create((set) => ({
     repoUrl: '',
     teamName: '',
     leaderName: '',
+    dryRun: false,
+    requireApproval: false,
 
     // Execution State
     runId: null,
-    status: 'IDLE', // IDLE, RUNNING, PASSED, FAILED
+    status: 'IDLE', // IDLE, QUEUED, RUNNING, AWAITING_APPROVAL, PASSED, FAILED, CANCELLED, INTERRUPTED, BUDGET_EXCEEDED
     branchName: null,
     logs: [],
     fixes: [],
+    patchArtifact: null, // dry runs: combined patch of all fixes
 
     // Metrics
     iterations: 0,
@@ -19,22 +22,57 @@ const useRunStore = create((set) => ({
     startTime: null,
     endTime: null,
     detectedEngines: null,
+    engineResults: [],
+    flakyTests: [], // tests that passed on a retry, kept out of the fixes
+    llmUsage: null, // tokens and estimated cost of the run's LLM calls
+    budgetExceeded: null, // BUDGET_EXCEEDED runs: the budget that was spent
+    approval: null, // approval mode: fixes under review with their diffs and decisions
 
     // Actions
     setFormDetails: (details) => set((state) => ({ ...state, ...details })),
 
     startRun: () => set({
+        runId: null,
         status: 'RUNNING',
         logs: ['Initializing Agent...'],
         startTime: Date.now(),
         iterations: 0,
         filesScanned: 0,
         fixes: [],
-        detectedEngines: null
+        patchArtifact: null,
+        detectedEngines: null,
+        engineResults: [],
+        flakyTests: [],
+        llmUsage: null,
+        budgetExceeded: null,
+        approval: null
     }),
 
     addLog: (log) => set((state) => ({ logs: [...state.logs, log] })),
 
+    // Insert or replace a single issue (matched on its fingerprint) from a live event
+    upsertFix: (issue) => set((state) => {
+        const fix = {
+            fingerprint: issue.fingerprint || null,
+            file: issue.file,
+            type: issue.type,
+            line: issue.line || 0,
+            description: issue.description,
+            status: issue.status,
+            commitMessage: issue.commitMessage || null,
+            regressedTests: issue.regressedTests || [],
+            verification: issue.verification || null,
+            engine: issue.engine || null
+        };
+        const idx = fix.fingerprint
+            ? state.fixes.findIndex(f => f.fingerprint === fix.fingerprint)
+            : state.fixes.findIndex(f => f.file === fix.file && f.type === fix.type && f.line === fix.line);
+        if (idx === -1) return { fixes: [...state.fixes, fix] };
+        const fixes = [...state.fixes];
+        fixes[idx] = fix;
+        return { fixes };
+    }),
+
     updateFromBackend: (data) => set((state) => {
         // Merge backend data into state
         // We expect data to match the structure from orchestrator.js updates
@@ -50,16 +88,24 @@ const useRunStore = create((set) => ({
         repoUrl: '',
         teamName: '',
         leaderName: '',
+        dryRun: false,
+        requireApproval: false,
         runId: null,
         status: 'IDLE',
         branchName: null,
         logs: [],
         fixes: [],
+        patchArtifact: null,
         iterations: 0,
         filesScanned: 0,
         startTime: null,
         endTime: null,
-        detectedEngines: null
+        detectedEngines: null,
+        engineResults: [],
+        flakyTests: [],
+        llmUsage: null,
+        budgetExceeded: null,
+        approval: null
     })
 }));
 